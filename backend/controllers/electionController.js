@@ -8,8 +8,9 @@
  * - Trend analysis (gender trends, vote share over time)
  * - Advanced analytics (correlations, closest contests, education analysis)
  * 
- * All functions use the queryWithCheck helper which handles database connection
- * and converts PostgreSQL-style queries to SQLite syntax.
+ * All functions use the queryWithCheck helper which handles the database connection.
+ * Queries use $1, $2 placeholders and SQL that runs on both SQLite and PostgreSQL;
+ * the adapter chosen by DB_CLIENT binds the parameters for its database.
  */
 
 const { queryWithCheck } = require('../database/connection');
@@ -31,6 +32,50 @@ const validYearsFilter = `AND e.year IN (
   HAVING COUNT(r2.id) >= 1000
 )`;
 
+/**
+ * SQL condition restricting constituencies (alias c) to one administrative district.
+ * Seats are mapped to districts through constituency_districts, which is many-to-many
+ * because a constituency can span several districts.
+ *
+ * @param {number} paramIndex - Placeholder number of the district ID parameter
+ * @returns {string} SQL condition (without a leading AND)
+ */
+const districtCondition = (paramIndex) => `c.id IN (
+  SELECT cd.constituency_id FROM constituency_districts cd WHERE cd.district_id = $${paramIndex}
+)`;
+
+/**
+ * SQL joins adding the alliance (alias a) that a result's party (r.party_id)
+ * belonged to in that election year (e.year). Membership is year-specific, so
+ * the same party can count towards different alliances in different years.
+ */
+const allianceJoin = `
+  LEFT JOIN party_alliances pa ON pa.party_id = r.party_id AND pa.year = e.year
+  LEFT JOIN alliances a ON pa.alliance_id = a.id
+`;
+
+// Alliance name of a result; parties outside any alliance that year are grouped as 'Others'
+const allianceName = `COALESCE(a.name, 'Others')`;
+
+/**
+ * SQL join adding the party (alias p) of a result (alias r). With lineage, p is the
+ * latest successor of the result's party (party_lineage_heads), so historical names
+ * such as INC(I) are counted as INC.
+ *
+ * @param {boolean} lineage - Fold parties into their lineage head
+ * @returns {string} SQL join clause
+ */
+const partyJoin = (lineage) => (lineage
+  ? `JOIN party_lineage_heads plh ON plh.party_id = r.party_id
+      JOIN parties p ON plh.head_id = p.id`
+  : 'JOIN parties p ON r.party_id = p.id');
+
+// lineage=true (or 1) query parameter
+const isLineage = (query) => query.lineage === 'true' || query.lineage === '1';
+
+// delimitation=true (or 1) query parameter
+const isDelimitation = (query) => query.delimitation === 'true' || query.delimitation === '1';
+
 /**
  * Get All Available Election Years
  * 
@@ -152,18 +197,9 @@ const getConstituenciesList = async (req, res) => {
   }
   
   if (district) {
-    // If district is provided, get the district name first
-    const districtQuery = await queryWithCheck('SELECT name FROM constituencies WHERE id = $1', [parseInt(district)]);
-    if (districtQuery.rows.length > 0) {
-      const districtName = districtQuery.rows[0].name;
-      if (whereClause) {
-        whereClause += ` AND c.name = $${paramCount}`;
-      } else {
-        whereClause += ` WHERE c.name = $${paramCount}`;
-      }
-      params.push(districtName);
-      paramCount++;
-    }
+    whereClause += `${whereClause ? ' AND' : ' WHERE'} ${districtCondition(paramCount)}`;
+    params.push(parseInt(district));
+    paramCount++;
   }
   
   query += whereClause + ' ORDER BY c.name, c.constituency_no';
@@ -172,6 +208,43 @@ const getConstituenciesList = async (req, res) => {
   res.json(result.rows);
 };
 
+/**
+ * Get Administrative Districts
+ *
+ * Returns the administrative districts loaded from the district mapping CSV
+ * (see scripts/importDistricts.js), optionally filtered by state, with the
+ * number of constituencies that overlap each district. Used for the District
+ * filter dropdown; the returned IDs are accepted by every `district` query parameter.
+ *
+ * @route GET /api/districts
+ * @param {number} [state] - Optional state ID to filter districts
+ * @returns {Array<{id: number, name: string, state_id: number, constituency_count: number}>} Array of district objects
+ */
+const getDistricts = async (req, res) => {
+  const { state } = req.query;
+
+  let query = `
+    SELECT
+      d.id,
+      d.name,
+      d.state_id,
+      COUNT(cd.constituency_id) as constituency_count
+    FROM districts d
+    LEFT JOIN constituency_districts cd ON cd.district_id = d.id
+  `;
+  const params = [];
+
+  if (state) {
+    query += ' WHERE d.state_id = $1';
+    params.push(parseInt(state));
+  }
+
+  query += ' GROUP BY d.id, d.name, d.state_id ORDER BY d.name';
+
+  const result = await queryWithCheck(query, params);
+  res.json(result.rows);
+};
+
 /**
  * Get Election Results with Filters
  * 
@@ -235,7 +308,7 @@ const getElections = async (req, res) => {
   }
 
   if (constituency) {
-    query += ` AND c.name ILIKE $${paramCount}`;
+    query += ` AND LOWER(c.name) LIKE LOWER($${paramCount})`;
     params.push(`%${constituency}%`);
     paramCount++;
   }
@@ -247,12 +320,602 @@ const getElections = async (req, res) => {
   res.json(result.rows);
 };
 
+/**
+ * Get State Trends
+ *
+ * Returns the trends of a single state across every valid election year (the same
+ * years as getYears): seats and votes by party, turnout, the effective number of
+ * parties by votes and by seats (Laakso-Taagepera, 1 / sum of squared shares), the
+ * first and second parties by seats, and the closest contests of each year.
+ * Turnout is averaged over result rows exactly like getTurnout. With lineage=true,
+ * the party breakdown folds historical party names into their latest successor.
+ *
+ * @route GET /api/states/:id/trends
+ * @param {number} id - State ID (path parameter)
+ * @param {number} [contests=5] - Number of closest contests to return per year (1-20)
+ * @param {boolean} [lineage=false] - Fold historical party names into their successor
+ * @returns {Object<{state: Object, years: Array}>} State details with per-year trends
+ */
+const getStateTrends = async (req, res) => {
+  const id = parseInt(req.params.id);
+  // Already an integer between 1 and 20 (validateContests)
+  const contests = req.query.contests || 5;
+
+  const stateResult = await queryWithCheck('SELECT id, name FROM states WHERE id = $1', [id]);
+  if (stateResult.rows.length === 0) {
+    return res.status(404).json({ error: 'State not found' });
+  }
+
+  const [partyResult, turnoutResult, closestResult] = await Promise.all([
+    queryWithCheck(
+      `SELECT
+        e.year,
+        p.id as party_id,
+        p.name as party,
+        SUM(CASE WHEN r.position = 1 THEN 1 ELSE 0 END) as seats,
+        SUM(r.votes) as votes
+      FROM results r
+      JOIN elections e ON r.election_id = e.id
+      JOIN constituencies c ON r.constituency_id = c.id
+      ${partyJoin(isLineage(req.query))}
+      WHERE c.state_id = $1 ${validYearsFilter}
+      GROUP BY e.year, p.id, p.name`,
+      [id]
+    ),
+    queryWithCheck(
+      `SELECT
+        e.year,
+        COUNT(DISTINCT r.constituency_id) as constituencies,
+        AVG(r.turnout_percentage) as turnout_pct
+      FROM results r
+      JOIN elections e ON r.election_id = e.id
+      JOIN constituencies c ON r.constituency_id = c.id
+      WHERE c.state_id = $1 ${validYearsFilter}
+      GROUP BY e.year`,
+      [id]
+    ),
+    queryWithCheck(
+      `SELECT
+        e.year,
+        c.id as constituency_id,
+        c.name as constituency_name,
+        p1.name as winner_party,
+        cand1.name as winner,
+        p2.name as runner_up_party,
+        cand2.name as runner_up,
+        (r1.votes - r2.votes) as margin,
+        r1.margin_percentage
+      FROM results r1
+      JOIN elections e ON r1.election_id = e.id
+      JOIN constituencies c ON r1.constituency_id = c.id
+      JOIN parties p1 ON r1.party_id = p1.id
+      JOIN candidates cand1 ON r1.candidate_id = cand1.id
+      JOIN results r2 ON r1.constituency_id = r2.constituency_id AND r1.election_id = r2.election_id
+      JOIN parties p2 ON r2.party_id = p2.id
+      JOIN candidates cand2 ON r2.candidate_id = cand2.id
+      WHERE c.state_id = $1 AND r1.position = 1 AND r2.position = 2
+        AND r1.margin_percentage IS NOT NULL ${validYearsFilter}
+      ORDER BY e.year, r1.margin_percentage ASC, c.name`,
+      [id]
+    )
+  ]);
+
+  // Group rows by year
+  const yearMap = {};
+  const getYear = (year) => {
+    if (!yearMap[year]) {
+      yearMap[year] = { year, constituencies: 0, turnout_pct: null, parties: [], closest_contests: [] };
+    }
+    return yearMap[year];
+  };
+
+  turnoutResult.rows.forEach(row => {
+    const entry = getYear(row.year);
+    entry.constituencies = row.constituencies;
+    entry.turnout_pct = row.turnout_pct != null ? parseFloat(row.turnout_pct) : null;
+  });
+
+  partyResult.rows.forEach(row => {
+    getYear(row.year).parties.push({
+      party_id: row.party_id,
+      party: row.party,
+      seats: row.seats || 0,
+      votes: parseFloat(row.votes) || 0
+    });
+  });
+
+  closestResult.rows.forEach(row => {
+    const entry = getYear(row.year);
+    if (entry.closest_contests.length < contests) {
+      entry.closest_contests.push(row);
+    }
+  });
+
+  const years = Object.values(yearMap)
+    .sort((a, b) => a.year - b.year)
+    .map(entry => {
+      const totalSeats = entry.parties.reduce((sum, p) => sum + p.seats, 0);
+      const totalVotes = entry.parties.reduce((sum, p) => sum + p.votes, 0);
+
+      const parties = entry.parties
+        .map(p => ({
+          ...p,
+          seat_share_pct: totalSeats > 0 ? (p.seats * 100.0 / totalSeats) : 0,
+          vote_share_pct: totalVotes > 0 ? (p.votes * 100.0 / totalVotes) : 0
+        }))
+        .sort((a, b) => b.seats - a.seats || b.votes - a.votes);
+
+      const sumSquares = (key) => parties.reduce((sum, p) => sum + Math.pow(p[key] / 100, 2), 0);
+      const voteSquares = sumSquares('vote_share_pct');
+      const seatSquares = sumSquares('seat_share_pct');
+
+      return {
+        year: entry.year,
+        constituencies: entry.constituencies,
+        seats: totalSeats,
+        total_votes: totalVotes,
+        turnout_pct: entry.turnout_pct,
+        enp_votes: voteSquares > 0 ? 1 / voteSquares : null,
+        enp_seats: seatSquares > 0 ? 1 / seatSquares : null,
+        first_party: parties[0] || null,
+        second_party: parties[1] || null,
+        parties,
+        closest_contests: entry.closest_contests
+      };
+    });
+
+  res.json({
+    state: stateResult.rows[0],
+    years
+  });
+};
+
+/**
+ * Get Constituency Election History
+ *
+ * Returns the full election history of a single constituency: every election held
+ * for the seat with all candidates, constituency-level metrics (turnout, electors,
+ * ENOP, margin) and the winning party timeline. Reservation type comes from
+ * constituencies.constituency_type.
+ *
+ * Seats linked to this one in constituency_delimitation_map are always listed. With
+ * delimitation=true, their results are added for the elections this seat did not
+ * hold (e.g. the seat it replaced before 2008), each with a source naming the
+ * linked seat. Every election is flagged boundary_changed when it was held on
+ * other boundaries than the seat's latest election.
+ *
+ * @route GET /api/constituencies/:id/history
+ * @param {number} id - Constituency ID (path parameter)
+ * @param {string} delimitation - Optional 'true' to include linked seats' results
+ * @returns {Object<{constituency: Object, delimitation: Object, elections: Array, timeline: Array<{year: number, party: string, boundary_changed: boolean}>}>} Constituency details with per-election results
+ */
+const getConstituencyHistory = async (req, res) => {
+  const id = parseInt(req.params.id);
+
+  const [constituencyResult, linkResult] = await Promise.all([
+    queryWithCheck(
+      `SELECT
+        c.id,
+        c.name,
+        c.constituency_no,
+        c.constituency_type,
+        c.sub_region,
+        s.id as state_id,
+        s.name as state_name
+      FROM constituencies c
+      JOIN states s ON c.state_id = s.id
+      WHERE c.id = $1`,
+      [id]
+    ),
+    // Seats this one replaced and seats that replaced it; a link to itself only records its share
+    queryWithCheck(
+      `SELECT 'predecessor' as relation, c.id as constituency_id, c.name, c.constituency_no, m.weight
+      FROM constituency_delimitation_map m
+      JOIN constituencies c ON m.old_constituency_id = c.id
+      WHERE m.new_constituency_id = $1 AND m.old_constituency_id <> $1
+      UNION ALL
+      SELECT 'successor' as relation, c.id as constituency_id, c.name, c.constituency_no, m.weight
+      FROM constituency_delimitation_map m
+      JOIN constituencies c ON m.new_constituency_id = c.id
+      WHERE m.old_constituency_id = $1 AND m.new_constituency_id <> $1
+      ORDER BY relation, weight DESC, name`,
+      [id]
+    )
+  ]);
+  if (constituencyResult.rows.length === 0) {
+    return res.status(404).json({ error: 'Constituency not found' });
+  }
+
+  const links = linkResult.rows;
+  const linkById = new Map(links.map(link => [link.constituency_id, link]));
+  const constituencyIds = [id, ...(isDelimitation(req.query) ? linkById.keys() : [])];
+
+  const result = await queryWithCheck(
+    `SELECT
+      e.id as election_id,
+      r.constituency_id,
+      e.year,
+      e.month,
+      e.delimid,
+      cand.id as candidate_id,
+      cand.name as candidate_name,
+      cand.sex as gender,
+      p.id as party_id,
+      p.name as party_name,
+      r.position,
+      r.votes,
+      r.vote_share_percentage,
+      r.deposit_lost,
+      r.valid_votes,
+      r.electors,
+      r.n_cand,
+      r.turnout_percentage,
+      r.enop,
+      r.margin,
+      r.margin_percentage
+    FROM results r
+    JOIN elections e ON r.election_id = e.id
+    JOIN parties p ON r.party_id = p.id
+    JOIN candidates cand ON r.candidate_id = cand.id
+    WHERE r.constituency_id IN (${constituencyIds.map((_, index) => `$${index + 1}`).join(', ')}) ${validYearsFilter}
+    ORDER BY e.year DESC, e.month DESC, r.position ASC`,
+    constituencyIds
+  );
+
+  // Group candidate rows into one entry per election and seat
+  // Constituency-level metrics are repeated on every row, so take them from the winner's row
+  let elections = [];
+  const electionMap = {};
+  result.rows.forEach(row => {
+    const key = `${row.election_id}:${row.constituency_id}`;
+    let election = electionMap[key];
+    if (!election) {
+      const link = linkById.get(row.constituency_id);
+      election = {
+        election_id: row.election_id,
+        year: row.year,
+        month: row.month,
+        delimid: row.delimid,
+        boundary_changed: false,
+        source: link
+          ? { constituency_id: link.constituency_id, name: link.name, constituency_no: link.constituency_no, relation: link.relation, weight: link.weight }
+          : null,
+        electors: row.electors,
+        valid_votes: row.valid_votes,
+        turnout_percentage: row.turnout_percentage,
+        enop: row.enop,
+        n_cand: row.n_cand,
+        margin: null,
+        margin_percentage: null,
+        winner: null,
+        winning_party: null,
+        candidates: []
+      };
+      electionMap[key] = election;
+      elections.push(election);
+    }
+    if (row.position === 1) {
+      election.margin = row.margin;
+      election.margin_percentage = row.margin_percentage;
+      election.winner = row.candidate_name;
+      election.winning_party = row.party_name;
+    }
+    election.candidates.push({
+      candidate_id: row.candidate_id,
+      name: row.candidate_name,
+      gender: row.gender,
+      party_id: row.party_id,
+      party: row.party_name,
+      position: row.position,
+      votes: row.votes,
+      vote_share_percentage: row.vote_share_percentage,
+      deposit_lost: row.deposit_lost
+    });
+  });
+
+  // Linked seats only fill elections this seat did not hold; the seat's own entry comes
+  // first, then linked seats by weight
+  const ownElections = new Set(elections.filter(election => !election.source).map(election => election.election_id));
+  elections = elections
+    .filter(election => !election.source || !ownElections.has(election.election_id))
+    .sort((a, b) => b.year - a.year || (b.month || 0) - (a.month || 0)
+      || (a.source ? 1 : 0) - (b.source ? 1 : 0)
+      || (a.source && b.source ? b.source.weight - a.source.weight : 0));
+
+  // Boundaries of the seat's latest election (linked seats' results are on other boundaries)
+  const currentElection = elections.find(election => !election.source);
+  const currentDelimid = currentElection ? currentElection.delimid : null;
+  elections.forEach(election => {
+    election.boundary_changed = election.source !== null
+      || (currentDelimid != null && election.delimid != null && election.delimid !== currentDelimid);
+  });
+
+  // Winning party timeline in chronological order, one entry per election
+  const seen = new Set();
+  const timeline = elections
+    .filter(election => election.winning_party && !seen.has(election.election_id) && seen.add(election.election_id))
+    .map(election => ({ year: election.year, party: election.winning_party, boundary_changed: election.boundary_changed }))
+    .reverse();
+
+  res.json({
+    constituency: constituencyResult.rows[0],
+    delimitation: {
+      current_delimid: currentDelimid,
+      predecessors: links.filter(link => link.relation === 'predecessor').map(({ relation, ...link }) => link),
+      successors: links.filter(link => link.relation === 'successor').map(({ relation, ...link }) => link)
+    },
+    elections,
+    timeline
+  });
+};
+
+/**
+ * Get Candidate Career
+ *
+ * Returns every contest by one candidate across all election years. A person may
+ * appear under several candidate rows, so rows sharing the candidate's TCPD person
+ * identifier (pid) are included as well. Each contest carries the incumbency,
+ * turncoat and recontest flags and the number of terms served at the time.
+ *
+ * @route GET /api/candidates/:id/career
+ * @param {number} id - Candidate ID (path parameter)
+ * @returns {Object<{candidate: Object, summary: Object, contests: Array}>} Candidate details, win/contest summary and contests (latest first)
+ */
+const getCandidateCareer = async (req, res) => {
+  const id = parseInt(req.params.id);
+
+  const candidateResult = await queryWithCheck(
+    `SELECT
+      id,
+      name,
+      sex,
+      myneta_education,
+      tcpd_prof_main_desc,
+      tcpd_prof_second_desc,
+      pid
+    FROM candidates
+    WHERE id = $1`,
+    [id]
+  );
+  if (candidateResult.rows.length === 0) {
+    return res.status(404).json({ error: 'Candidate not found' });
+  }
+  const candidate = candidateResult.rows[0];
+
+  const result = await queryWithCheck(
+    `SELECT
+      e.year,
+      c.id as constituency_id,
+      c.name as constituency_name,
+      s.name as state_name,
+      p.id as party_id,
+      p.name as party_name,
+      r.position,
+      r.votes,
+      r.vote_share_percentage,
+      r.incumbent,
+      r.turncoat,
+      r.recontest,
+      r.no_terms
+    FROM results r
+    JOIN elections e ON r.election_id = e.id
+    JOIN constituencies c ON r.constituency_id = c.id
+    JOIN states s ON c.state_id = s.id
+    JOIN parties p ON r.party_id = p.id
+    WHERE (r.candidate_id = $1 OR r.candidate_id IN (
+      SELECT id FROM candidates WHERE pid IS NOT NULL AND pid = $2
+    )) ${validYearsFilter}
+    ORDER BY e.year DESC, e.month DESC`,
+    [id, candidate.pid]
+  );
+
+  const contests = result.rows.map(row => ({
+    ...row,
+    incumbent: row.incumbent === 1,
+    turncoat: row.turncoat === 1,
+    recontest: row.recontest === 1
+  }));
+
+  res.json({
+    candidate,
+    summary: {
+      contests: contests.length,
+      wins: contests.filter(contest => contest.position === 1).length,
+      parties: [...new Set(contests.map(contest => contest.party_name))],
+      first_year: contests.length > 0 ? contests[contests.length - 1].year : null,
+      last_year: contests.length > 0 ? contests[0].year : null
+    },
+    contests
+  });
+};
+
+/**
+ * Get Party Profile
+ *
+ * Returns a party's performance over time: for every election year the seats
+ * contested and won, strike rate (won / contested), total votes and national vote
+ * share. Also returns the states where the party is strongest (by vote share within
+ * the state) and its best and worst constituency results by vote share. A seat counts
+ * as contested once per year, even when several predecessors stood in it. States and
+ * constituencies cover all years unless a year is given. The lineage links of the
+ * party (its successor and direct predecessors) are always included; with
+ * lineage=true, results of the party's predecessors are counted as the party's own.
+ *
+ * @route GET /api/parties/:id/profile
+ * @param {number} id - Party ID (path parameter)
+ * @param {number} [year] - Optional election year for strongholds and best/worst seats
+ * @param {number} [limit=10] - Number of states and constituencies to return in each list (1-100)
+ * @param {boolean} [lineage=false] - Include the results of the party's predecessors
+ * @returns {Object<{party: Object, lineage: Object, years: Array, strongest_states: Array, best_constituencies: Array, worst_constituencies: Array}>} Party profile
+ */
+const getPartyProfile = async (req, res) => {
+  const id = parseInt(req.params.id);
+  const { year, limit = 10 } = req.query;
+
+  const partyResult = await queryWithCheck(
+    'SELECT id, name, party_type_tcpd FROM parties WHERE id = $1',
+    [id]
+  );
+  if (partyResult.rows.length === 0) {
+    return res.status(404).json({ error: 'Party not found' });
+  }
+
+  // Results of the party itself, or with lineage also of every predecessor along its chain
+  const partyMatch = isLineage(req.query)
+    ? 'r.party_id IN (SELECT plp.party_id FROM party_lineage_paths plp WHERE plp.successor_id = $1)'
+    : 'r.party_id = $1';
+
+  const [partyYears, nationalTotals, successorResult, predecessorResult] = await Promise.all([
+    queryWithCheck(
+      `SELECT
+        e.year,
+        COUNT(DISTINCT r.constituency_id) as seats_contested,
+        SUM(CASE WHEN r.position = 1 THEN 1 ELSE 0 END) as seats_won,
+        SUM(r.votes) as total_votes
+      FROM results r
+      JOIN elections e ON r.election_id = e.id
+      WHERE ${partyMatch} ${validYearsFilter}
+      GROUP BY e.year
+      ORDER BY e.year`,
+      [id]
+    ),
+    queryWithCheck(
+      `SELECT e.year, SUM(r.votes) as total_votes
+      FROM results r
+      JOIN elections e ON r.election_id = e.id
+      WHERE r.votes IS NOT NULL ${validYearsFilter}
+      GROUP BY e.year`
+    ),
+    queryWithCheck(
+      `SELECT pl.successor_id as party_id, p.name as party, pl.relation, pl.year
+      FROM party_lineage pl
+      JOIN parties p ON pl.successor_id = p.id
+      WHERE pl.party_id = $1`,
+      [id]
+    ),
+    queryWithCheck(
+      `SELECT pl.party_id, p.name as party, pl.relation, pl.year
+      FROM party_lineage pl
+      JOIN parties p ON pl.party_id = p.id
+      WHERE pl.successor_id = $1
+      ORDER BY pl.year, p.name`,
+      [id]
+    )
+  ]);
+
+  const yearTotals = {};
+  nationalTotals.rows.forEach(row => {
+    yearTotals[row.year] = parseFloat(row.total_votes) || 0;
+  });
+
+  const years = partyYears.rows.map(row => ({
+    year: row.year,
+    seats_contested: row.seats_contested,
+    seats_won: row.seats_won,
+    strike_rate: row.seats_contested > 0 ? (row.seats_won * 100.0 / row.seats_contested) : 0,
+    total_votes: parseFloat(row.total_votes) || 0,
+    vote_share_pct: yearTotals[row.year] > 0 ? ((parseFloat(row.total_votes) || 0) * 100.0 / yearTotals[row.year]) : 0
+  }));
+
+  // Optional year scope for the state and constituency lists
+  const yearClause = year ? 'AND e.year = $2' : '';
+  const scopeParams = year ? [id, parseInt(year)] : [id];
+  const limitParam = `$${scopeParams.length + 1}`;
+
+  const [stateVotes, bestConstituencies, worstConstituencies] = await Promise.all([
+    // Party votes vs all votes in every state where the party contested
+    queryWithCheck(
+      `SELECT
+        s.id as state_id,
+        s.name as state,
+        SUM(CASE WHEN ${partyMatch} THEN r.votes ELSE 0 END) as party_votes,
+        SUM(r.votes) as total_votes,
+        SUM(CASE WHEN ${partyMatch} AND r.position = 1 THEN 1 ELSE 0 END) as seats_won,
+        COUNT(DISTINCT CASE WHEN ${partyMatch} THEN CAST(e.year AS TEXT) || '-' || CAST(r.constituency_id AS TEXT) END) as seats_contested
+      FROM results r
+      JOIN elections e ON r.election_id = e.id
+      JOIN constituencies c ON r.constituency_id = c.id
+      JOIN states s ON c.state_id = s.id
+      WHERE r.votes IS NOT NULL ${validYearsFilter} ${yearClause}
+      GROUP BY s.id, s.name
+      HAVING SUM(CASE WHEN ${partyMatch} THEN 1 ELSE 0 END) > 0`,
+      scopeParams
+    ),
+    queryWithCheck(
+      `SELECT
+        e.year,
+        c.id as constituency_id,
+        c.name as constituency_name,
+        s.name as state_name,
+        cand.name as candidate_name,
+        r.position,
+        r.votes,
+        r.vote_share_percentage
+      FROM results r
+      JOIN elections e ON r.election_id = e.id
+      JOIN constituencies c ON r.constituency_id = c.id
+      JOIN states s ON c.state_id = s.id
+      JOIN candidates cand ON r.candidate_id = cand.id
+      WHERE ${partyMatch} AND r.vote_share_percentage IS NOT NULL ${validYearsFilter} ${yearClause}
+      ORDER BY r.vote_share_percentage DESC, e.year, c.name
+      LIMIT ${limitParam}`,
+      [...scopeParams, parseInt(limit)]
+    ),
+    queryWithCheck(
+      `SELECT
+        e.year,
+        c.id as constituency_id,
+        c.name as constituency_name,
+        s.name as state_name,
+        cand.name as candidate_name,
+        r.position,
+        r.votes,
+        r.vote_share_percentage
+      FROM results r
+      JOIN elections e ON r.election_id = e.id
+      JOIN constituencies c ON r.constituency_id = c.id
+      JOIN states s ON c.state_id = s.id
+      JOIN candidates cand ON r.candidate_id = cand.id
+      WHERE ${partyMatch} AND r.vote_share_percentage IS NOT NULL ${validYearsFilter} ${yearClause}
+      ORDER BY r.vote_share_percentage ASC, e.year, c.name
+      LIMIT ${limitParam}`,
+      [...scopeParams, parseInt(limit)]
+    )
+  ]);
+
+  const strongestStates = stateVotes.rows
+    .map(row => ({
+      state_id: row.state_id,
+      state: row.state,
+      seats_contested: row.seats_contested,
+      seats_won: row.seats_won,
+      total_votes: parseFloat(row.party_votes) || 0,
+      vote_share_pct: row.total_votes > 0 ? ((parseFloat(row.party_votes) || 0) * 100.0 / row.total_votes) : 0
+    }))
+    .sort((a, b) => b.vote_share_pct - a.vote_share_pct)
+    .slice(0, parseInt(limit));
+
+  res.json({
+    party: partyResult.rows[0],
+    lineage: {
+      successor: successorResult.rows[0] || null,
+      predecessors: predecessorResult.rows
+    },
+    years,
+    strongest_states: strongestStates,
+    best_constituencies: bestConstituencies.rows,
+    worst_constituencies: worstConstituencies.rows
+  });
+};
+
 /**
  * Get Seat Share by Party
- * 
+ *
  * Calculates the number of seats won by each party in a given election year.
  * Only counts winners (position = 1). Supports filtering by state, party, gender,
  * district, or specific constituency. Also includes winner names grouped by district.
+ * With aggregate=alliance, seats are counted per alliance (using each party's
+ * membership in that year) and every alliance lists the seats of its parties.
  * 
  * @route GET /api/seat-share
  * @param {number} year - Election year (required)
@@ -261,81 +924,104 @@ const getElections = async (req, res) => {
  * @param {string} [gender] - Optional gender filter ('M' or 'F')
  * @param {number} [district] - Optional district ID filter
  * @param {number} [constituency] - Optional constituency ID filter
+ * @param {string} [aggregate] - 'alliance' to group seats by alliance instead of party
  * @returns {Array<{party: string, seats: number, winnersByDistrict: Array}>} Array of party seat counts with winner details
+ *   (with aggregate=alliance: {alliance, seats, parties: [{party, seats}], winnersByDistrict})
  */
 const getSeatShare = async (req, res) => {
-  const { year, state, party, gender, district, constituency } = req.query;
+  const { year, state, party, gender, district, constituency, aggregate } = req.query;
   if (!year) {
     return res.status(400).json({ error: 'Year parameter is required' });
   }
 
-  // If district is provided, get the district name first
-  let districtName = null;
-  if (district) {
-    const districtQuery = await queryWithCheck('SELECT name FROM constituencies WHERE id = $1', [parseInt(district)]);
-    if (districtQuery.rows.length > 0) {
-      districtName = districtQuery.rows[0].name;
-    }
-  }
+  const byAlliance = aggregate === 'alliance';
+  const groupColumn = byAlliance ? allianceName : 'p.name';
+  const groupKey = byAlliance ? 'alliance' : 'party';
+  const groupJoin = byAlliance ? allianceJoin : '';
 
-  let query = `
-    SELECT 
-      p.name as party,
-      COUNT(*) as seats
-    FROM results r
-    JOIN elections e ON r.election_id = e.id
-    JOIN parties p ON r.party_id = p.id
-    JOIN constituencies c ON r.constituency_id = c.id
-    JOIN candidates cand ON r.candidate_id = cand.id
-    WHERE e.year = $1 ${validYearsFilter} AND r.position = 1
-  `;
-  
+  let whereClause = `WHERE e.year = $1 ${validYearsFilter} AND r.position = 1`;
   const params = [parseInt(year)];
   let paramCount = 2;
   
   if (state) {
-    query += ` AND c.state_id = $${paramCount}`;
+    whereClause += ` AND c.state_id = $${paramCount}`;
     params.push(parseInt(state));
     paramCount++;
   }
   
-  if (districtName) {
-    // Filter by district name to include all constituencies with that name
-    query += ` AND c.name = $${paramCount}`;
-    params.push(districtName);
+  if (district) {
+    whereClause += ` AND ${districtCondition(paramCount)}`;
+    params.push(parseInt(district));
     paramCount++;
   }
   
   if (constituency) {
     // Filter by specific constituency ID
-    query += ` AND c.id = $${paramCount}`;
+    whereClause += ` AND c.id = $${paramCount}`;
     params.push(parseInt(constituency));
     paramCount++;
   }
   
   if (party) {
-    query += ` AND p.id = $${paramCount}`;
+    whereClause += ` AND p.id = $${paramCount}`;
     params.push(parseInt(party));
     paramCount++;
   }
   
   if (gender) {
-    query += ` AND cand.sex = $${paramCount}`;
+    whereClause += ` AND cand.sex = $${paramCount}`;
     params.push(gender);
     paramCount++;
   }
 
-  query += ` GROUP BY p.name ORDER BY seats DESC`;
+  const fromClause = `
+    FROM results r
+    JOIN elections e ON r.election_id = e.id
+    JOIN parties p ON r.party_id = p.id
+    JOIN constituencies c ON r.constituency_id = c.id
+    JOIN candidates cand ON r.candidate_id = cand.id
+    ${groupJoin}
+  `;
 
-  const result = await queryWithCheck(query, params);
+  const result = await queryWithCheck(
+    `SELECT 
+      ${groupColumn} as ${groupKey},
+      COUNT(*) as seats
+    ${fromClause}
+    ${whereClause}
+    GROUP BY ${groupColumn}
+    ORDER BY seats DESC, ${groupKey}`,
+    params
+  );
+
+  // Seats of each member party, listed under its alliance
+  const partiesByAlliance = {};
+  if (byAlliance) {
+    const partyResult = await queryWithCheck(
+      `SELECT 
+        ${allianceName} as alliance,
+        p.name as party,
+        COUNT(*) as seats
+      ${fromClause}
+      ${whereClause}
+      GROUP BY ${allianceName}, p.name
+      ORDER BY seats DESC, p.name`,
+      params
+    );
+    partyResult.rows.forEach(({ alliance, ...row }) => {
+      (partiesByAlliance[alliance] = partiesByAlliance[alliance] || []).push(row);
+    });
+  }
   
-  // Get winner names grouped by district for each party
+  // Get winner names grouped by district for each party (or alliance)
   const rowsWithWinners = await Promise.all(
     result.rows.map(async (row) => {
+      // A seat spanning several districts is listed under each of them; when
+      // filtering by district only that district is joined
       let winnerQuery = `
         SELECT 
           c.id as constituency_id,
-          c.name as district_name,
+          COALESCE(d.name, 'Unassigned') as district_name,
           c.constituency_no,
           cand.name as winner_name,
           cand.id as candidate_id
@@ -344,10 +1030,19 @@ const getSeatShare = async (req, res) => {
         JOIN parties p ON r.party_id = p.id
         JOIN constituencies c ON r.constituency_id = c.id
         JOIN candidates cand ON r.candidate_id = cand.id
-        WHERE e.year = $1 ${validYearsFilter} AND r.position = 1 AND p.name = $2
+        ${groupJoin}
+        LEFT JOIN constituency_districts cd ON cd.constituency_id = c.id ${district ? 'AND cd.district_id = $3' : ''}
+        LEFT JOIN districts d ON cd.district_id = d.id
+        WHERE e.year = $1 ${validYearsFilter} AND r.position = 1 AND ${groupColumn} = $2
       `;
-      const winnerParams = [parseInt(year), row.party];
+      const winnerParams = [parseInt(year), row[groupKey]];
       let winnerParamCount = 3;
+
+      if (district) {
+        winnerQuery += ` AND ${districtCondition(winnerParamCount)}`;
+        winnerParams.push(parseInt(district));
+        winnerParamCount++;
+      }
       
       if (state) {
         winnerQuery += ` AND c.state_id = $${winnerParamCount}`;
@@ -355,33 +1050,34 @@ const getSeatShare = async (req, res) => {
         winnerParamCount++;
       }
       
-      if (districtName) {
-        winnerQuery += ` AND c.name = $${winnerParamCount}`;
-        winnerParams.push(districtName);
-        winnerParamCount++;
-      }
-      
       if (constituency) {
         winnerQuery += ` AND c.id = $${winnerParamCount}`;
         winnerParams.push(parseInt(constituency));
         winnerParamCount++;
       }
+
+      if (byAlliance && party) {
+        // An alliance row only counts the filtered party's seats
+        winnerQuery += ` AND p.id = $${winnerParamCount}`;
+        winnerParams.push(parseInt(party));
+        winnerParamCount++;
+      }
       
-      winnerQuery += ` ORDER BY c.name, c.constituency_no, cand.name`;
+      winnerQuery += ` ORDER BY district_name, c.constituency_no, cand.name`;
       
       const winnerResult = await queryWithCheck(winnerQuery, winnerParams);
       
-      // Group winners by district name, but include all winners from all constituencies with that name
-      // Use a Set with unique keys to avoid true duplicates (same constituency + same candidate)
+      // Group winners by district; seats without a district mapping are listed as 'Unassigned'
+      // Use a Set with unique keys to avoid true duplicates (same district + constituency + candidate)
       // but allow all winners from different constituencies even if they have the same name
       const districtMap = {};
-      const seenWinners = new Set(); // Track unique constituency_id + candidate_id combinations
+      const seenWinners = new Set(); // Track unique district + constituency_id + candidate_id combinations
       
       winnerResult.rows.forEach(w => {
         const districtKey = w.district_name;
-        const uniqueKey = `${w.constituency_id}_${w.candidate_id}`;
+        const uniqueKey = `${districtKey}_${w.constituency_id}_${w.candidate_id}`;
         
-        // Only skip if we've seen this exact winner from this exact constituency
+        // Only skip if we've seen this exact winner from this exact constituency in this district
         if (seenWinners.has(uniqueKey)) {
           return;
         }
@@ -403,6 +1099,7 @@ const getSeatShare = async (req, res) => {
       
       return {
         ...row,
+        ...(byAlliance && { parties: partiesByAlliance[row.alliance] || [] }),
         winnersByDistrict: winnersByDistrict
       };
     })
@@ -412,25 +1109,79 @@ const getSeatShare = async (req, res) => {
 };
 
 /**
- * Get Voter Turnout by State
- * 
- * Calculates the average voter turnout percentage for each state in a given election year.
- * Turnout is calculated as (valid_votes / electors) * 100. Results are sorted by
- * turnout percentage in descending order.
- * 
- * @route GET /api/turnout
+ * Get Winner of Every Constituency
+ *
+ * Returns one row per constituency with the winning candidate and party for a
+ * given election year. Uses the same winners (position = 1) that are counted
+ * by getSeatShare, plus the margin and turnout needed for map tooltips.
+ * The delimid tells the frontend which boundary set (pre- or post-2008) applies.
+ *
+ * @route GET /api/constituency-winners
  * @param {number} year - Election year (required)
- * @param {number} [state] - Optional state ID to filter to a single state
- * @returns {Array<{state: string, turnout_pct: number}>} Array of state turnout percentages
+ * @param {number} [state] - Optional state ID filter
+ * @returns {Array<{constituency_id, constituency_name, constituency_no, state_id, state_name, delimid, winner, party, votes, margin_percentage, turnout_percentage}>} Array of constituency winners
  */
-const getTurnout = async (req, res) => {
+const getConstituencyWinners = async (req, res) => {
   const { year, state } = req.query;
   if (!year) {
     return res.status(400).json({ error: 'Year parameter is required' });
   }
 
   let query = `
-    SELECT 
+    SELECT
+      c.id as constituency_id,
+      c.name as constituency_name,
+      c.constituency_no,
+      s.id as state_id,
+      s.name as state_name,
+      e.delimid,
+      cand.name as winner,
+      p.name as party,
+      r.votes,
+      r.margin_percentage,
+      r.turnout_percentage
+    FROM results r
+    JOIN elections e ON r.election_id = e.id
+    JOIN constituencies c ON r.constituency_id = c.id
+    JOIN states s ON c.state_id = s.id
+    JOIN parties p ON r.party_id = p.id
+    JOIN candidates cand ON r.candidate_id = cand.id
+    WHERE e.year = $1 ${validYearsFilter} AND r.position = 1
+  `;
+
+  const params = [parseInt(year)];
+
+  if (state) {
+    query += ` AND s.id = $2`;
+    params.push(parseInt(state));
+  }
+
+  query += ` ORDER BY s.name, c.constituency_no`;
+
+  const result = await queryWithCheck(query, params);
+  res.json(result.rows);
+};
+
+/**
+ * Get Voter Turnout by State
+ * 
+ * Calculates the average voter turnout percentage for each state in a given election year.
+ * Turnout is calculated as (valid_votes / electors) * 100. Results are sorted by
+ * turnout percentage in descending order.
+ * 
+ * @route GET /api/turnout
+ * @param {number} year - Election year (required)
+ * @param {number} [state] - Optional state ID to filter to a single state
+ * @returns {Array<{state: string, turnout_pct: number}>} Array of state turnout percentages
+ */
+const getTurnout = async (req, res) => {
+  const { year, state } = req.query;
+  if (!year) {
+    return res.status(400).json({ error: 'Year parameter is required' });
+  }
+
+  let query = `
+    SELECT 
       s.name as state,
       AVG(r.turnout_percentage) as turnout_pct
     FROM results r
@@ -458,17 +1209,20 @@ const getTurnout = async (req, res) => {
  * 
  * Calculates the percentage of total votes received by each party in a given election year.
  * Can return aggregated results (by party only) or detailed results (by state and party).
+ * With aggregate=alliance, votes are summed per alliance (using each party's membership
+ * in that year) and every alliance lists the vote share of its parties.
  * Supports filtering by state, gender, district, and constituency.
  * 
  * @route GET /api/vote-share
  * @param {number} year - Election year (required)
  * @param {number} [party] - Optional party ID filter (only used when aggregate=false)
- * @param {boolean} [aggregate=true] - If true, returns vote share by party only. If false, returns by state and party.
+ * @param {boolean|string} [aggregate=true] - If true, returns vote share by party only; 'alliance' returns it by alliance. If false, returns by state and party.
  * @param {number} [state] - Optional state ID filter
  * @param {string} [gender] - Optional gender filter
  * @param {number} [district] - Optional district ID filter
  * @param {number} [constituency] - Optional constituency ID filter
- * @returns {Array} Array of vote share data (format depends on aggregate parameter)
+ * @returns {Array} Array of vote share data (format depends on aggregate parameter;
+ *   with aggregate=alliance: {alliance, total_votes, vote_share_pct, parties: [{party, total_votes, vote_share_pct}]})
  */
 const getVoteShare = async (req, res) => {
   const { year, party, aggregate } = req.query;
@@ -476,19 +1230,11 @@ const getVoteShare = async (req, res) => {
     return res.status(400).json({ error: 'Year parameter is required' });
   }
 
-  // If aggregate=true, return vote share by party only (for charts)
-  if (aggregate === 'true' || aggregate === '1') {
+  // If aggregate=true, return vote share by party only (for charts); aggregate=alliance groups by alliance
+  if (aggregate === 'true' || aggregate === '1' || aggregate === 'alliance') {
+    const byAlliance = aggregate === 'alliance';
     const { state: stateFilter, gender: genderFilter, district: districtFilter, constituency: constituencyFilter } = req.query;
     
-    // If district is provided, get the district name first
-    let districtName = null;
-    if (districtFilter) {
-      const districtQuery = await queryWithCheck('SELECT name FROM constituencies WHERE id = $1', [parseInt(districtFilter)]);
-      if (districtQuery.rows.length > 0) {
-        districtName = districtQuery.rows[0].name;
-      }
-    }
-    
     // Build WHERE clause
     let whereClause = `WHERE e.year = $1 ${validYearsFilter} AND r.votes IS NOT NULL`;
     const params = [parseInt(year)];
@@ -500,9 +1246,9 @@ const getVoteShare = async (req, res) => {
       paramCount++;
     }
     
-    if (districtName) {
-      whereClause += ` AND c.name = $${paramCount}`;
-      params.push(districtName);
+    if (districtFilter) {
+      whereClause += ` AND ${districtCondition(paramCount)}`;
+      params.push(parseInt(districtFilter));
       paramCount++;
     }
     
@@ -532,8 +1278,10 @@ const getVoteShare = async (req, res) => {
     const totalVotes = totalVotesResult.rows[0]?.total_votes || 1;
 
     // Get vote share by party - calculate percentage in application code
+    // (by alliance and party when grouping by alliance)
     const resultQuery = `
       SELECT 
+        ${byAlliance ? `${allianceName} as alliance,` : ''}
         p.name as party,
         SUM(r.votes) as total_votes
       FROM results r
@@ -541,9 +1289,10 @@ const getVoteShare = async (req, res) => {
       JOIN parties p ON r.party_id = p.id
       JOIN constituencies c ON r.constituency_id = c.id
       JOIN candidates cand ON r.candidate_id = cand.id
+      ${byAlliance ? allianceJoin : ''}
       ${whereClause}
-      GROUP BY p.name
-      ORDER BY total_votes DESC
+      GROUP BY ${byAlliance ? `${allianceName}, ` : ''}p.name
+      ORDER BY total_votes DESC, p.name
     `;
     
     const result = await queryWithCheck(resultQuery, params);
@@ -555,7 +1304,24 @@ const getVoteShare = async (req, res) => {
       vote_share_pct: (row.total_votes * 100.0 / totalVotes)
     }));
 
-    res.json(rowsWithPercentage);
+    if (!byAlliance) {
+      res.json(rowsWithPercentage);
+      return;
+    }
+
+    // Sum the member parties of each alliance
+    const alliances = new Map();
+    result.rows.forEach((row, index) => {
+      if (!alliances.has(row.alliance)) {
+        alliances.set(row.alliance, { alliance: row.alliance, total_votes: 0, vote_share_pct: 0, parties: [] });
+      }
+      const alliance = alliances.get(row.alliance);
+      alliance.total_votes += row.total_votes;
+      alliance.vote_share_pct += rowsWithPercentage[index].vote_share_pct;
+      alliance.parties.push(rowsWithPercentage[index]);
+    });
+
+    res.json([...alliances.values()].sort((a, b) => b.total_votes - a.total_votes || a.alliance.localeCompare(b.alliance)));
     return;
   }
 
@@ -671,15 +1437,9 @@ const getGenderTrend = async (req, res) => {
   }
   
   if (district) {
-    // Filter by district name (since we group by name in the dropdown)
-    // First get the district name from the ID
-    const districtQuery = await queryWithCheck('SELECT name FROM constituencies WHERE id = $1', [parseInt(district)]);
-    if (districtQuery.rows.length > 0) {
-      const districtName = districtQuery.rows[0].name;
-      query += ` AND c.name = $${paramCount}`;
-      params.push(districtName);
-      paramCount++;
-    }
+    query += ` AND ${districtCondition(paramCount)}`;
+    params.push(parseInt(district));
+    paramCount++;
   }
   
   if (gender) {
@@ -730,15 +1490,6 @@ const getGenderTrend = async (req, res) => {
 const getMargins = async (req, res) => {
   const { year, state, limit = 10, district, constituency } = req.query;
   
-  // If district is provided, get the district name first
-  let districtName = null;
-  if (district) {
-    const districtQuery = await queryWithCheck('SELECT name FROM constituencies WHERE id = $1', [parseInt(district)]);
-    if (districtQuery.rows.length > 0) {
-      districtName = districtQuery.rows[0].name;
-    }
-  }
-  
   let query = `
     SELECT 
       e.year,
@@ -779,9 +1530,9 @@ const getMargins = async (req, res) => {
     paramCount++;
   }
   
-  if (districtName) {
-    query += ` AND c.name = $${paramCount}`;
-    params.push(districtName);
+  if (district) {
+    query += ` AND ${districtCondition(paramCount)}`;
+    params.push(parseInt(district));
     paramCount++;
   }
   
@@ -791,7 +1542,7 @@ const getMargins = async (req, res) => {
     paramCount++;
   }
   
-  query += ` ORDER BY r1.margin_percentage ASC LIMIT $${paramCount}`;
+  query += ` ORDER BY r1.margin_percentage ASC, c.name LIMIT $${paramCount}`;
   params.push(parseInt(limit));
 
   const result = await queryWithCheck(query, params);
@@ -820,7 +1571,7 @@ const search = async (req, res) => {
 
   if (type === 'all' || type === 'candidate') {
     const candidateResult = await queryWithCheck(
-      `SELECT DISTINCT name, sex FROM candidates WHERE name ILIKE $1 LIMIT 20`,
+      `SELECT id, name, sex FROM candidates WHERE LOWER(name) LIKE LOWER($1) ORDER BY name, id LIMIT 20`,
       [`%${q}%`]
     );
     results.candidates = candidateResult.rows;
@@ -828,10 +1579,10 @@ const search = async (req, res) => {
 
   if (type === 'all' || type === 'constituency') {
     const constituencyResult = await queryWithCheck(
-      `SELECT DISTINCT c.name, s.name as state_name 
+      `SELECT c.id, c.name, s.name as state_name 
        FROM constituencies c
        JOIN states s ON c.state_id = s.id
-       WHERE c.name ILIKE $1 LIMIT 20`,
+       WHERE LOWER(c.name) LIKE LOWER($1) ORDER BY c.name LIMIT 20`,
       [`%${q}%`]
     );
     results.constituencies = constituencyResult.rows;
@@ -839,7 +1590,7 @@ const search = async (req, res) => {
 
   if (type === 'all' || type === 'party') {
     const partyResult = await queryWithCheck(
-      `SELECT id, name FROM parties WHERE name ILIKE $1 LIMIT 20`,
+      `SELECT id, name FROM parties WHERE LOWER(name) LIKE LOWER($1) ORDER BY name LIMIT 20`,
       [`%${q}%`]
     );
     results.parties = partyResult.rows;
@@ -873,15 +1624,6 @@ const getKPIs = async (req, res) => {
     return res.status(400).json({ error: 'Year parameter is required' });
   }
 
-  // If district is provided, get the district name first
-  let districtName = null;
-  if (district) {
-    const districtQuery = await queryWithCheck('SELECT name FROM constituencies WHERE id = $1', [parseInt(district)]);
-    if (districtQuery.rows.length > 0) {
-      districtName = districtQuery.rows[0].name;
-    }
-  }
-
   // Build WHERE clause for state and gender filter
   let whereClause = `WHERE e.year = $1 ${validYearsFilter}`;
   const baseParams = [parseInt(year)];
@@ -893,9 +1635,9 @@ const getKPIs = async (req, res) => {
     paramCount++;
   }
   
-  if (districtName) {
-    whereClause += ` AND c.name = $${paramCount}`;
-    baseParams.push(districtName);
+  if (district) {
+    whereClause += ` AND ${districtCondition(paramCount)}`;
+    baseParams.push(parseInt(district));
     paramCount++;
   }
   
@@ -986,75 +1728,1402 @@ const getHighestTurnout = async (req, res) => {
   res.json(result.rows[0] || null);
 };
 
+/**
+ * Analytics: Get Average Victory Margin by State
+ *
+ * Calculates the average victory margin (winner's margin_percentage) for each state
+ * in a given election year. Lower averages indicate more competitive states.
+ *
+ * @route GET /api/analytics/state-margins
+ * @param {number} year - Election year (required)
+ * @returns {Array<{state_id: number, state: string, avg_margin: number, seats: number}>} Array of average margins by state
+ */
+const getStateMargins = async (req, res) => {
+  const { year } = req.query;
+  if (!year) {
+    return res.status(400).json({ error: 'Year parameter is required' });
+  }
+
+  const result = await queryWithCheck(
+    `SELECT
+      s.id as state_id,
+      s.name as state,
+      AVG(r.margin_percentage) as avg_margin,
+      COUNT(*) as seats
+    FROM results r
+    JOIN elections e ON r.election_id = e.id
+    JOIN constituencies c ON r.constituency_id = c.id
+    JOIN states s ON c.state_id = s.id
+    WHERE e.year = $1 ${validYearsFilter} AND r.position = 1 AND r.margin_percentage IS NOT NULL
+    GROUP BY s.id, s.name
+    ORDER BY avg_margin ASC`,
+    [parseInt(year)]
+  );
+
+  res.json(result.rows);
+};
+
 /**
  * Analytics: Get Seat Changes Between Two Election Years
  * 
  * Compares seat counts for each party between two election years and calculates
  * the change (gain or loss). Shows which parties gained or lost seats over time.
  * Useful for analyzing political shifts and party performance trends.
+ * With aggregate=alliance, seats are compared per alliance, each year using the
+ * party memberships of that year. With lineage=true, historical party names are
+ * folded into their latest successor, so renamed or merged parties compare as one.
  * 
  * @route GET /api/analytics/seat-changes
  * @param {number} year1 - First election year (required)
  * @param {number} year2 - Second election year (required)
+ * @param {string} [aggregate] - 'alliance' to compare alliances instead of parties
+ * @param {boolean} [lineage=false] - Fold historical party names into their successor
  * @returns {Array<{party: string, year1_seats: number, year2_seats: number, change: number}>} Array of party seat changes
+ *   (keyed by alliance instead of party with aggregate=alliance)
  */
 const getSeatChanges = async (req, res) => {
-  const { year1, year2 } = req.query;
+  const { year1, year2, aggregate } = req.query;
   if (!year1 || !year2) {
     return res.status(400).json({ error: 'Both year1 and year2 parameters are required' });
   }
 
+  const byAlliance = aggregate === 'alliance';
+  const groupColumn = byAlliance ? allianceName : 'p.name';
+  const groupKey = byAlliance ? 'alliance' : 'party';
+  const lineage = isLineage(req.query);
+
+  // Seats won per party (or alliance) in the year bound to placeholder paramIndex
+  const seatsInYear = (paramIndex, withSeats = true) => `
+      SELECT ${groupColumn} as ${groupKey}${withSeats ? ', COUNT(*) as seats' : ''}
+      FROM results r
+      JOIN elections e ON r.election_id = e.id
+      ${partyJoin(lineage)}
+      ${byAlliance ? allianceJoin : ''}
+      WHERE e.year = $${paramIndex} ${validYearsFilter} AND r.position = 1
+      GROUP BY ${groupColumn}`;
+
   // SQLite doesn't support FULL OUTER JOIN, use UNION of LEFT JOINs
   const result = await queryWithCheck(
     `SELECT 
-      COALESCE(y1.party, y2.party) as party,
+      COALESCE(y1.${groupKey}, y2.${groupKey}) as ${groupKey},
       COALESCE(y1.seats, 0) as year1_seats,
       COALESCE(y2.seats, 0) as year2_seats,
       COALESCE(y2.seats, 0) - COALESCE(y1.seats, 0) as change
-    FROM (
-      SELECT p.name as party, COUNT(*) as seats
-      FROM results r
-      JOIN elections e ON r.election_id = e.id
-      JOIN parties p ON r.party_id = p.id
-      WHERE e.year = $1 ${validYearsFilter} AND r.position = 1
-      GROUP BY p.name
+    FROM (${seatsInYear(1)}
     ) y1
-    LEFT JOIN (
-      SELECT p.name as party, COUNT(*) as seats
-      FROM results r
-      JOIN elections e ON r.election_id = e.id
-      JOIN parties p ON r.party_id = p.id
-      WHERE e.year = $2 ${validYearsFilter} AND r.position = 1
-      GROUP BY p.name
-    ) y2 ON y1.party = y2.party
+    LEFT JOIN (${seatsInYear(2)}
+    ) y2 ON y1.${groupKey} = y2.${groupKey}
     UNION
     SELECT 
-      y2.party,
+      y2.${groupKey},
       0 as year1_seats,
       y2.seats as year2_seats,
       y2.seats as change
-    FROM (
-      SELECT p.name as party, COUNT(*) as seats
+    FROM (${seatsInYear(2)}
+    ) y2
+    LEFT JOIN (${seatsInYear(1, false)}
+    ) y1 ON y2.${groupKey} = y1.${groupKey}
+    WHERE y1.${groupKey} IS NULL
+    ORDER BY change DESC, ${groupKey}`,
+    [parseInt(year1), parseInt(year2)]
+  );
+
+  res.json(result.rows);
+};
+
+/**
+ * Vote shares (%) per party from a Map of party -> votes
+ * @param {Map<string, number>} votes - Votes per party
+ * @returns {Map<string, number>} Vote share per party
+ */
+const voteSharesOf = (votes) => {
+  const total = [...votes.values()].reduce((sum, value) => sum + value, 0);
+  return new Map([...votes].map(([party, value]) => [party, total > 0 ? value * 100 / total : 0]));
+};
+
+/**
+ * Vote share of every party in two elections and its change in points, largest
+ * year2 share first
+ * @param {Map<string, number>} votes1 - Votes per party in the first election
+ * @param {Map<string, number>} votes2 - Votes per party in the second election
+ * @returns {Array<{party: string, vote_share1: number, vote_share2: number, change: number}>} Per-party shares
+ */
+const compareVoteShares = (votes1, votes2) => {
+  const shares1 = voteSharesOf(votes1);
+  const shares2 = voteSharesOf(votes2);
+  return [...new Set([...shares1.keys(), ...shares2.keys()])]
+    .map(party => {
+      const share1 = shares1.get(party) || 0;
+      const share2 = shares2.get(party) || 0;
+      return { party, vote_share1: share1, vote_share2: share2, change: share2 - share1 };
+    })
+    .sort((a, b) => b.vote_share2 - a.vote_share2 || b.vote_share1 - a.vote_share1 || a.party.localeCompare(b.party));
+};
+
+/**
+ * Butler swing between two parties: half of the first party's gain plus half of the
+ * second party's loss, in points. Positive means a swing towards the first party.
+ * @param {Array} parties - Per-party shares from compareVoteShares
+ * @param {Array<string>} topTwo - The two parties to compare
+ * @returns {number|null} Swing, or null with fewer than two parties
+ */
+const butlerSwing = (parties, topTwo) => {
+  const [first, second] = topTwo.map(name => parties.find(entry => entry.party === name));
+  return first && second ? (first.change - second.change) / 2 : null;
+};
+
+// Party with the most votes in a Map of party -> votes
+const leadingParty = (votes) => [...votes].reduce((best, entry) => (!best || entry[1] > best[1] ? entry : best), null)?.[0] || null;
+
+/**
+ * Analytics: Get Swing Between Two Election Years
+ *
+ * Compares every constituency contested in both years: each party's vote share
+ * change, the Butler swing between the seat's winner and runner-up in year2 and
+ * whether the seat changed hands. The same figures are aggregated by state from
+ * the votes of the compared seats. Vote shares are shares of all votes cast for
+ * candidates in the seat. With lineage=true, historical party names are folded
+ * into their latest successor.
+ *
+ * Seats redrawn between the years are flagged boundary_changed. With
+ * delimitation=true, year1 figures of a seat with links in
+ * constituency_delimitation_map are notional: its predecessors' votes, each
+ * weighted by the share of the predecessor that went into the seat, and its year1
+ * winner is the party leading those notional votes. This lets seats created at a
+ * redrawing be compared across it.
+ *
+ * @route GET /api/analytics/swing
+ * @param {number} year1 - First election year (required)
+ * @param {number} year2 - Second election year (required)
+ * @param {number} [state] - Optional state ID filter
+ * @param {boolean} [lineage=false] - Fold historical party names into their successor
+ * @param {boolean} [delimitation=false] - Use the delimitation map for redrawn seats
+ * @returns {Object<{year1: number, year2: number, constituencies: Array, states: Array}>} Per-seat and per-state swing
+ */
+const getSwing = async (req, res) => {
+  const year1 = parseInt(req.query.year1);
+  const year2 = parseInt(req.query.year2);
+  const { state } = req.query;
+  const delimitation = isDelimitation(req.query);
+
+  // Seats are redrawn within a state, so the filter keeps every predecessor seat
+  const params = [year1, year2];
+  let stateFilter = '';
+  if (state) {
+    params.push(parseInt(state));
+    stateFilter = `AND c.state_id = $${params.length}`;
+  }
+
+  const [voteResult, mapResult] = await Promise.all([
+    queryWithCheck(
+      `SELECT
+        e.year,
+        e.delimid,
+        c.id as constituency_id,
+        c.name as constituency_name,
+        s.id as state_id,
+        s.name as state_name,
+        p.name as party,
+        SUM(r.votes) as votes,
+        MIN(r.position) as position
       FROM results r
       JOIN elections e ON r.election_id = e.id
-      JOIN parties p ON r.party_id = p.id
-      WHERE e.year = $2 ${validYearsFilter} AND r.position = 1
-      GROUP BY p.name
-    ) y2
-    LEFT JOIN (
-      SELECT p.name as party
+      JOIN constituencies c ON r.constituency_id = c.id
+      JOIN states s ON c.state_id = s.id
+      ${partyJoin(isLineage(req.query))}
+      WHERE e.year IN ($1, $2) ${validYearsFilter} ${stateFilter}
+      GROUP BY e.year, e.delimid, c.id, c.name, s.id, s.name, p.name`,
+      params
+    ),
+    delimitation
+      ? queryWithCheck('SELECT old_constituency_id, new_constituency_id, weight FROM constituency_delimitation_map')
+      : Promise.resolve({ rows: [] })
+  ]);
+
+  // year -> constituency id -> { seat details, votes: Map(party -> votes), ranking: parties by finishing position }
+  const seatsByYear = { [year1]: new Map(), [year2]: new Map() };
+  voteResult.rows.forEach(row => {
+    const seats = seatsByYear[row.year];
+    if (!seats.has(row.constituency_id)) {
+      seats.set(row.constituency_id, {
+        constituency_id: row.constituency_id,
+        constituency_name: row.constituency_name,
+        state_id: row.state_id,
+        state_name: row.state_name,
+        delimid: row.delimid,
+        votes: new Map(),
+        ranking: []
+      });
+    }
+    const seat = seats.get(row.constituency_id);
+    seat.votes.set(row.party, (seat.votes.get(row.party) || 0) + (row.votes || 0));
+    seat.ranking.push(row);
+  });
+  [year1, year2].forEach(year => seatsByYear[year].forEach(seat => {
+    seat.ranking = seat.ranking
+      .filter(row => row.position != null)
+      .sort((a, b) => a.position - b.position)
+      .map(row => row.party);
+  }));
+
+  // new seat id -> [{ old seat id, weight }]
+  const predecessors = new Map();
+  mapResult.rows.forEach(link => {
+    if (!predecessors.has(link.new_constituency_id)) {
+      predecessors.set(link.new_constituency_id, []);
+    }
+    predecessors.get(link.new_constituency_id).push({ id: link.old_constituency_id, weight: link.weight });
+  });
+
+  const constituencies = [];
+  const stateMap = new Map();
+  seatsByYear[year2].forEach(seat2 => {
+    // Year1 votes: the seat's own, or notional ones from the seats it was drawn from
+    let votes1 = null;
+    let winner1 = null;
+    let notional = false;
+    let boundaryChanged = false;
+    const links = (predecessors.get(seat2.constituency_id) || []).filter(link => seatsByYear[year1].has(link.id));
+    if (links.length > 0) {
+      votes1 = new Map();
+      links.forEach(link => {
+        const seat1 = seatsByYear[year1].get(link.id);
+        seat1.votes.forEach((votes, party) => votes1.set(party, (votes1.get(party) || 0) + votes * link.weight));
+        boundaryChanged = boundaryChanged || link.id !== seat2.constituency_id
+          || (seat1.delimid != null && seat2.delimid != null && seat1.delimid !== seat2.delimid);
+      });
+      winner1 = leadingParty(votes1);
+      notional = true;
+    } else if (seatsByYear[year1].has(seat2.constituency_id)) {
+      const seat1 = seatsByYear[year1].get(seat2.constituency_id);
+      votes1 = seat1.votes;
+      winner1 = seat1.ranking[0] || null;
+      boundaryChanged = seat1.delimid != null && seat2.delimid != null && seat1.delimid !== seat2.delimid;
+    } else {
+      return; // Not contested in both years
+    }
+
+    const parties = compareVoteShares(votes1, seat2.votes);
+    const topTwo = seat2.ranking.slice(0, 2);
+    const winner2 = topTwo[0] || null;
+    constituencies.push({
+      constituency_id: seat2.constituency_id,
+      constituency_name: seat2.constituency_name,
+      state_id: seat2.state_id,
+      state_name: seat2.state_name,
+      boundary_changed: boundaryChanged,
+      notional,
+      winner1,
+      winner2,
+      changed_hands: winner1 !== winner2,
+      top_two: topTwo,
+      butler_swing: butlerSwing(parties, topTwo),
+      parties
+    });
+
+    // Add the seat's votes to its state's totals
+    if (!stateMap.has(seat2.state_id)) {
+      stateMap.set(seat2.state_id, {
+        state_id: seat2.state_id,
+        state_name: seat2.state_name,
+        seats: 0,
+        seats_changed_hands: 0,
+        boundary_changed_seats: 0,
+        votes1: new Map(),
+        votes2: new Map()
+      });
+    }
+    const stateEntry = stateMap.get(seat2.state_id);
+    stateEntry.seats++;
+    if (winner1 !== winner2) stateEntry.seats_changed_hands++;
+    if (boundaryChanged) stateEntry.boundary_changed_seats++;
+    votes1.forEach((votes, party) => stateEntry.votes1.set(party, (stateEntry.votes1.get(party) || 0) + votes));
+    seat2.votes.forEach((votes, party) => stateEntry.votes2.set(party, (stateEntry.votes2.get(party) || 0) + votes));
+  });
+
+  // State swing is between the two parties with the largest year2 vote share in the state
+  const states = [...stateMap.values()].map(({ votes1, votes2, ...stateEntry }) => {
+    const parties = compareVoteShares(votes1, votes2);
+    const topTwo = parties.slice(0, 2).map(entry => entry.party);
+    return { ...stateEntry, top_two: topTwo, butler_swing: butlerSwing(parties, topTwo), parties };
+  });
+
+  // Largest swings first
+  constituencies.sort((a, b) => Math.abs(b.butler_swing || 0) - Math.abs(a.butler_swing || 0)
+    || a.state_name.localeCompare(b.state_name) || a.constituency_name.localeCompare(b.constituency_name));
+  states.sort((a, b) => a.state_name.localeCompare(b.state_name));
+
+  res.json({ year1, year2, constituencies, states });
+};
+
+/**
+ * Analytics: Swing-o-meter Seat Projection
+ *
+ * Projects the seats of a base election under hypothetical vote swings. Each
+ * party's swing (in vote share points) is applied to its candidates in every
+ * constituency of the base year; state_swings replace the national swing of a
+ * party within one state. Vote shares are shares of all votes cast for candidates.
+ *
+ * - uniform: the swing is added to the party's share in every seat
+ * - proportional: the party's share in every seat is scaled by
+ *   (base share + swing) / base share, where base share is its share in the nation
+ *   (or in the state, for state swings), so it gains most where it is strongest
+ *
+ * Candidates of parties without a swing absorb the net change in proportion to their
+ * shares, so every seat still adds up to 100%. Shares never fall below zero. The
+ * candidate with the largest share wins; seats whose winning party changes are flips.
+ *
+ * @route POST /api/analytics/swingometer
+ * @param {number} year - Base election year (body, required)
+ * @param {string} [mode='uniform'] - 'uniform' or 'proportional' (body)
+ * @param {Object<string, number>} [swings] - Party name -> national swing in points (body)
+ * @param {Object<string, Object<string, number>>} [state_swings] - State ID -> party name -> swing in points (body)
+ * @returns {Object<{year: number, mode: string, total_seats: number, parties: Array, states: Array, flips: Array}>} Projected seats by party and state, and the seats that flip
+ */
+const getSwingometer = async (req, res) => {
+  const year = parseInt(req.body.year);
+  const mode = req.body.mode || 'uniform';
+  const swings = req.body.swings || {};
+  const stateSwings = req.body.state_swings || {};
+
+  const result = await queryWithCheck(
+    `SELECT
+      c.id as constituency_id,
+      c.name as constituency_name,
+      s.id as state_id,
+      s.name as state_name,
+      p.name as party,
+      r.votes
+    FROM results r
+    JOIN elections e ON r.election_id = e.id
+    JOIN constituencies c ON r.constituency_id = c.id
+    JOIN states s ON c.state_id = s.id
+    JOIN parties p ON r.party_id = p.id
+    WHERE e.year = $1 ${validYearsFilter}
+    ORDER BY c.id, r.position`,
+    [year]
+  );
+  if (result.rows.length === 0) {
+    return res.status(404).json({ error: `No results for ${year}` });
+  }
+
+  // Seats with their candidates in finishing order, and votes per party nationally and per state
+  const seatMap = new Map();
+  const nationalVotes = new Map();
+  const stateVotes = new Map();
+  let totalVotes = 0;
+  result.rows.forEach(row => {
+    if (!seatMap.has(row.constituency_id)) {
+      seatMap.set(row.constituency_id, {
+        constituency_id: row.constituency_id,
+        constituency_name: row.constituency_name,
+        state_id: row.state_id,
+        state_name: row.state_name,
+        total: 0,
+        candidates: []
+      });
+    }
+    const votes = row.votes || 0;
+    const seat = seatMap.get(row.constituency_id);
+    seat.total += votes;
+    seat.candidates.push({ party: row.party, votes });
+
+    nationalVotes.set(row.party, (nationalVotes.get(row.party) || 0) + votes);
+    if (!stateVotes.has(row.state_id)) {
+      stateVotes.set(row.state_id, { total: 0, parties: new Map() });
+    }
+    const state = stateVotes.get(row.state_id);
+    state.total += votes;
+    state.parties.set(row.party, (state.parties.get(row.party) || 0) + votes);
+    totalVotes += votes;
+  });
+
+  // Swings must name parties and states that took part in the base election
+  const unknownParties = [...new Set([...Object.keys(swings), ...Object.values(stateSwings).flatMap(Object.keys)])]
+    .filter(party => !nationalVotes.has(party));
+  const unknownStates = Object.keys(stateSwings).filter(stateId => !stateVotes.has(parseInt(stateId)));
+  if (unknownParties.length > 0 || unknownStates.length > 0) {
+    return res.status(400).json({
+      error: [
+        unknownParties.length > 0 ? `Unknown parties for ${year}: ${unknownParties.join(', ')}` : null,
+        unknownStates.length > 0 ? `Unknown state IDs for ${year}: ${unknownStates.join(', ')}` : null
+      ].filter(Boolean).join('; ')
+    });
+  }
+
+  // Swing of a party in a state and the vote share it is relative to (for proportional swings)
+  const swingFor = (party, stateId) => {
+    const override = stateSwings[stateId] && stateSwings[stateId][party];
+    if (override != null) {
+      const state = stateVotes.get(stateId);
+      return { swing: override, baseShare: (state.parties.get(party) || 0) * 100 / state.total };
+    }
+    if (swings[party] != null) {
+      return { swing: swings[party], baseShare: nationalVotes.get(party) * 100 / totalVotes };
+    }
+    return null;
+  };
+
+  // Leading candidate (first on ties, i.e. the better finishing position) and runner-up
+  const topTwo = (shares) => shares.reduce(([first, second], share, index) => {
+    if (first === null || share > shares[first]) return [index, first];
+    if (second === null || share > shares[second]) return [first, index];
+    return [first, second];
+  }, [null, null]);
+  const marginOf = (shares, [first, second]) => (second === null ? shares[first] : shares[first] - shares[second]);
+
+  const partyMap = new Map();
+  const stateMap = new Map();
+  const projectedVotes = new Map();
+  const flips = [];
+  const partyEntry = (map, party) => {
+    if (!map.has(party)) {
+      map.set(party, { party, base_seats: 0, seats: 0 });
+    }
+    return map.get(party);
+  };
+
+  seatMap.forEach(seat => {
+    const baseShares = seat.candidates.map(candidate => (seat.total > 0 ? candidate.votes * 100 / seat.total : 0));
+    const partyCounts = seat.candidates.reduce((counts, candidate) => counts.set(candidate.party, (counts.get(candidate.party) || 0) + 1), new Map());
+
+    // Apply the swings; a party with several candidates (independents) splits a uniform swing
+    let swungTotal = 0;
+    let otherTotal = 0;
+    const swung = seat.candidates.map((candidate, index) => {
+      const applied = swingFor(candidate.party, seat.state_id);
+      if (!applied) {
+        otherTotal += baseShares[index];
+        return false;
+      }
+      const share = mode === 'proportional'
+        ? (applied.baseShare > 0 ? baseShares[index] * (applied.baseShare + applied.swing) / applied.baseShare : 0)
+        : baseShares[index] + applied.swing / partyCounts.get(candidate.party);
+      swungTotal += Math.max(share, 0);
+      return Math.max(share, 0);
+    });
+    let shares = swung.map((share, index) => (share === false ? baseShares[index] : share));
+
+    // Others absorb the net change; if they cannot, scale every share back to 100
+    if (otherTotal > 0 && swungTotal <= 100) {
+      const factor = (100 - swungTotal) / otherTotal;
+      shares = shares.map((share, index) => (swung[index] === false ? share * factor : share));
+    } else {
+      const sum = shares.reduce((total, share) => total + share, 0);
+      shares = shares.map(share => (sum > 0 ? share * 100 / sum : 0));
+    }
+
+    const base = topTwo(baseShares);
+    const projected = topTwo(shares);
+    const baseParty = seat.candidates[base[0]].party;
+    const projectedParty = seat.candidates[projected[0]].party;
+
+    partyEntry(partyMap, baseParty).base_seats++;
+    partyEntry(partyMap, projectedParty).seats++;
+    if (!stateMap.has(seat.state_id)) {
+      stateMap.set(seat.state_id, { state_id: seat.state_id, state_name: seat.state_name, total_seats: 0, flips: 0, parties: new Map() });
+    }
+    const state = stateMap.get(seat.state_id);
+    state.total_seats++;
+    partyEntry(state.parties, baseParty).base_seats++;
+    partyEntry(state.parties, projectedParty).seats++;
+
+    seat.candidates.forEach((candidate, index) => {
+      projectedVotes.set(candidate.party, (projectedVotes.get(candidate.party) || 0) + shares[index] * seat.total / 100);
+    });
+
+    if (baseParty !== projectedParty) {
+      state.flips++;
+      flips.push({
+        constituency_id: seat.constituency_id,
+        constituency_name: seat.constituency_name,
+        state_id: seat.state_id,
+        state_name: seat.state_name,
+        from_party: baseParty,
+        to_party: projectedParty,
+        base_margin: marginOf(baseShares, base),
+        projected_margin: marginOf(shares, projected)
+      });
+    }
+  });
+
+  // Parties that win seats in either scenario or were given a swing, with national vote shares
+  const swungParties = new Set([...Object.keys(swings), ...Object.values(stateSwings).flatMap(Object.keys)]);
+  swungParties.forEach(party => partyEntry(partyMap, party));
+  const bySeats = (a, b) => b.seats - a.seats || b.base_seats - a.base_seats || a.party.localeCompare(b.party);
+  const parties = [...partyMap.values()]
+    .map(entry => ({
+      party: entry.party,
+      base_vote_share: totalVotes > 0 ? nationalVotes.get(entry.party) * 100 / totalVotes : 0,
+      vote_share: totalVotes > 0 ? (projectedVotes.get(entry.party) || 0) * 100 / totalVotes : 0,
+      base_seats: entry.base_seats,
+      seats: entry.seats,
+      change: entry.seats - entry.base_seats
+    }))
+    .sort(bySeats);
+
+  const states = [...stateMap.values()]
+    .map(state => ({
+      ...state,
+      parties: [...state.parties.values()]
+        .map(entry => ({ ...entry, change: entry.seats - entry.base_seats }))
+        .sort(bySeats)
+    }))
+    .sort((a, b) => a.state_name.localeCompare(b.state_name));
+
+  flips.sort((a, b) => a.state_name.localeCompare(b.state_name) || a.constituency_name.localeCompare(b.constituency_name));
+
+  res.json({ year, mode, total_seats: seatMap.size, parties, states, flips });
+};
+
+/**
+ * Analytics: Alliance Merger What-if
+ *
+ * Recomputes every constituency of a base election as if groups of parties had
+ * pooled their votes. In each seat the partner whose candidate polled most stands
+ * for the group and receives transfer_efficiency percent of the other partners'
+ * votes; votes that do not transfer are lost. The contestant with the most votes
+ * wins. Seats are counted per group (a group's base seats are its members' seats)
+ * and per remaining party; seats won by a different group or party are flips.
+ * Margins and vote shares are in points of the votes actually cast.
+ *
+ * @route POST /api/analytics/alliance-merger
+ * @param {number} year - Base election year (body, required)
+ * @param {Array<{name: string, parties: Array<string>}>} groups - Parties to pool; name defaults to the parties joined by ' + ' (body, required)
+ * @param {number} [transfer_efficiency=100] - Percentage of partner votes that transfer (body)
+ * @returns {Object<{year: number, transfer_efficiency: number, total_seats: number, parties: Array, flips: Array}>} Seats by group/party before and after, and the seats that flip
+ */
+const getAllianceMerger = async (req, res) => {
+  const year = parseInt(req.body.year);
+  const efficiency = req.body.transfer_efficiency != null ? parseFloat(req.body.transfer_efficiency) : 100;
+  const groups = req.body.groups.map(group => ({
+    name: (group.name && group.name.trim()) || group.parties.join(' + '),
+    members: group.parties
+  }));
+
+  const result = await queryWithCheck(
+    `SELECT
+      c.id as constituency_id,
+      c.name as constituency_name,
+      s.id as state_id,
+      s.name as state_name,
+      p.name as party,
+      r.votes
+    FROM results r
+    JOIN elections e ON r.election_id = e.id
+    JOIN constituencies c ON r.constituency_id = c.id
+    JOIN states s ON c.state_id = s.id
+    JOIN parties p ON r.party_id = p.id
+    WHERE e.year = $1 ${validYearsFilter}
+    ORDER BY c.id, r.position`,
+    [year]
+  );
+  if (result.rows.length === 0) {
+    return res.status(404).json({ error: `No results for ${year}` });
+  }
+
+  // Seats with their candidates in finishing order, and votes per party nationally
+  const seatMap = new Map();
+  const nationalVotes = new Map();
+  let totalVotes = 0;
+  result.rows.forEach(row => {
+    if (!seatMap.has(row.constituency_id)) {
+      seatMap.set(row.constituency_id, {
+        constituency_id: row.constituency_id,
+        constituency_name: row.constituency_name,
+        state_id: row.state_id,
+        state_name: row.state_name,
+        total: 0,
+        candidates: []
+      });
+    }
+    const votes = row.votes || 0;
+    const seat = seatMap.get(row.constituency_id);
+    seat.total += votes;
+    seat.candidates.push({ party: row.party, votes });
+    nationalVotes.set(row.party, (nationalVotes.get(row.party) || 0) + votes);
+    totalVotes += votes;
+  });
+
+  // Groups must pool parties of the base election, and their names must not be
+  // mistaken for each other or for a party outside the group
+  const groupOf = new Map();
+  groups.forEach(group => group.members.forEach(party => groupOf.set(party, group.name)));
+  const unknownParties = [...groupOf.keys()].filter(party => !nationalVotes.has(party));
+  const clashingNames = groups
+    .filter((group, index) => groups.findIndex(other => other.name === group.name) !== index
+      || (nationalVotes.has(group.name) && groupOf.get(group.name) !== group.name))
+    .map(group => group.name);
+  if (unknownParties.length > 0 || clashingNames.length > 0) {
+    return res.status(400).json({
+      error: [
+        unknownParties.length > 0 ? `Unknown parties for ${year}: ${unknownParties.join(', ')}` : null,
+        clashingNames.length > 0 ? `Group names must be unique and differ from other parties: ${[...new Set(clashingNames)].join(', ')}` : null
+      ].filter(Boolean).join('; ')
+    });
+  }
+  const sideOf = party => groupOf.get(party) || party;
+
+  // Leading contestant (first on ties, i.e. the better finishing position) and runner-up
+  const topTwo = (contestants) => contestants.reduce(([first, second], contestant) => {
+    if (first === null || contestant.votes > first.votes) return [contestant, first];
+    if (second === null || contestant.votes > second.votes) return [first, contestant];
+    return [first, second];
+  }, [null, null]);
+  const marginOf = ([first, second], total) => (total > 0 ? (first.votes - (second ? second.votes : 0)) * 100 / total : 0);
+
+  const sideMap = new Map();
+  const flips = [];
+  const sideEntry = (side) => {
+    if (!sideMap.has(side)) {
+      sideMap.set(side, { party: side, base_seats: 0, seats: 0, base_votes: 0, votes: 0 });
+    }
+    return sideMap.get(side);
+  };
+
+  seatMap.forEach(seat => {
+    // Each group fields the candidate of its strongest partner, with the transferred partner votes
+    const contestants = [];
+    const groupContestants = new Map();
+    seat.candidates.forEach(candidate => {
+      const group = groupOf.get(candidate.party);
+      if (!group) {
+        contestants.push({ side: candidate.party, party: candidate.party, votes: candidate.votes });
+        return;
+      }
+      const contestant = groupContestants.get(group);
+      if (!contestant) {
+        const entry = { side: group, party: candidate.party, lead: candidate.votes, partners: 0 };
+        groupContestants.set(group, entry);
+        contestants.push(entry);
+      } else if (candidate.votes > contestant.lead) {
+        contestant.partners += contestant.lead;
+        contestant.party = candidate.party;
+        contestant.lead = candidate.votes;
+      } else {
+        contestant.partners += candidate.votes;
+      }
+    });
+    groupContestants.forEach(contestant => {
+      contestant.votes = contestant.lead + contestant.partners * efficiency / 100;
+    });
+
+    const base = topTwo(seat.candidates);
+    const projected = topTwo(contestants);
+    const baseSide = sideOf(base[0].party);
+    const projectedSide = projected[0].side;
+
+    sideEntry(baseSide).base_seats++;
+    sideEntry(projectedSide).seats++;
+    seat.candidates.forEach(candidate => {
+      sideEntry(sideOf(candidate.party)).base_votes += candidate.votes;
+    });
+    contestants.forEach(contestant => {
+      sideEntry(contestant.side).votes += contestant.votes;
+    });
+
+    if (baseSide !== projectedSide) {
+      flips.push({
+        constituency_id: seat.constituency_id,
+        constituency_name: seat.constituency_name,
+        state_id: seat.state_id,
+        state_name: seat.state_name,
+        from_party: base[0].party,
+        to_party: projectedSide,
+        candidate_party: projected[0].party,
+        base_margin: marginOf(base, seat.total),
+        projected_margin: marginOf(projected, seat.total)
+      });
+    }
+  });
+
+  // Groups, and parties that win seats in either scenario
+  groups.forEach(group => sideEntry(group.name));
+  const members = new Map(groups.map(group => [group.name, group.members]));
+  const parties = [...sideMap.values()]
+    .filter(entry => members.has(entry.party) || entry.base_seats > 0 || entry.seats > 0)
+    .map(entry => ({
+      party: entry.party,
+      members: members.get(entry.party) || null,
+      base_vote_share: totalVotes > 0 ? entry.base_votes * 100 / totalVotes : 0,
+      vote_share: totalVotes > 0 ? entry.votes * 100 / totalVotes : 0,
+      base_seats: entry.base_seats,
+      seats: entry.seats,
+      change: entry.seats - entry.base_seats
+    }))
+    .sort((a, b) => b.seats - a.seats || b.base_seats - a.base_seats || a.party.localeCompare(b.party));
+
+  flips.sort((a, b) => a.state_name.localeCompare(b.state_name) || a.constituency_name.localeCompare(b.constituency_name));
+
+  res.json({ year, transfer_efficiency: efficiency, total_seats: seatMap.size, parties, flips });
+};
+
+// party_type_tcpd of independent candidates, who cannot win list seats
+const INDEPENDENTS_TYPE = 'Independents';
+
+/**
+ * Seats per party by a highest-averages method: each seat goes to the party with the
+ * largest votes / divisor(seats won so far). Ties go to the earlier party in the list.
+ * @param {Array<{party: string, votes: number}>} entries - Eligible parties, most votes first
+ * @param {number} seats - Seats to allocate
+ * @param {Function} divisor - Seats won so far -> divisor
+ * @returns {Map<string, number>} Seats per party
+ */
+const highestAverages = (entries, seats, divisor) => {
+  const allocation = new Map(entries.map(entry => [entry.party, 0]));
+  for (let seat = 0; seat < seats && entries.length > 0; seat++) {
+    const winner = entries.reduce((best, entry) => {
+      const quotient = entry.votes / divisor(allocation.get(entry.party));
+      return best === null || quotient > best.quotient ? { party: entry.party, quotient } : best;
+    }, null);
+    allocation.set(winner.party, allocation.get(winner.party) + 1);
+  }
+  return allocation;
+};
+
+/**
+ * Seats per party by largest remainders with the Hare quota (votes / seats): every
+ * party gets its whole quotas, and the seats left over go to the largest remainders.
+ * Ties go to the earlier party in the list.
+ * @param {Array<{party: string, votes: number}>} entries - Eligible parties, most votes first
+ * @param {number} seats - Seats to allocate
+ * @returns {Map<string, number>} Seats per party
+ */
+const largestRemainder = (entries, seats) => {
+  const total = entries.reduce((sum, entry) => sum + entry.votes, 0);
+  const allocation = new Map(entries.map(entry => [entry.party, 0]));
+  if (total === 0) return allocation;
+  const quotas = entries.map(entry => ({ party: entry.party, quota: entry.votes * seats / total }));
+  quotas.forEach(({ party, quota }) => allocation.set(party, Math.floor(quota)));
+  const left = seats - quotas.reduce((sum, { quota }) => sum + Math.floor(quota), 0);
+  quotas
+    .map(({ party, quota }, index) => ({ party, remainder: quota - Math.floor(quota), index }))
+    .sort((a, b) => b.remainder - a.remainder || a.index - b.index)
+    .slice(0, left)
+    .forEach(({ party }) => allocation.set(party, allocation.get(party) + 1));
+  return allocation;
+};
+
+// Proportional methods compared with first past the post
+const PR_METHODS = {
+  dhondt: (entries, seats) => highestAverages(entries, seats, won => won + 1),
+  sainte_lague: (entries, seats) => highestAverages(entries, seats, won => 2 * won + 1),
+  hare: largestRemainder
+};
+
+/**
+ * Analytics: Proportional Representation Counterfactuals
+ *
+ * Reallocates each state's seats (the number of constituencies decided that year)
+ * among parties in proportion to their votes in the state, by D'Hondt, Sainte-Laguë
+ * and largest remainders (Hare quota), next to the seats actually won under first
+ * past the post (position = 1, as in getSeatShare). Independents cannot win list
+ * seats, and parties below the threshold (percent of all votes in the state) are
+ * excluded; a state with no eligible party leaves its seats unallocated.
+ *
+ * @route GET /api/analytics/proportional
+ * @param {number} year - Election year (required)
+ * @param {number} [threshold=0] - Minimum vote share (%) in a state to win seats there
+ * @param {number} [state] - Optional state ID filter
+ * @returns {Object<{year: number, threshold: number, total_seats: number, unallocated_seats: number, parties: Array, states: Array}>}
+ *   Seats per party nationally and per state: {party, votes, vote_share, fptp_seats, dhondt, sainte_lague, hare}
+ */
+const getProportionalSeats = async (req, res) => {
+  const year = parseInt(req.query.year);
+  const threshold = req.query.threshold ? parseFloat(req.query.threshold) : 0;
+  const params = [year];
+  let stateFilter = '';
+  if (req.query.state) {
+    stateFilter = 'AND c.state_id = $2';
+    params.push(parseInt(req.query.state));
+  }
+
+  const result = await queryWithCheck(
+    `SELECT
+      s.id as state_id,
+      s.name as state_name,
+      p.name as party,
+      p.party_type_tcpd,
+      COALESCE(SUM(r.votes), 0) as votes,
+      SUM(CASE WHEN r.position = 1 THEN 1 ELSE 0 END) as seats
+    FROM results r
+    JOIN elections e ON r.election_id = e.id
+    JOIN constituencies c ON r.constituency_id = c.id
+    JOIN states s ON c.state_id = s.id
+    JOIN parties p ON r.party_id = p.id
+    WHERE e.year = $1 ${validYearsFilter} ${stateFilter}
+    GROUP BY s.id, s.name, p.name, p.party_type_tcpd`,
+    params
+  );
+  if (result.rows.length === 0) {
+    return res.status(404).json({ error: `No results for ${year}` });
+  }
+
+  const stateMap = new Map();
+  result.rows.forEach(row => {
+    if (!stateMap.has(row.state_id)) {
+      stateMap.set(row.state_id, { state_id: row.state_id, state_name: row.state_name, seats: 0, votes: 0, rows: [] });
+    }
+    const state = stateMap.get(row.state_id);
+    state.seats += row.seats;
+    state.votes += row.votes;
+    state.rows.push(row);
+  });
+
+  const methods = Object.keys(PR_METHODS);
+  const nationalMap = new Map();
+  let totalVotes = 0;
+  let unallocatedSeats = 0;
+  const partyEntry = (map, party) => {
+    if (!map.has(party)) {
+      map.set(party, { party, votes: 0, vote_share: 0, fptp_seats: 0, ...Object.fromEntries(methods.map(method => [method, 0])) });
+    }
+    return map.get(party);
+  };
+  // Parties that win seats under any method, most FPTP seats first
+  const withSeats = (entries) => entries
+    .filter(entry => entry.fptp_seats > 0 || methods.some(method => entry[method] > 0))
+    .sort((a, b) => b.fptp_seats - a.fptp_seats || b.votes - a.votes || a.party.localeCompare(b.party));
+
+  const states = [...stateMap.values()].map(state => {
+    const eligible = state.rows
+      .filter(row => row.party_type_tcpd !== INDEPENDENTS_TYPE && row.votes > 0 && row.votes * 100 / state.votes >= threshold)
+      .map(row => ({ party: row.party, votes: row.votes }))
+      .sort((a, b) => b.votes - a.votes || a.party.localeCompare(b.party));
+    const allocations = methods.map(method => [method, PR_METHODS[method](eligible, state.seats)]);
+    const unallocated = eligible.length > 0 ? 0 : state.seats;
+
+    const stateParties = new Map();
+    state.rows.forEach(row => {
+      const entry = partyEntry(stateParties, row.party);
+      entry.votes += row.votes;
+      entry.fptp_seats += row.seats;
+    });
+    allocations.forEach(([method, allocation]) => {
+      allocation.forEach((seats, party) => {
+        partyEntry(stateParties, party)[method] += seats;
+      });
+    });
+    stateParties.forEach(entry => {
+      entry.vote_share = state.votes > 0 ? entry.votes * 100 / state.votes : 0;
+      const national = partyEntry(nationalMap, entry.party);
+      national.votes += entry.votes;
+      national.fptp_seats += entry.fptp_seats;
+      methods.forEach(method => {
+        national[method] += entry[method];
+      });
+    });
+    totalVotes += state.votes;
+    unallocatedSeats += unallocated;
+
+    return {
+      state_id: state.state_id,
+      state_name: state.state_name,
+      seats: state.seats,
+      unallocated_seats: unallocated,
+      parties: withSeats([...stateParties.values()])
+    };
+  });
+
+  nationalMap.forEach(entry => {
+    entry.vote_share = totalVotes > 0 ? entry.votes * 100 / totalVotes : 0;
+  });
+  states.sort((a, b) => a.state_name.localeCompare(b.state_name));
+
+  res.json({
+    year,
+    threshold,
+    total_seats: states.reduce((sum, state) => sum + state.seats, 0),
+    unallocated_seats: unallocatedSeats,
+    parties: withSeats([...nationalMap.values()]),
+    states
+  });
+};
+
+/**
+ * Disproportionality and fragmentation indices from votes and seats per party. Each
+ * party key counts as one party (independents are keyed per candidate).
+ * @param {Map<string, {votes: number, seats: number}>} parties - Votes and seats won per party
+ * @returns {Object<{seats: number, gallagher: number|null, loosemore_hanby: number|null, enp_votes: number|null,
+ *   enp_seats: number|null, herfindahl_votes: number|null, herfindahl_seats: number|null}>} Indices (null without votes or seats)
+ */
+const fragmentationIndices = (parties) => {
+  const entries = [...parties.values()];
+  const totalVotes = entries.reduce((sum, entry) => sum + entry.votes, 0);
+  const totalSeats = entries.reduce((sum, entry) => sum + entry.seats, 0);
+  const shares = entries.map(entry => ({
+    votes: totalVotes > 0 ? entry.votes / totalVotes : 0,
+    seats: totalSeats > 0 ? entry.seats / totalSeats : 0
+  }));
+  const herfindahlVotes = totalVotes > 0 ? shares.reduce((sum, share) => sum + share.votes ** 2, 0) : null;
+  const herfindahlSeats = totalSeats > 0 ? shares.reduce((sum, share) => sum + share.seats ** 2, 0) : null;
+  const comparable = totalVotes > 0 && totalSeats > 0;
+
+  return {
+    seats: totalSeats,
+    // Differences between vote and seat shares, in percentage points
+    gallagher: comparable ? Math.sqrt(shares.reduce((sum, share) => sum + ((share.votes - share.seats) * 100) ** 2, 0) / 2) : null,
+    loosemore_hanby: comparable ? shares.reduce((sum, share) => sum + Math.abs(share.votes - share.seats) * 100, 0) / 2 : null,
+    // Laakso-Taagepera effective number of parties
+    enp_votes: herfindahlVotes ? 1 / herfindahlVotes : null,
+    enp_seats: herfindahlSeats ? 1 / herfindahlSeats : null,
+    herfindahl_votes: herfindahlVotes,
+    herfindahl_seats: herfindahlSeats
+  };
+};
+
+/**
+ * Analytics: Disproportionality and Fragmentation Indices
+ *
+ * Computes per election year, nationally and per state, from votes and seats won
+ * (position = 1) per party:
+ * - gallagher: least-squares index, sqrt(½ Σ (vote % - seat %)²)
+ * - loosemore_hanby: ½ Σ |vote % - seat %|
+ * - enp_votes / enp_seats: Laakso-Taagepera effective number of parties, 1 / Σ share²
+ * - herfindahl_votes / herfindahl_seats: concentration Σ share² (0-1)
+ * Every independent candidate counts as a party of their own. The imported enop
+ * column is not used.
+ *
+ * @route GET /api/analytics/fragmentation
+ * @param {number} [year] - Optional election year filter
+ * @param {number} [state] - Optional state ID; limits the state rows to that state
+ * @returns {Object<{national: Array, states: Array}>} Indices per year ({year, seats, ...indices}) and per
+ *   year and state ({year, state_id, state_name, seats, ...indices}), oldest year first
+ */
+const getFragmentation = async (req, res) => {
+  const { year, state } = req.query;
+  const params = [];
+  let yearFilter = '';
+  if (year) {
+    params.push(parseInt(year));
+    yearFilter = `AND e.year = $${params.length}`;
+  }
+
+  // Independents are keyed per result row so that each counts as a separate party
+  const partyKey = `CASE WHEN p.party_type_tcpd = '${INDEPENDENTS_TYPE}' THEN 'IND#' || CAST(r.id AS TEXT) ELSE p.name END`;
+  const result = await queryWithCheck(
+    `SELECT
+      e.year,
+      s.id as state_id,
+      s.name as state_name,
+      ${partyKey} as party,
+      COALESCE(SUM(r.votes), 0) as votes,
+      SUM(CASE WHEN r.position = 1 THEN 1 ELSE 0 END) as seats
+    FROM results r
+    JOIN elections e ON r.election_id = e.id
+    JOIN constituencies c ON r.constituency_id = c.id
+    JOIN states s ON c.state_id = s.id
+    JOIN parties p ON r.party_id = p.id
+    WHERE 1=1 ${validYearsFilter} ${yearFilter}
+    GROUP BY e.year, s.id, s.name, ${partyKey}`,
+    params
+  );
+
+  // Votes and seats per party for every year, and for every year and state
+  const yearMap = new Map();
+  const stateMap = new Map();
+  const addTo = (parties, row) => {
+    const entry = parties.get(row.party) || { votes: 0, seats: 0 };
+    entry.votes += row.votes;
+    entry.seats += row.seats;
+    parties.set(row.party, entry);
+  };
+  result.rows.forEach(row => {
+    if (!yearMap.has(row.year)) {
+      yearMap.set(row.year, new Map());
+    }
+    addTo(yearMap.get(row.year), row);
+
+    if (state && row.state_id !== parseInt(state)) return;
+    const key = `${row.year}-${row.state_id}`;
+    if (!stateMap.has(key)) {
+      stateMap.set(key, { year: row.year, state_id: row.state_id, state_name: row.state_name, parties: new Map() });
+    }
+    addTo(stateMap.get(key).parties, row);
+  });
+
+  const national = [...yearMap]
+    .map(([electionYear, parties]) => ({ year: electionYear, ...fragmentationIndices(parties) }))
+    .sort((a, b) => a.year - b.year);
+  const states = [...stateMap.values()]
+    .map(({ parties, ...entry }) => ({ ...entry, ...fragmentationIndices(parties) }))
+    .sort((a, b) => a.year - b.year || a.state_name.localeCompare(b.state_name));
+
+  res.json({ national, states });
+};
+
+/**
+ * Pedersen volatility between two elections, in points: half the sum of the absolute
+ * vote share changes of all parties, split into the part from parties contesting only
+ * one of the elections (entry_exit) and the part from parties contesting both (switching)
+ * @param {Map<string, number>} votes1 - Votes per party in the first election
+ * @param {Map<string, number>} votes2 - Votes per party in the second election
+ * @returns {Object<{volatility: number, entry_exit: number, switching: number}>} Total volatility and its components
+ */
+const pedersenVolatility = (votes1, votes2) => {
+  let entryExit = 0;
+  let switching = 0;
+  compareVoteShares(votes1, votes2).forEach(entry => {
+    const stable = votes1.get(entry.party) > 0 && votes2.get(entry.party) > 0;
+    if (stable) {
+      switching += Math.abs(entry.change) / 2;
+    } else {
+      entryExit += Math.abs(entry.change) / 2;
+    }
+  });
+  return { volatility: entryExit + switching, entry_exit: entryExit, switching };
+};
+
+/**
+ * Analytics: Electoral Volatility (Pedersen Index)
+ *
+ * Computes Pedersen volatility between every pair of consecutive election years (the
+ * years listed by getYears), nationally and per state. Total volatility is split into
+ * the component from new and exiting parties (entry_exit) and the component from votes
+ * switching between parties contesting both elections (switching). A state is compared
+ * only when it has votes in both years. With lineage=true, renamed or merged parties
+ * count as their latest successor instead of as an exit and an entry.
+ *
+ * @route GET /api/analytics/volatility
+ * @param {number} [state] - Optional state ID; limits the state rows to that state
+ * @param {boolean|string} [lineage] - 'true' to fold parties into their lineage head
+ * @returns {Object<{national: Array, states: Array}>} Volatility per year pair ({year1, year2, volatility,
+ *   entry_exit, switching}) and per year pair and state (with state_id and state_name), oldest pair first
+ */
+const getVolatility = async (req, res) => {
+  const { state } = req.query;
+  const lineage = isLineage(req.query);
+
+  const result = await queryWithCheck(
+    `SELECT
+      e.year,
+      s.id as state_id,
+      s.name as state_name,
+      p.name as party,
+      COALESCE(SUM(r.votes), 0) as votes
+    FROM results r
+    JOIN elections e ON r.election_id = e.id
+    JOIN constituencies c ON r.constituency_id = c.id
+    JOIN states s ON c.state_id = s.id
+    ${partyJoin(lineage)}
+    WHERE 1=1 ${validYearsFilter}
+    GROUP BY e.year, s.id, s.name, p.name`
+  );
+
+  // Votes per party for every year, and for every year and state
+  const yearVotes = new Map();
+  const stateVotes = new Map();
+  const stateNames = new Map();
+  const addVotes = (map, key, party, votes) => {
+    if (!map.has(key)) {
+      map.set(key, new Map());
+    }
+    const parties = map.get(key);
+    parties.set(party, (parties.get(party) || 0) + votes);
+  };
+  result.rows.forEach(row => {
+    addVotes(yearVotes, row.year, row.party, row.votes);
+    addVotes(stateVotes, `${row.year}-${row.state_id}`, row.party, row.votes);
+    stateNames.set(row.state_id, row.state_name);
+  });
+
+  const years = [...yearVotes.keys()].sort((a, b) => a - b);
+  const stateIds = [...stateNames.keys()].filter(stateId => !state || stateId === parseInt(state));
+  const national = [];
+  const states = [];
+  const hasVotes = (votes) => votes && [...votes.values()].some(value => value > 0);
+  years.slice(1).forEach((year2, index) => {
+    const year1 = years[index];
+    national.push({ year1, year2, ...pedersenVolatility(yearVotes.get(year1), yearVotes.get(year2)) });
+
+    stateIds.forEach(stateId => {
+      const votes1 = stateVotes.get(`${year1}-${stateId}`);
+      const votes2 = stateVotes.get(`${year2}-${stateId}`);
+      if (!hasVotes(votes1) || !hasVotes(votes2)) return;
+      states.push({ state_id: stateId, state_name: stateNames.get(stateId), year1, year2, ...pedersenVolatility(votes1, votes2) });
+    });
+  });
+  states.sort((a, b) => a.year1 - b.year1 || a.state_name.localeCompare(b.state_name));
+
+  res.json({ national, states });
+};
+
+/**
+ * Analytics: Incumbency Advantage
+ *
+ * Re-election rate of sitting MPs (results.incumbent) who contested again, by year,
+ * by year and state, and by year and party. For incumbents re-contesting the same seat
+ * (results.recontest), the average change in vote share since their previous win.
+ * Also the win rate of all candidates by the number of terms they had served
+ * (results.no_terms, missing counted as 0). Rates and vote shares are percentages.
+ *
+ * @route GET /api/analytics/incumbency
+ * @param {number} [state] - Optional state ID filter
+ * @param {boolean|string} [lineage] - 'true' to fold parties into their lineage head
+ * @returns {Object<{years: Array, states: Array, parties: Array, terms: Array}>}
+ *   years: {year, incumbents, re_elected, re_election_rate, recontesting, avg_vote_share_change};
+ *   states: {year, state_id, state_name, incumbents, re_elected, re_election_rate};
+ *   parties: {year, party, incumbents, re_elected, re_election_rate};
+ *   terms: {terms, candidates, winners, win_rate}
+ */
+const getIncumbency = async (req, res) => {
+  const lineage = isLineage(req.query);
+  const params = [];
+  let stateFilter = '';
+  if (req.query.state) {
+    params.push(parseInt(req.query.state));
+    stateFilter = `AND c.state_id = $${params.length}`;
+  }
+
+  const [incumbentResult, previousResult, termsResult] = await Promise.all([
+    queryWithCheck(
+      `SELECT
+        e.year,
+        s.id as state_id,
+        s.name as state_name,
+        p.name as party,
+        r.candidate_id,
+        r.position,
+        r.recontest,
+        r.vote_share_percentage
       FROM results r
       JOIN elections e ON r.election_id = e.id
-      JOIN parties p ON r.party_id = p.id
-      WHERE e.year = $1 ${validYearsFilter} AND r.position = 1
-      GROUP BY p.name
-    ) y1 ON y2.party = y1.party
-    WHERE y1.party IS NULL
-    ORDER BY change DESC`,
-    [parseInt(year1), parseInt(year2)]
+      JOIN constituencies c ON r.constituency_id = c.id
+      JOIN states s ON c.state_id = s.id
+      ${partyJoin(lineage)}
+      WHERE r.incumbent = 1 ${validYearsFilter} ${stateFilter}`,
+      params
+    ),
+    // Earlier wins of the incumbents, to compare their vote share with
+    queryWithCheck(
+      `SELECT e.year, r.candidate_id, r.vote_share_percentage
+      FROM results r
+      JOIN elections e ON r.election_id = e.id
+      WHERE r.position = 1 ${validYearsFilter}
+        AND r.candidate_id IN (SELECT r2.candidate_id FROM results r2 WHERE r2.incumbent = 1)`
+    ),
+    queryWithCheck(
+      `SELECT
+        CAST(COALESCE(r.no_terms, 0) AS INTEGER) as terms,
+        COUNT(*) as candidates,
+        SUM(CASE WHEN r.position = 1 THEN 1 ELSE 0 END) as winners
+      FROM results r
+      JOIN elections e ON r.election_id = e.id
+      JOIN constituencies c ON r.constituency_id = c.id
+      WHERE 1=1 ${validYearsFilter} ${stateFilter}
+      GROUP BY CAST(COALESCE(r.no_terms, 0) AS INTEGER)`,
+      params
+    )
+  ]);
+
+  // Vote shares of each candidate's wins by year
+  const previousWins = new Map();
+  previousResult.rows.forEach(row => {
+    if (!previousWins.has(row.candidate_id)) {
+      previousWins.set(row.candidate_id, []);
+    }
+    previousWins.get(row.candidate_id).push(row);
+  });
+  // Vote share of the candidate's latest win before the year
+  const previousVoteShare = (candidateId, year) => {
+    const latest = (previousWins.get(candidateId) || [])
+      .filter(win => win.year < year)
+      .reduce((best, win) => (!best || win.year > best.year ? win : best), null);
+    return latest ? latest.vote_share_percentage : null;
+  };
+
+  const yearMap = new Map();
+  const stateMap = new Map();
+  const partyMap = new Map();
+  const tally = (map, key, fields, row) => {
+    if (!map.has(key)) {
+      map.set(key, { ...fields, incumbents: 0, re_elected: 0 });
+    }
+    const entry = map.get(key);
+    entry.incumbents++;
+    if (row.position === 1) entry.re_elected++;
+    return entry;
+  };
+  incumbentResult.rows.forEach(row => {
+    const yearEntry = tally(yearMap, row.year, { year: row.year, changes: [] }, row);
+    tally(stateMap, `${row.year}-${row.state_id}`, { year: row.year, state_id: row.state_id, state_name: row.state_name }, row);
+    tally(partyMap, `${row.year}-${row.party}`, { year: row.year, party: row.party }, row);
+
+    const previous = row.recontest === 1 ? previousVoteShare(row.candidate_id, row.year) : null;
+    if (previous != null && row.vote_share_percentage != null) {
+      yearEntry.changes.push(row.vote_share_percentage - previous);
+    }
+  });
+
+  const withRate = ({ incumbents, re_elected, ...entry }) => ({
+    ...entry,
+    incumbents,
+    re_elected,
+    re_election_rate: incumbents > 0 ? re_elected * 100 / incumbents : null
+  });
+
+  const years = [...yearMap.values()]
+    .map(({ changes, ...entry }) => ({
+      ...withRate(entry),
+      recontesting: changes.length,
+      avg_vote_share_change: changes.length > 0 ? changes.reduce((sum, change) => sum + change, 0) / changes.length : null
+    }))
+    .sort((a, b) => a.year - b.year);
+  const states = [...stateMap.values()].map(withRate)
+    .sort((a, b) => a.year - b.year || a.state_name.localeCompare(b.state_name));
+  const parties = [...partyMap.values()].map(withRate)
+    .sort((a, b) => a.year - b.year || b.incumbents - a.incumbents || a.party.localeCompare(b.party));
+  const terms = termsResult.rows
+    .map(row => ({ ...row, win_rate: row.candidates > 0 ? row.winners * 100 / row.candidates : null }))
+    .sort((a, b) => a.terms - b.terms);
+
+  res.json({ years, states, parties, terms });
+};
+
+/**
+ * Analytics: Party Switching Flows
+ *
+ * Flow matrix of candidates who contested the previous election, from the party
+ * they stood for then (results.last_party) to their current party, for one election
+ * year or a range of years. Candidates flagged as turncoats (results.turncoat) are
+ * switchers; those standing for the same party again (results.same_party) are
+ * loyalists. Win rates are percentages (null without candidates).
+ *
+ * @route GET /api/analytics/party-switching
+ * @param {number} [year] - Election year (or use year1 and year2)
+ * @param {number} [year1] - First year of the range (inclusive)
+ * @param {number} [year2] - Last year of the range (inclusive)
+ * @param {number} [state] - Optional state ID filter
+ * @returns {Object<{year1: number, year2: number, flows: Array, switchers: Object, loyalists: Object, years: Array}>}
+ *   flows: {from_party, to_party, switched, candidates, winners}, largest first;
+ *   switchers / loyalists: {candidates, winners, win_rate}; years: the same split per year
+ */
+const getPartySwitching = async (req, res) => {
+  const year1 = parseInt(req.query.year || req.query.year1);
+  const year2 = parseInt(req.query.year || req.query.year2);
+  const params = [year1, year2];
+  let stateFilter = '';
+  if (req.query.state) {
+    params.push(parseInt(req.query.state));
+    stateFilter = `AND c.state_id = $${params.length}`;
+  }
+
+  const result = await queryWithCheck(
+    `SELECT
+      e.year,
+      r.last_party as from_party,
+      p.name as to_party,
+      r.turncoat,
+      r.same_party,
+      COUNT(*) as candidates,
+      SUM(CASE WHEN r.position = 1 THEN 1 ELSE 0 END) as winners
+    FROM results r
+    JOIN elections e ON r.election_id = e.id
+    JOIN constituencies c ON r.constituency_id = c.id
+    JOIN parties p ON r.party_id = p.id
+    WHERE r.last_party IS NOT NULL AND e.year BETWEEN $1 AND $2 ${validYearsFilter} ${stateFilter}
+    GROUP BY e.year, r.last_party, p.name, r.turncoat, r.same_party`,
+    params
   );
 
-  res.json(result.rows);
+  const emptyGroup = () => ({ candidates: 0, winners: 0 });
+  const withRate = (group) => ({ ...group, win_rate: group.candidates > 0 ? group.winners * 100 / group.candidates : null });
+  const flowMap = new Map();
+  const yearMap = new Map();
+  const switchers = emptyGroup();
+  const loyalists = emptyGroup();
+  result.rows.forEach(row => {
+    const switched = row.turncoat === 1;
+    const key = `${row.from_party}\u0000${row.to_party}\u0000${switched}`;
+    if (!flowMap.has(key)) {
+      flowMap.set(key, { from_party: row.from_party, to_party: row.to_party, switched, ...emptyGroup() });
+    }
+    const flow = flowMap.get(key);
+    flow.candidates += row.candidates;
+    flow.winners += row.winners;
+
+    if (!yearMap.has(row.year)) {
+      yearMap.set(row.year, { year: row.year, switchers: emptyGroup(), loyalists: emptyGroup() });
+    }
+    const group = switched ? 'switchers' : (row.same_party === 1 ? 'loyalists' : null);
+    if (group) {
+      [yearMap.get(row.year)[group], group === 'switchers' ? switchers : loyalists].forEach(entry => {
+        entry.candidates += row.candidates;
+        entry.winners += row.winners;
+      });
+    }
+  });
+
+  const flows = [...flowMap.values()]
+    .sort((a, b) => b.candidates - a.candidates || a.from_party.localeCompare(b.from_party) || a.to_party.localeCompare(b.to_party));
+  const years = [...yearMap.values()]
+    .map(entry => ({ year: entry.year, switchers: withRate(entry.switchers), loyalists: withRate(entry.loyalists) }))
+    .sort((a, b) => a.year - b.year);
+
+  res.json({ year1, year2, flows, switchers: withRate(switchers), loyalists: withRate(loyalists), years });
+};
+
+/**
+ * Analytics: Party Strike Rate
+ *
+ * Contest footprint of each party per election year: seats contested, seats won,
+ * strike rate (seats won as a percentage of seats contested), seats where it
+ * finished second, deposits lost (results.deposit_lost) and its average vote
+ * share (%) in the seats it contested. A seat counts as contested once, even when
+ * several of the party's candidates (or, with lineage, its predecessors) stood in it.
+ *
+ * @route GET /api/analytics/strike-rate
+ * @param {number} [year] - Optional election year filter
+ * @param {number} [state] - Optional state ID filter
+ * @param {string} [lineage] - 'true' to fold parties into their current successor
+ * @returns {Array<{year: number, party: string, contested: number, won: number, strike_rate: number,
+ *   second: number, deposits_lost: number, avg_vote_share: number}>} By year, most seats won first
+ */
+const getStrikeRate = async (req, res) => {
+  const lineage = isLineage(req.query);
+  const params = [];
+  let filters = '';
+  if (req.query.year) {
+    params.push(parseInt(req.query.year));
+    filters += ` AND e.year = $${params.length}`;
+  }
+  if (req.query.state) {
+    params.push(parseInt(req.query.state));
+    filters += ` AND c.state_id = $${params.length}`;
+  }
+
+  const result = await queryWithCheck(
+    `SELECT
+      e.year,
+      p.name as party,
+      COUNT(DISTINCT r.constituency_id) as contested,
+      SUM(CASE WHEN r.position = 1 THEN 1 ELSE 0 END) as won,
+      SUM(CASE WHEN r.position = 2 THEN 1 ELSE 0 END) as second,
+      SUM(CASE WHEN r.deposit_lost = 'Yes' THEN 1 ELSE 0 END) as deposits_lost,
+      AVG(r.vote_share_percentage) as avg_vote_share
+    FROM results r
+    JOIN elections e ON r.election_id = e.id
+    JOIN constituencies c ON r.constituency_id = c.id
+    ${partyJoin(lineage)}
+    WHERE 1=1 ${validYearsFilter} ${filters}
+    GROUP BY e.year, p.name`,
+    params
+  );
+
+  const rows = result.rows
+    .map(({ year, party, contested, won, second, deposits_lost, avg_vote_share }) => ({
+      year,
+      party,
+      contested,
+      won,
+      strike_rate: won * 100 / contested,
+      second,
+      deposits_lost,
+      avg_vote_share
+    }))
+    .sort((a, b) => a.year - b.year || b.won - a.won || b.contested - a.contested || a.party.localeCompare(b.party));
+
+  res.json(rows);
 };
 
 /**
@@ -1154,7 +3223,7 @@ const getClosestContests = async (req, res) => {
     paramCount++;
   }
 
-  query += ` ORDER BY r1.margin_percentage ASC LIMIT 10`;
+  query += ` ORDER BY r1.margin_percentage ASC, c.name LIMIT 10`;
 
   const result = await queryWithCheck(query, params);
   res.json(result.rows);
@@ -1375,8 +3444,14 @@ module.exports = {
   getParties,
   getConstituencies,
   getConstituenciesList,
+  getDistricts,
   getElections,
+  getStateTrends,
+  getConstituencyHistory,
+  getCandidateCareer,
+  getPartyProfile,
   getSeatShare,
+  getConstituencyWinners,
   getTurnout,
   getVoteShare,
   getGenderTrend,
@@ -1384,7 +3459,17 @@ module.exports = {
   search,
   getKPIs,
   getHighestTurnout,
+  getStateMargins,
   getSeatChanges,
+  getSwing,
+  getSwingometer,
+  getAllianceMerger,
+  getProportionalSeats,
+  getFragmentation,
+  getVolatility,
+  getIncumbency,
+  getPartySwitching,
+  getStrikeRate,
   getWomenCandidates,
   getClosestContests,
   getCorrelation,
@@ -0,0 +1,92 @@
+/**
+ * SQLite Database Adapter
+ *
+ * Runs queries against a SQLite file through better-sqlite3. Queries are written
+ * with PostgreSQL-style numbered placeholders ($1, $2, ...), which are bound as
+ * SQLite named parameters (@p1, @p2, ...) so a placeholder can be used more than
+ * once. better-sqlite3 is synchronous; the methods return promises so both
+ * adapters share one interface.
+ */
+
+const Database = require('better-sqlite3');
+const fs = require('fs');
+const path = require('path');
+
+// $1 -> @p1 (SQLite named parameter); the parameter values are passed as { p1: ... }
+const toNamedParams = (sql, params) => ({
+  sql: sql.replace(/\$(\d+)/g, '@p$1'),
+  params: Object.fromEntries(params.map((value, index) => [`p${index + 1}`, value]))
+});
+
+/**
+ * Create a SQLite adapter
+ * @param {Object} options - { path: database file path }
+ * @returns {Object} Adapter with connect, query, exec, transaction and close
+ */
+function createSqliteAdapter({ path: dbPath }) {
+  let db = null;
+
+  const run = (sql, params = []) => {
+    const { sql: namedSql, params: namedParams } = toNamedParams(sql, params);
+    const stmt = db.prepare(namedSql);
+    if (stmt.reader) {
+      // SELECT (and PRAGMA / RETURNING) statements return data rows
+      return { rows: stmt.all(namedParams) };
+    }
+    // INSERT, UPDATE, DELETE queries return affected row count
+    const result = stmt.run(namedParams);
+    return { rows: [], rowCount: result.changes, lastInsertRowid: result.lastInsertRowid };
+  };
+
+  const client = {
+    query: async (sql, params) => run(sql, params),
+    exec: async (sql) => {
+      db.exec(sql);
+    }
+  };
+
+  return {
+    dialect: 'sqlite',
+    description: `SQLite (file-based, no server required) at ${dbPath}`,
+
+    connect: async () => {
+      // Create database directory if it doesn't exist
+      const dbDir = path.dirname(dbPath);
+      if (!fs.existsSync(dbDir)) {
+        fs.mkdirSync(dbDir, { recursive: true });
+      }
+      // Open database connection with timeout to prevent hanging on locked databases
+      db = new Database(dbPath, { verbose: null, timeout: 5000 });
+      // Enable foreign key constraints to maintain referential integrity
+      db.pragma('foreign_keys = ON');
+      const { version } = db.prepare('SELECT sqlite_version() as version').get();
+      return `SQLite ${version}`;
+    },
+
+    ...client,
+
+    listTables: async () => db.prepare(`SELECT name FROM sqlite_master WHERE type='table' AND name NOT LIKE 'sqlite_%'`).all().map((row) => row.name),
+
+    // Runs fn inside BEGIN/COMMIT; fn receives an object with query and exec
+    transaction: async (fn) => {
+      db.exec('BEGIN');
+      try {
+        const result = await fn(client);
+        db.exec('COMMIT');
+        return result;
+      } catch (error) {
+        db.exec('ROLLBACK');
+        throw error;
+      }
+    },
+
+    close: async () => {
+      if (db) {
+        db.close();
+        db = null;
+      }
+    }
+  };
+}
+
+module.exports = createSqliteAdapter;
@@ -0,0 +1,126 @@
+/**
+ * Schema Migrations Module
+ *
+ * Applies the numbered SQL files in database/migrations (001_initial_schema.sql,
+ * 002_districts.sql, ...) in order and records each applied version in the
+ * schema_migrations table. Every migration runs in its own transaction, so a
+ * failing migration leaves the database at the previous version.
+ *
+ * A migration whose SQL differs between databases has a dialect-specific file
+ * next to it (e.g. 001_initial_schema.postgres.sql), which is used instead of
+ * the shared file for that database.
+ *
+ * Used by scripts/migrate.js (`npm run migrate`, `npm run migrate:status`),
+ * scripts/initDatabase.js and the server startup check.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const migrationsDir = path.join(__dirname, 'migrations');
+
+// Migration file names: <version>_<name>[.<dialect>].sql, e.g. 002_districts.sql
+const MIGRATION_FILE = /^(\d+)_([^.]+)(?:\.(\w+))?\.sql$/;
+
+// Display name of a migration, matching its file name
+const migrationLabel = (migration) => `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+
+/**
+ * List the migrations for a database dialect in version order
+ * @param {string} dialect - Adapter dialect ('sqlite' or 'postgres')
+ * @returns {Array<{version: number, name: string, file: string}>} Migrations
+ */
+function listMigrations(dialect) {
+  const byVersion = new Map();
+  fs.readdirSync(migrationsDir).forEach((file) => {
+    const match = file.match(MIGRATION_FILE);
+    if (!match || (match[3] && match[3] !== dialect)) return;
+
+    const migration = { version: parseInt(match[1]), name: match[2], file: path.join(migrationsDir, file) };
+    const existing = byVersion.get(migration.version);
+    if (existing && existing.name !== migration.name) {
+      throw new Error(`Two migrations share version ${migration.version}: ${existing.name} and ${migration.name}`);
+    }
+    // The dialect-specific file wins over the shared one
+    if (!existing || match[3]) {
+      byVersion.set(migration.version, migration);
+    }
+  });
+  return [...byVersion.values()].sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Create the schema_migrations table if needed
+ * @param {Object} db - Database adapter
+ */
+async function ensureMigrationsTable(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+/**
+ * Get every migration with its applied state
+ *
+ * Read-only: a database without the schema_migrations table has every migration
+ * pending; the table is only created by migrate().
+ *
+ * @param {Object} db - Database adapter
+ * @returns {Promise<Array<{version: number, name: string, file: string, appliedAt: string|null}>>} Migration status
+ */
+async function getMigrationStatus(db) {
+  const tables = await db.listTables();
+  const result = tables.includes('schema_migrations')
+    ? await db.query('SELECT version, CAST(applied_at AS TEXT) as applied_at FROM schema_migrations')
+    : { rows: [] };
+  const applied = new Map(result.rows.map((row) => [row.version, row.applied_at]));
+  return listMigrations(db.dialect).map((migration) => ({ ...migration, appliedAt: applied.get(migration.version) || null }));
+}
+
+/**
+ * Get the migrations that have not been applied yet
+ * @param {Object} db - Database adapter
+ * @returns {Promise<Array>} Pending migrations in version order
+ */
+async function getPendingMigrations(db) {
+  const status = await getMigrationStatus(db);
+  return status.filter((migration) => !migration.appliedAt);
+}
+
+/**
+ * Apply all pending migrations in order, each in its own transaction
+ * @param {Object} db - Database adapter
+ * @param {Function} log - Progress logger (defaults to console.log)
+ * @returns {Promise<Array>} Migrations that were applied
+ */
+async function migrate(db, log = console.log) {
+  await ensureMigrationsTable(db);
+  const pending = await getPendingMigrations(db);
+
+  for (const migration of pending) {
+    const sql = fs.readFileSync(migration.file, 'utf-8');
+    log(`   ⏩ ${migrationLabel(migration)}`);
+    try {
+      await db.transaction(async (tx) => {
+        await tx.exec(sql);
+        await tx.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [migration.version, migration.name]);
+      });
+    } catch (error) {
+      error.message = `Migration ${migrationLabel(migration)} failed: ${error.message}`;
+      throw error;
+    }
+  }
+  return pending;
+}
+
+module.exports = {
+  migrationLabel,
+  listMigrations,
+  getMigrationStatus,
+  getPendingMigrations,
+  migrate
+};
@@ -12,6 +12,11 @@
 -- - CASCADE deletes to maintain data consistency
 --
 -- Data Source: TCPD (Trivedi Centre for Political Data) and MyNeta datasets
+--
+-- Migration 001: the original schema. Later changes live in the numbered files
+-- next to this one and are applied in order by `npm run migrate`. Statements use
+-- IF NOT EXISTS so databases created before migrations were introduced can be
+-- brought under version control by running the migrations once.
 -- ============================================================================
 
 -- ============================================================================
@@ -52,9 +57,9 @@ CREATE TABLE IF NOT EXISTS constituencies (
     constituency_type TEXT,                         -- Type: 'General', 'SC' (Scheduled Caste), 'ST' (Scheduled Tribe)
     sub_region TEXT,                                -- Sub-regional classification within the state
     assembly_no INTEGER,                            -- Assembly constituency number if applicable
+    created_at DATETIME DEFAULT (datetime('now')),  -- Timestamp when record was created
     FOREIGN KEY (state_id) REFERENCES states(id) ON DELETE CASCADE,  -- Cascade delete if state is deleted
-    UNIQUE(state_id, name, constituency_no),        -- Ensure unique constituency per state
-    created_at DATETIME DEFAULT (datetime('now'))   -- Timestamp when record was created
+    UNIQUE(state_id, name, constituency_no)         -- Ensure unique constituency per state
 );
 
 -- ============================================================================
@@ -140,7 +145,7 @@ CREATE TABLE IF NOT EXISTS results (
     
     -- Political Analysis Metrics
     enop REAL,                                     -- Effective Number of Parties (fragmentation measure)
-    last_poll INTEGER,                             -- Year of previous election
+    last_poll INTEGER,                             -- Flag: 1 if last poll held in the constituency
     contested INTEGER,                              -- Number of times candidate has contested
     
     -- Historical Context (from previous election)
@@ -0,0 +1,36 @@
+-- ============================================================================
+-- Migration 002: administrative districts (PostgreSQL)
+-- ============================================================================
+-- Adds districts and the constituency-district mapping loaded by
+-- scripts/importDistricts.js, used by the district filter.
+
+-- ============================================================================
+-- Districts Table
+-- ============================================================================
+-- Stores administrative districts (not electoral units). Each district belongs
+-- to one state. Loaded from a mapping CSV by scripts/importDistricts.js.
+CREATE TABLE IF NOT EXISTS districts (
+    id SERIAL PRIMARY KEY,                          -- Unique identifier for each district
+    state_id INTEGER NOT NULL,                      -- Foreign key to states table
+    name TEXT NOT NULL,                             -- District name (e.g., 'Pune', 'Varanasi')
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,  -- Timestamp when record was created
+    FOREIGN KEY (state_id) REFERENCES states(id) ON DELETE CASCADE,  -- Cascade delete if state is deleted
+    UNIQUE(state_id, name)                          -- District names are unique within a state
+);
+
+-- ============================================================================
+-- Constituency-District Mapping Table
+-- ============================================================================
+-- Links constituencies to the administrative districts they cover.
+-- Many-to-many: a constituency can span several districts and a district
+-- usually contains several constituencies.
+CREATE TABLE IF NOT EXISTS constituency_districts (
+    constituency_id INTEGER NOT NULL,               -- Foreign key to constituencies table
+    district_id INTEGER NOT NULL,                   -- Foreign key to districts table
+    PRIMARY KEY (constituency_id, district_id),
+    FOREIGN KEY (constituency_id) REFERENCES constituencies(id) ON DELETE CASCADE,
+    FOREIGN KEY (district_id) REFERENCES districts(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_districts_state_id ON districts(state_id);            -- Districts of a state
+CREATE INDEX IF NOT EXISTS idx_constituency_districts_district_id ON constituency_districts(district_id);  -- Filter by district
@@ -0,0 +1,6 @@
+-- ============================================================================
+-- Migration 003: natural key index on results
+-- ============================================================================
+-- Natural key of a result, used by the importer to upsert rows. Not UNIQUE so that
+-- databases holding duplicate rows from older imports still load; a re-import removes them.
+CREATE INDEX IF NOT EXISTS idx_results_natural_key ON results(election_id, constituency_id, candidate_id);
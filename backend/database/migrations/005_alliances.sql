@@ -0,0 +1,34 @@
+-- ============================================================================
+-- Migration 005: alliances
+-- ============================================================================
+-- Adds pre-poll alliances (NDA, UPA, ...) and the year-specific membership of
+-- parties, loaded by scripts/importAlliances.js and used by aggregate=alliance.
+
+-- ============================================================================
+-- Alliances Table
+-- ============================================================================
+-- Stores pre-poll alliances. Membership changes from one election to the next,
+-- so parties are linked to an alliance per year in party_alliances.
+CREATE TABLE IF NOT EXISTS alliances (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,           -- Unique identifier for each alliance
+    name TEXT NOT NULL UNIQUE,                      -- Short name (e.g., 'NDA', 'UPA')
+    full_name TEXT,                                 -- Full name (e.g., 'National Democratic Alliance')
+    created_at DATETIME DEFAULT (datetime('now'))   -- Timestamp when record was created
+);
+
+-- ============================================================================
+-- Party-Alliance Membership Table
+-- ============================================================================
+-- Links a party to the alliance it contested with in one election year.
+-- A party belongs to at most one alliance per year; parties without a row for
+-- a year contested outside any alliance.
+CREATE TABLE IF NOT EXISTS party_alliances (
+    party_id INTEGER NOT NULL,                      -- Foreign key to parties table
+    year INTEGER NOT NULL,                          -- Election year of the membership
+    alliance_id INTEGER NOT NULL,                   -- Foreign key to alliances table
+    PRIMARY KEY (party_id, year),
+    FOREIGN KEY (party_id) REFERENCES parties(id) ON DELETE CASCADE,
+    FOREIGN KEY (alliance_id) REFERENCES alliances(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_party_alliances_alliance_id ON party_alliances(alliance_id);  -- Members of an alliance
@@ -0,0 +1,46 @@
+-- ============================================================================
+-- Migration 006: party lineage
+-- ============================================================================
+-- Links historical party names (aliases, renamed parties, splits and mergers) to
+-- their successor, loaded by scripts/importLineage.js and used by lineage=true.
+-- Shared by SQLite and PostgreSQL: both support recursive views.
+
+-- ============================================================================
+-- Party Lineage Table
+-- ============================================================================
+-- One row per party that continues under another name. A party has at most one
+-- successor; for a split, the successor is the faction that carries the lineage on.
+CREATE TABLE IF NOT EXISTS party_lineage (
+    party_id INTEGER PRIMARY KEY,                   -- Historical party (e.g., 'INC(I)')
+    successor_id INTEGER NOT NULL,                  -- Party it continues as (e.g., 'INC')
+    relation TEXT NOT NULL CHECK (relation IN ('alias', 'renamed', 'merged', 'split')),  -- How the name changed
+    year INTEGER,                                   -- Election year from which the successor applies (optional)
+    note TEXT,                                      -- Free-text explanation
+    FOREIGN KEY (party_id) REFERENCES parties(id) ON DELETE CASCADE,
+    FOREIGN KEY (successor_id) REFERENCES parties(id) ON DELETE CASCADE,
+    CHECK (party_id <> successor_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_party_lineage_successor_id ON party_lineage(successor_id);  -- Predecessors of a party
+
+-- ============================================================================
+-- Lineage Views
+-- ============================================================================
+-- party_lineage_paths: every party paired with itself and each successor along its
+-- chain, so "successor_id = X" selects X and all of its predecessors.
+CREATE VIEW party_lineage_paths AS
+WITH RECURSIVE paths(party_id, successor_id) AS (
+    SELECT id, id FROM parties
+    UNION
+    SELECT paths.party_id, pl.successor_id
+    FROM paths
+    JOIN party_lineage pl ON pl.party_id = paths.successor_id
+)
+SELECT party_id, successor_id FROM paths;
+
+-- party_lineage_heads: the latest successor (head) of every party's chain; parties
+-- without a successor are their own head.
+CREATE VIEW party_lineage_heads AS
+SELECT plp.party_id, plp.successor_id AS head_id
+FROM party_lineage_paths plp
+WHERE NOT EXISTS (SELECT 1 FROM party_lineage pl WHERE pl.party_id = plp.successor_id);
@@ -0,0 +1,25 @@
+-- ============================================================================
+-- Migration 007: delimitation map
+-- ============================================================================
+-- Links constituencies of an earlier delimitation to the seats that replaced them
+-- (e.g. the 2008 redrawing), loaded by scripts/importDelimitation.js and used to
+-- follow a seat's history across boundary changes.
+-- Shared by SQLite and PostgreSQL.
+
+-- ============================================================================
+-- Constituency Delimitation Map Table
+-- ============================================================================
+-- One row per old seat / new seat pair. An old seat split across several new
+-- seats has several rows, each weighted by the share of the old seat that went
+-- into that new seat. A seat that kept its row across the redrawing may link to
+-- itself with the share of it that stayed.
+CREATE TABLE IF NOT EXISTS constituency_delimitation_map (
+    old_constituency_id INTEGER NOT NULL,           -- Seat under the earlier delimitation
+    new_constituency_id INTEGER NOT NULL,           -- Seat under the later delimitation
+    weight REAL NOT NULL DEFAULT 1 CHECK (weight > 0 AND weight <= 1),  -- Share of the old seat in the new seat
+    PRIMARY KEY (old_constituency_id, new_constituency_id),
+    FOREIGN KEY (old_constituency_id) REFERENCES constituencies(id) ON DELETE CASCADE,
+    FOREIGN KEY (new_constituency_id) REFERENCES constituencies(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_constituency_delimitation_map_new_id ON constituency_delimitation_map(new_constituency_id);  -- Predecessors of a seat
@@ -0,0 +1,6 @@
+-- ============================================================================
+-- Migration 008: index on candidates.pid
+-- ============================================================================
+-- The importer looks candidates up by TCPD pid one record at a time instead of
+-- holding every pid in memory.
+CREATE INDEX IF NOT EXISTS idx_candidates_pid ON candidates(pid);
@@ -62,6 +62,55 @@ const validatePagination = [
   }
 ];
 
+/**
+ * Validate List Limit Parameter
+ * 
+ * Validates the optional 'limit' query parameter of endpoints that return
+ * top-N lists, such as the party profile. Must be between 1 and 100.
+ * 
+ * Usage: router.get('/parties/:id/profile', validateId, validateLimit, handler)
+ * 
+ * @returns {Array} Express-validator middleware chain
+ */
+const validateLimit = [
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    next();
+  }
+];
+
+/**
+ * Validate Closest Contests Parameter
+ * 
+ * Validates the optional 'contests' query parameter of the state trends endpoint
+ * (closest contests listed per year). Must be between 1 and 20; converted to an integer.
+ * 
+ * Usage: router.get('/states/:id/trends', validateId, validateContests, handler)
+ * 
+ * @returns {Array} Express-validator middleware chain
+ */
+const validateContests = [
+  query('contests')
+    .optional()
+    .isInt({ min: 1, max: 20 })
+    .withMessage('Contests must be between 1 and 20')
+    .toInt(),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    next();
+  }
+];
+
 /**
  * Validate Search Query Parameters
  * 
@@ -95,7 +144,7 @@ const validateSearch = [
 /**
  * Validate Seat Changes Parameters
  * 
- * Validates parameters for comparing seat counts between two election years.
+ * Validates parameters for comparing two election years (seat changes, swing).
  * Both year1 and year2 are required and must be valid integers between 1950 and 2100.
  * 
  * Usage: router.get('/analytics/seat-changes', validateSeatChanges, handler)
@@ -122,11 +171,213 @@ const validateSeatChanges = [
   }
 ];
 
+/**
+ * Validate ID Path Parameter
+ * 
+ * Validates that the ':id' path parameter is a positive integer.
+ * Used by profile endpoints such as /constituencies/:id/history.
+ * 
+ * Usage: router.get('/constituencies/:id/history', validateId, handler)
+ * 
+ * @returns {Array} Express-validator middleware chain
+ */
+const validateId = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('ID must be a positive integer'),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    next();
+  }
+];
+
+/**
+ * Validate Proportional Representation Parameters
+ * 
+ * Validates parameters for reallocating seats by vote share:
+ * - year: Required election year between 1950 and 2100
+ * - threshold: Optional minimum vote share (%) between 0 and 100
+ * - state: Optional positive state ID
+ * 
+ * Usage: router.get('/analytics/proportional', validateProportional, handler)
+ * 
+ * @returns {Array} Express-validator middleware chain
+ */
+const validateProportional = [
+  query('year')
+    .notEmpty()
+    .withMessage('year is required')
+    .isInt({ min: 1950, max: 2100 })
+    .withMessage('year must be between 1950 and 2100'),
+  query('threshold')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('threshold must be between 0 and 100'),
+  query('state')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('state must be a positive integer'),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    next();
+  }
+];
+
+/**
+ * Validate Year or Year Range Parameters
+ * 
+ * Validates parameters selecting one election year or a range of years:
+ * - year: Election year between 1950 and 2100, or
+ * - year1 and year2: First and last year of the range (year1 <= year2)
+ * 
+ * Usage: router.get('/analytics/party-switching', validateYearRange, handler)
+ * 
+ * @returns {Array} Express-validator middleware chain
+ */
+const validateYearRange = [
+  query('year')
+    .optional()
+    .isInt({ min: 1950, max: 2100 })
+    .withMessage('year must be between 1950 and 2100'),
+  query('year1')
+    .optional()
+    .isInt({ min: 1950, max: 2100 })
+    .withMessage('year1 must be between 1950 and 2100'),
+  query('year2')
+    .optional()
+    .isInt({ min: 1950, max: 2100 })
+    .withMessage('year2 must be between 1950 and 2100'),
+  query('year')
+    .custom((year, { req }) => year || (req.query.year1 && req.query.year2 && parseInt(req.query.year1) <= parseInt(req.query.year2)))
+    .withMessage('year, or year1 and year2 with year1 <= year2, is required'),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    next();
+  }
+];
+
+// Largest swing accepted for a party, in vote share points
+const MAX_SWING = 100;
+
+// True for an object mapping party names to swings between -MAX_SWING and MAX_SWING
+const isSwingMap = (value) => value !== null && typeof value === 'object' && !Array.isArray(value)
+  && Object.values(value).every((swing) => typeof swing === 'number' && Number.isFinite(swing) && Math.abs(swing) <= MAX_SWING);
+
+/**
+ * Validate Swingometer Body
+ * 
+ * Validates the JSON body of a swing simulation:
+ * - year: Required base election year between 1950 and 2100
+ * - mode: Optional 'uniform' or 'proportional'
+ * - swings: Optional object of party name -> swing in points (-100 to 100)
+ * - state_swings: Optional object of state ID -> object of party name -> swing in points
+ * 
+ * Usage: router.post('/analytics/swingometer', validateSwingometer, handler)
+ * 
+ * @returns {Array} Express-validator middleware chain
+ */
+const validateSwingometer = [
+  body('year')
+    .notEmpty()
+    .withMessage('year is required')
+    .isInt({ min: 1950, max: 2100 })
+    .withMessage('year must be between 1950 and 2100'),
+  body('mode')
+    .optional()
+    .isIn(['uniform', 'proportional'])
+    .withMessage('mode must be one of: uniform, proportional'),
+  body('swings')
+    .optional()
+    .custom(isSwingMap)
+    .withMessage(`swings must map party names to numbers between -${MAX_SWING} and ${MAX_SWING}`),
+  body('state_swings')
+    .optional()
+    .custom((value) => value !== null && typeof value === 'object' && !Array.isArray(value)
+      && Object.entries(value).every(([stateId, swings]) => /^[1-9]\d*$/.test(stateId) && isSwingMap(swings)))
+    .withMessage(`state_swings must map state IDs to objects of party swings between -${MAX_SWING} and ${MAX_SWING}`),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    next();
+  }
+];
+
+// Most party groups accepted in one merger scenario
+const MAX_MERGER_GROUPS = 20;
+
+// True for an array of 1 to MAX_MERGER_GROUPS groups of at least two distinct party
+// names, with an optional name, where no party is in more than one group
+const isMergerGroups = (value) => {
+  if (!Array.isArray(value) || value.length === 0 || value.length > MAX_MERGER_GROUPS) return false;
+  const seen = new Set();
+  return value.every((group) => group !== null && typeof group === 'object'
+    && (group.name == null || (typeof group.name === 'string' && group.name.trim().length > 0 && group.name.length <= 100))
+    && Array.isArray(group.parties) && group.parties.length >= 2
+    && group.parties.every((party) => {
+      if (typeof party !== 'string' || party.length === 0 || seen.has(party)) return false;
+      seen.add(party);
+      return true;
+    }));
+};
+
+/**
+ * Validate Alliance Merger Body
+ * 
+ * Validates the JSON body of an alliance merger simulation:
+ * - year: Required base election year between 1950 and 2100
+ * - groups: Required array of 1-20 groups { name, parties }, each pooling at least two
+ *   parties; a party may only be in one group
+ * - transfer_efficiency: Optional percentage (0-100) of partner votes that transfer
+ * 
+ * Usage: router.post('/analytics/alliance-merger', validateAllianceMerger, handler)
+ * 
+ * @returns {Array} Express-validator middleware chain
+ */
+const validateAllianceMerger = [
+  body('year')
+    .notEmpty()
+    .withMessage('year is required')
+    .isInt({ min: 1950, max: 2100 })
+    .withMessage('year must be between 1950 and 2100'),
+  body('groups')
+    .custom(isMergerGroups)
+    .withMessage(`groups must be 1 to ${MAX_MERGER_GROUPS} objects of { name, parties } with at least two parties each, and no party in two groups`),
+  body('transfer_efficiency')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('transfer_efficiency must be between 0 and 100'),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    next();
+  }
+];
+
 module.exports = {
   validateYear,
   validatePagination,
+  validateLimit,
+  validateContests,
   validateSearch,
-  validateSeatChanges
+  validateSeatChanges,
+  validateProportional,
+  validateYearRange,
+  validateSwingometer,
+  validateAllianceMerger,
+  validateId
 };
 
 
@@ -15,15 +15,21 @@
 const express = require('express');
 const router = express.Router();
 const asyncHandler = require('../middleware/asyncHandler');
-const { validateYear, validatePagination, validateSearch, validateSeatChanges } = require('../middleware/validator');
+const { validateYear, validatePagination, validateLimit, validateContests, validateSearch, validateSeatChanges, validateProportional, validateYearRange, validateSwingometer, validateAllianceMerger, validateId } = require('../middleware/validator');
 const {
   getYears,
   getStates,
   getParties,
   getConstituencies,
   getConstituenciesList,
+  getDistricts,
   getElections,
+  getStateTrends,
+  getConstituencyHistory,
+  getCandidateCareer,
+  getPartyProfile,
   getSeatShare,
+  getConstituencyWinners,
   getTurnout,
   getVoteShare,
   getGenderTrend,
@@ -31,7 +37,17 @@ const {
   search,
   getKPIs,
   getHighestTurnout,
+  getStateMargins,
   getSeatChanges,
+  getSwing,
+  getSwingometer,
+  getAllianceMerger,
+  getProportionalSeats,
+  getFragmentation,
+  getVolatility,
+  getIncumbency,
+  getPartySwitching,
+  getStrikeRate,
   getWomenCandidates,
   getClosestContests,
   getCorrelation,
@@ -49,7 +65,12 @@ router.get('/states', asyncHandler(getStates));
 router.get('/parties', asyncHandler(getParties));
 router.get('/constituencies', asyncHandler(getConstituencies));
 router.get('/constituencies-list', asyncHandler(getConstituenciesList));
+router.get('/districts', asyncHandler(getDistricts));
 router.get('/elections', validatePagination, asyncHandler(getElections));
+router.get('/states/:id/trends', validateId, validateContests, asyncHandler(getStateTrends));
+router.get('/constituencies/:id/history', validateId, asyncHandler(getConstituencyHistory));
+router.get('/candidates/:id/career', validateId, asyncHandler(getCandidateCareer));
+router.get('/parties/:id/profile', validateId, validateYear, validateLimit, asyncHandler(getPartyProfile));
 
 // ============================================================================
 // Analytics Endpoints
@@ -57,6 +78,7 @@ router.get('/elections', validatePagination, asyncHandler(getElections));
 // These endpoints return aggregated and calculated statistics
 
 router.get('/seat-share', validateYear, asyncHandler(getSeatShare));
+router.get('/constituency-winners', validateYear, asyncHandler(getConstituencyWinners));
 router.get('/turnout', validateYear, asyncHandler(getTurnout));
 router.get('/vote-share', validateYear, asyncHandler(getVoteShare));
 router.get('/gender-trend', asyncHandler(getGenderTrend));
@@ -70,7 +92,17 @@ router.get('/kpis', validateYear, asyncHandler(getKPIs));
 // These endpoints provide deeper insights and correlations
 
 router.get('/analytics/highest-turnout', validateYear, asyncHandler(getHighestTurnout));
+router.get('/analytics/state-margins', validateYear, asyncHandler(getStateMargins));
 router.get('/analytics/seat-changes', validateSeatChanges, asyncHandler(getSeatChanges));
+router.get('/analytics/swing', validateSeatChanges, asyncHandler(getSwing));
+router.post('/analytics/swingometer', validateSwingometer, asyncHandler(getSwingometer));
+router.post('/analytics/alliance-merger', validateAllianceMerger, asyncHandler(getAllianceMerger));
+router.get('/analytics/proportional', validateProportional, asyncHandler(getProportionalSeats));
+router.get('/analytics/fragmentation', validateYear, asyncHandler(getFragmentation)); // Year and state are optional
+router.get('/analytics/volatility', asyncHandler(getVolatility));
+router.get('/analytics/incumbency', asyncHandler(getIncumbency));
+router.get('/analytics/party-switching', validateYearRange, asyncHandler(getPartySwitching));
+router.get('/analytics/strike-rate', validateYear, asyncHandler(getStrikeRate));
 router.get('/analytics/women-candidates', asyncHandler(getWomenCandidates)); // Year is optional
 router.get('/analytics/closest-contests', validateYear, asyncHandler(getClosestContests));
 router.get('/analytics/correlation', asyncHandler(getCorrelation));
@@ -0,0 +1,149 @@
+/**
+ * Alliance Membership Import
+ *
+ * Loads pre-poll alliances and the parties that contested with them in each
+ * election year from a CSV file into the alliances and party_alliances tables.
+ *
+ * Expected columns (one row per party and election year):
+ *   year                - Election year (e.g. 2019)
+ *   alliance            - Alliance short name (e.g. 'NDA')
+ *   party               - Party name as in the election CSV (e.g. 'BJP')
+ *   alliance_full_name  - Optional full name (e.g. 'National Democratic Alliance')
+ *
+ * The CSV is treated as the complete membership list: existing memberships are
+ * replaced, and alliances no longer referenced are removed. Alliance IDs of
+ * unchanged alliance names are kept. A party can belong to one alliance per
+ * year; later rows naming a different alliance for the same party and year are
+ * reported and skipped.
+ *
+ * Writes to the database chosen by DB_CLIENT (see database/adapters).
+ *
+ * Usage: npm run import:alliances -- [path/to/alliances.csv]
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const csv = require('csv-parse/sync');
+const { createAdapter } = require('../database/adapters');
+
+// Match names regardless of case, underscores and repeated spaces
+const normalize = (value) => (value || '').toString().replace(/_/g, ' ').replace(/\s+/g, ' ').trim().toLowerCase();
+
+async function importAlliances(filePath) {
+  console.log('📖 Reading alliance membership CSV...');
+  const fileContent = fs.readFileSync(filePath, 'utf-8');
+  const records = csv.parse(fileContent, {
+    columns: true,
+    skip_empty_lines: true,
+    trim: true,
+    cast: (value, context) => {
+      if (context.column === 'year') {
+        return value === '' ? null : parseInt(value);
+      }
+      return value === '' ? null : value;
+    }
+  });
+
+  console.log(`📊 Processing ${records.length} membership rows...\n`);
+
+  const db = createAdapter();
+  await db.connect();
+
+  if (!(await db.listTables()).includes('party_alliances')) {
+    await db.close();
+    throw new Error('Alliance tables not found. Run "npm run migrate" to create them.');
+  }
+  console.log(`🗄️  Importing into ${db.description}\n`);
+
+  const unmatched = [];
+  const conflicting = [];
+  let membershipCount = 0;
+
+  try {
+    // Index parties by normalized name
+    const partyMap = new Map();
+    (await db.query('SELECT id, name FROM parties')).rows.forEach((row) => {
+      partyMap.set(normalize(row.name), row.id);
+    });
+
+    await db.transaction(async (tx) => {
+      await tx.query('DELETE FROM party_alliances');
+
+      for (const [index, record] of records.entries()) {
+        const line = index + 2; // Header is line 1
+        const label = `line ${line}: ${record.year || '-'} ${record.party || ''} -> ${record.alliance || ''}`;
+
+        const partyId = partyMap.get(normalize(record.party));
+        if (!partyId || !record.alliance || !Number.isInteger(record.year)) {
+          unmatched.push(label);
+          continue;
+        }
+
+        const allianceName = record.alliance.replace(/_/g, ' ').trim();
+        const { rows: [existing] } = await tx.query('SELECT id FROM alliances WHERE name = $1', [allianceName]);
+        const allianceId = existing
+          ? existing.id
+          : (await tx.query('INSERT INTO alliances (name) VALUES ($1) RETURNING id', [allianceName])).rows[0].id;
+        if (record.alliance_full_name) {
+          await tx.query('UPDATE alliances SET full_name = $1 WHERE name = $2', [record.alliance_full_name, allianceName]);
+        }
+
+        // A party can already have a membership for this year
+        const { rows: [current] } = await tx.query(
+          'SELECT a.name FROM party_alliances pa JOIN alliances a ON pa.alliance_id = a.id WHERE pa.party_id = $1 AND pa.year = $2',
+          [partyId, record.year]
+        );
+        if (!current) {
+          await tx.query('INSERT INTO party_alliances (party_id, year, alliance_id) VALUES ($1, $2, $3)', [partyId, record.year, allianceId]);
+          membershipCount++;
+        } else if (current.name !== allianceName) {
+          conflicting.push(`${label} (already in ${current.name})`);
+        }
+      }
+
+      // Remove alliances that are no longer part of the membership list
+      await tx.query('DELETE FROM alliances WHERE id NOT IN (SELECT DISTINCT alliance_id FROM party_alliances)');
+    });
+
+    const allianceCount = (await db.query('SELECT COUNT(*) as count FROM alliances')).rows[0].count;
+    const years = (await db.query('SELECT DISTINCT year FROM party_alliances ORDER BY year')).rows.map((row) => row.year);
+
+    console.log(`✅ Alliance membership imported!`);
+    console.log(`   Alliances: ${allianceCount}`);
+    console.log(`   Party memberships: ${membershipCount}`);
+    console.log(`   Years: ${years.length > 0 ? years.join(', ') : '-'}`);
+
+    if (unmatched.length > 0) {
+      console.log(`\n⚠️  ${unmatched.length} rows did not match a party or lack a year/alliance and were skipped:`);
+      unmatched.slice(0, 20).forEach((label) => console.log(`   ${label}`));
+      if (unmatched.length > 20) console.log(`   ... and ${unmatched.length - 20} more`);
+    }
+    if (conflicting.length > 0) {
+      console.log(`\n⚠️  ${conflicting.length} rows put a party in a second alliance for the same year and were skipped:`);
+      conflicting.slice(0, 20).forEach((label) => console.log(`   ${label}`));
+      if (conflicting.length > 20) console.log(`   ... and ${conflicting.length - 20} more`);
+    }
+  } catch (error) {
+    console.error('\n❌ Error importing alliance membership:', error);
+    throw error;
+  } finally {
+    await db.close();
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  const filePath = process.argv[2] || path.join(__dirname, '../../alliances.csv');
+  importAlliances(filePath)
+    .then(() => {
+      console.log('\n🎉 Alliance import finished successfully!');
+      process.exit(0);
+    })
+    .catch((err) => {
+      console.error('\n💥 Alliance import failed:', err.message);
+      process.exit(1);
+    });
+}
+
+module.exports = importAlliances;
@@ -1,210 +1,862 @@
 const fs = require('fs');
 const path = require('path');
-const csv = require('csv-parse/sync');
-const Database = require('better-sqlite3');
-
-const dbPath = process.env.DB_PATH || path.join(__dirname, '../../election_data.db');
-
-function importCSV(filePath) {
-  console.log('📖 Reading CSV file...');
-  const fileContent = fs.readFileSync(filePath, 'utf-8');
-  const records = csv.parse(fileContent, {
-    columns: true,
-    skip_empty_lines: true,
-    cast: (value, context) => {
-      if (context.column === 'votes' || context.column === 'valid_votes' || 
-          context.column === 'electors' || context.column === 'margin') {
-        return value === '' ? null : parseFloat(value);
+const { parse } = require('csv-parse');
+require('dotenv').config();
+const { createAdapter } = require('../database/adapters');
+
+// Records without a TCPD pid are treated as the same person when the name and
+// state match and the contests are at most this many years apart
+const DEFAULT_YEAR_WINDOW = 10;
+
+// Rows committed per transaction; batches always end at a seat boundary
+const DEFAULT_BATCH_SIZE = 5000;
+
+// Result columns besides the natural key (election_id, constituency_id, candidate_id)
+const RESULT_COLUMNS = [
+  'party_id', 'position', 'votes', 'candidate_type', 'valid_votes', 'electors', 'n_cand',
+  'turnout_percentage', 'vote_share_percentage', 'vote_share_pct', 'deposit_lost', 'margin',
+  'margin_percentage', 'margin_pct', 'enop', 'last_poll', 'contested', 'last_party', 'last_party_id',
+  'last_constituency_name', 'same_constituency', 'same_party', 'no_terms', 'turncoat', 'incumbent', 'recontest'
+];
+
+// Candidate names are compared without case and repeated whitespace
+const normalizeName = (name) => name.replace(/\s+/g, ' ').trim().toUpperCase();
+
+/**
+ * Create a candidate identity resolver
+ *
+ * Resolves each CSV record to a candidate id:
+ * - with a pid, the candidate with that pid is reused (or created)
+ * - without a pid, a candidate with the same name who contested in the same state
+ *   within yearWindow years (and not in the same year) is reused, preferring one who
+ *   contested the same constituency before and then the closest year
+ * Merges where two candidates were equally likely are written to the merge report for review.
+ * Candidates are looked up in the database, so re-imports resolve to the same ids: a
+ * name already stored for the same year and constituency is reused before any other
+ * rule is applied.
+ *
+ * Memory stays flat however large the import: pids are looked up one at a time, and
+ * only the candidates who contested the current state within yearWindow years of the
+ * current year are held, reloaded whenever the state or year changes.
+ *
+ * resolve() runs its queries through the transaction passed to it, so candidates
+ * created earlier in the same batch are found.
+ *
+ * @param {number} yearWindow - Maximum gap in years for name-based matches
+ * @param {Object} merges - Merge report writer (see createMergeReport)
+ * @returns {{resolve: Function, stats: Object}} Resolver
+ */
+function createCandidateResolver(yearWindow, merges) {
+  const insertCandidate = `
+    INSERT INTO candidates (name, sex, myneta_education, tcpd_prof_main, tcpd_prof_main_desc, tcpd_prof_second, tcpd_prof_second_desc, pid)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    RETURNING id
+  `;
+  const findByPid = 'SELECT id FROM candidates WHERE pid = $1 ORDER BY id LIMIT 1';
+  // Every contest of the candidates who stood in the state within the window
+  const findNearby = `
+    SELECT cand.id, cand.name, e.year, r.constituency_id
+    FROM results r
+    JOIN candidates cand ON r.candidate_id = cand.id
+    JOIN elections e ON r.election_id = e.id
+    WHERE r.candidate_id IN (
+        SELECT r2.candidate_id
+        FROM results r2
+        JOIN constituencies c2 ON r2.constituency_id = c2.id
+        JOIN elections e2 ON r2.election_id = e2.id
+        WHERE c2.state_id = $1 AND e2.year BETWEEN $2 AND $3
+      )
+  `;
+
+  let scope = null;              // state_id|year the entries below were loaded for
+  let byName = new Map();        // NAME -> [{ id, years: Set, seats: Set, contests: Set }]
+  let entries = new Map();       // candidate id -> entry
+  let claimedContest = null;     // year|constituency_id the claimed ids belong to
+  const claimed = new Set();     // candidate ids already resolved for that contest in this run
+
+  const getEntry = (id, name) => {
+    if (!entries.has(id)) {
+      const entry = { id, years: new Set(), seats: new Set(), contests: new Set() };
+      entries.set(id, entry);
+    }
+    const entry = entries.get(id);
+    const key = normalizeName(name);
+    if (!byName.has(key)) {
+      byName.set(key, []);
+    }
+    if (!byName.get(key).includes(entry)) {
+      byName.get(key).push(entry);
+    }
+    return entry;
+  };
+
+  const loadScope = async (tx, stateId, year) => {
+    const key = `${stateId}|${year}`;
+    if (scope === key) return;
+    scope = key;
+    byName = new Map();
+    entries = new Map();
+    const { rows } = await tx.query(findNearby, [stateId, year - yearWindow, year + yearWindow]);
+    rows.forEach((row) => {
+      const entry = getEntry(row.id, row.name);
+      entry.years.add(row.year);
+      entry.seats.add(row.constituency_id);
+      entry.contests.add(`${row.year}|${row.constituency_id}`);
+    });
+  };
+
+  const stats = { created: 0, matchedByPid: 0, matchedByName: 0 };
+
+  const create = async (tx, record) => {
+    stats.created++;
+    const { rows } = await tx.query(insertCandidate, [
+      record.candidate, record.sex || null, record.myneta_education || null,
+      record.tcpd_prof_main || null, record.tcpd_prof_main_desc || null,
+      record.tcpd_prof_second || null, record.tcpd_prof_second_desc || null,
+      record.pid || null
+    ]);
+    return rows[0].id;
+  };
+
+  const resolve = async (tx, record, stateId, constituencyId) => {
+    const year = record.year;
+    const contest = `${year}|${constituencyId}`;
+    await loadScope(tx, stateId, year);
+    // Rows of a contest are next to each other, so claims only need to last for one contest
+    if (claimedContest !== contest) {
+      claimedContest = contest;
+      claimed.clear();
+    }
+    const sameName = byName.get(normalizeName(record.candidate)) || [];
+    const stored = record.pid ? null : sameName.find((entry) => entry.contests.has(contest) && !claimed.has(entry.id));
+    let candidateId;
+
+    if (stored) {
+      // Re-import of a contest that is already in the database
+      candidateId = stored.id;
+      stats.matchedByName++;
+    } else if (record.pid) {
+      const { rows: [existing] } = await tx.query(findByPid, [record.pid]);
+      if (existing) {
+        candidateId = existing.id;
+        stats.matchedByPid++;
+      } else {
+        candidateId = await create(tx, record);
       }
-      if (context.column === 'year' || context.column === 'month' || 
-          context.column === 'poll_no' || context.column === 'delimid' ||
-          context.column === 'position' || context.column === 'n_cand' ||
-          context.column === 'assembly_no' || context.column === 'constituency_no') {
-        return value === '' ? null : parseInt(value);
+    } else {
+      // A namesake who already contested this year is treated as a different person
+      const matches = sameName
+        .filter((entry) => entry.years.size > 0 && !entry.years.has(year))
+        .map((entry) => ({
+          entry,
+          sameSeat: entry.seats.has(constituencyId),
+          gap: Math.min(...[...entry.years].map((y) => Math.abs(y - year)))
+        }))
+        .filter((m) => m.gap <= yearWindow)
+        .sort((a, b) => (b.sameSeat - a.sameSeat) || (a.gap - b.gap) || (b.entry.id - a.entry.id));
+
+      if (matches.length === 0) {
+        candidateId = await create(tx, record);
+      } else {
+        const [best, next] = matches;
+        candidateId = best.entry.id;
+        stats.matchedByName++;
+        if (next && next.sameSeat === best.sameSeat && next.gap === best.gap) {
+          const tied = matches.filter((m) => m.sameSeat === best.sameSeat && m.gap === best.gap);
+          merges.add(record, candidateId, `${tied.length} candidates equally likely (${tied.map((m) => m.entry.id).join(', ')})`);
+        }
       }
-      if (context.column === 'turnout_percentage' || context.column === 'vote_share_percentage' ||
-          context.column === 'margin_percentage' || context.column === 'vote_share_pct' ||
-          context.column === 'margin_pct' || context.column === 'enop' ||
-          context.column === 'no_terms') {
-        if (value === '' || value === 'inf' || value === 'Inf' || value === 'INF') return null;
-        return parseFloat(value);
+    }
+
+    const entry = getEntry(candidateId, record.candidate);
+    entry.years.add(year);
+    entry.seats.add(constituencyId);
+    entry.contests.add(contest);
+    claimed.add(candidateId);
+    return candidateId;
+  };
+
+  return { resolve, stats };
+}
+
+/**
+ * Print the candidate identity summary
+ * @param {Object} candidates - Resolver returned by createCandidateResolver
+ * @param {number} yearWindow - Year window used for name-based matches
+ * @param {Object} merges - Merge report writer (see createMergeReport)
+ * @param {string} mergeReport - Path of the merge report CSV
+ */
+function printCandidateReport(candidates, yearWindow, merges, mergeReport) {
+  const { stats } = candidates;
+  console.log(`\n👤 Candidate identity resolution:`);
+  console.log(`   New candidates: ${stats.created}`);
+  console.log(`   Matched by pid: ${stats.matchedByPid}`);
+  console.log(`   Matched by name + state within ${yearWindow} years: ${stats.matchedByName}`);
+  console.log(`   Ambiguous merges to review: ${merges.count}`);
+  if (merges.count > 0) {
+    console.log(`   📝 Merge report written to ${mergeReport}`);
+  }
+}
+
+// Columns every row needs to be stored (state, constituency, election, candidate, party)
+const REQUIRED_COLUMNS = ['state_name', 'constituency_name', 'year', 'candidate', 'party'];
+
+/**
+ * Validate parsed CSV rows before they are imported
+ *
+ * Row checks: missing required columns, votes greater than valid_votes, turnout
+ * outside 0-100. Seat checks (rows sharing year, poll, state and constituency):
+ * positions must run 1..n without gaps and there must be exactly one winner.
+ * Rows of a seat are imported together or not at all, so when any row of a seat
+ * fails, the other rows of that seat are rejected as well.
+ *
+ * @param {Array<{record: Object, raw: string, line: number}>} rows - Parsed rows
+ * @returns {{valid: Array, rejected: Array<{row: Object, reasons: string[]}>}} Validation result
+ */
+function validateRows(rows) {
+  const reasonsByRow = new Map();
+  const addReason = (row, reason) => {
+    if (!reasonsByRow.has(row)) {
+      reasonsByRow.set(row, []);
+    }
+    reasonsByRow.get(row).push(reason);
+  };
+
+  const seats = new Map();
+  rows.forEach((row) => {
+    const { record } = row;
+    const missing = REQUIRED_COLUMNS.filter((column) => record[column] == null || Number.isNaN(record[column]));
+    if (missing.length > 0) {
+      addReason(row, `missing ${missing.join(', ')}`);
+    }
+    if (record.votes != null && record.valid_votes != null && record.votes > record.valid_votes) {
+      addReason(row, `votes (${record.votes}) greater than valid_votes (${record.valid_votes})`);
+    }
+    if (record.turnout_percentage != null && (record.turnout_percentage < 0 || record.turnout_percentage > 100)) {
+      addReason(row, `turnout_percentage ${record.turnout_percentage} outside 0-100`);
+    }
+
+    const seatKey = [record.year, record.month, record.poll_no, record.state_name, record.constituency_name, record.constituency_no].join('|');
+    if (!seats.has(seatKey)) {
+      seats.set(seatKey, []);
+    }
+    seats.get(seatKey).push(row);
+  });
+
+  seats.forEach((seatRows) => {
+    const winners = seatRows.filter((row) => row.record.position === 1);
+    if (winners.length > 1) {
+      winners.forEach((row) => addReason(row, `${winners.length} winners (position 1) in this seat`));
+    }
+
+    const positions = seatRows.map((row) => row.record.position);
+    if (positions.some((position) => position == null)) {
+      seatRows.filter((row) => row.record.position == null).forEach((row) => addReason(row, 'missing position'));
+    } else {
+      const missingPositions = [];
+      const present = new Set(positions);
+      for (let position = 1; position <= Math.max(...positions); position++) {
+        if (!present.has(position)) missingPositions.push(position);
       }
-      if (context.column === 'contested' || context.column === 'same_constituency' ||
-          context.column === 'same_party' || context.column === 'turncoat' ||
-          context.column === 'incumbent' || context.column === 'recontest') {
-        return value === 'True' || value === 'true' || value === '1' ? 1 : 0;
+      if (missingPositions.length > 0) {
+        seatRows.forEach((row) => addReason(row, `position gap in this seat (no row for ${missingPositions.join(', ')})`));
       }
-      return value === '' ? null : value;
+    }
+
+    if (seatRows.some((row) => reasonsByRow.has(row))) {
+      seatRows
+        .filter((row) => !reasonsByRow.has(row))
+        .forEach((row) => addReason(row, 'another row of this seat failed validation'));
     }
   });
 
-  console.log(`📊 Processing ${records.length} records...\n`);
-
-  const db = new Database(dbPath);
-  db.pragma('foreign_keys = ON');
-  
-  // Prepare statements
-  const insertState = db.prepare('INSERT OR IGNORE INTO states (name) VALUES (?)');
-  const getState = db.prepare('SELECT id FROM states WHERE name = ?');
-  
-  const insertParty = db.prepare('INSERT OR IGNORE INTO parties (name, party_type_tcpd, party_id) VALUES (?, ?, ?)');
-  const getParty = db.prepare('SELECT id FROM parties WHERE name = ?');
-  
-  const insertConstituency = db.prepare(`
-    INSERT OR IGNORE INTO constituencies (state_id, name, constituency_no, constituency_type, sub_region, assembly_no) 
-    VALUES (?, ?, ?, ?, ?, ?)
-  `);
-  const getConstituency = db.prepare(`
-    SELECT id FROM constituencies WHERE state_id = ? AND name = ? AND (constituency_no = ? OR (constituency_no IS NULL AND ? IS NULL))
-  `);
-  
-  const insertElection = db.prepare('INSERT OR IGNORE INTO elections (year, month, poll_no, delimid, election_type) VALUES (?, ?, ?, ?, ?)');
-  const getElection = db.prepare('SELECT id FROM elections WHERE year = ? AND (month = ? OR (month IS NULL AND ? IS NULL)) AND (poll_no = ? OR (poll_no IS NULL AND ? IS NULL)) AND (delimid = ? OR (delimid IS NULL AND ? IS NULL))');
-  
-  const insertCandidate = db.prepare(`
-    INSERT OR IGNORE INTO candidates (name, sex, myneta_education, tcpd_prof_main, tcpd_prof_main_desc, tcpd_prof_second, tcpd_prof_second_desc, pid) 
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-  `);
-  const getCandidate = db.prepare('SELECT id FROM candidates WHERE name = ?');
-  
-  const insertResult = db.prepare(`
-    INSERT INTO results (
-      election_id, constituency_id, candidate_id, party_id, position, votes, candidate_type,
-      valid_votes, electors, n_cand, turnout_percentage, vote_share_percentage, vote_share_pct,
-      deposit_lost, margin, margin_percentage, margin_pct, enop, last_poll, contested,
-      last_party, last_party_id, last_constituency_name, same_constituency, same_party,
-      no_terms, turncoat, incumbent, recontest
-    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-  `);
+  return {
+    valid: rows.filter((row) => !reasonsByRow.has(row)),
+    rejected: rows.filter((row) => reasonsByRow.has(row)).map((row) => ({ row, reasons: reasonsByRow.get(row) }))
+  };
+}
 
-  // Create lookup maps
-  const stateMap = new Map();
-  const partyMap = new Map();
-  const constituencyMap = new Map();
-  const electionMap = new Map();
-  const candidateMap = new Map();
-
-  // Start transaction
-  const insertMany = db.transaction((records) => {
-    for (let i = 0; i < records.length; i++) {
-      const record = records[i];
-      
-      // Get or create state
-      let stateId = stateMap.get(record.state_name);
-      if (!stateId) {
-        insertState.run(record.state_name);
-        const stateRow = getState.get(record.state_name);
-        if (stateRow) {
-          stateId = stateRow.id;
-          stateMap.set(record.state_name, stateId);
-        }
-      }
+// Parser options shared by the validation and import passes
+const PARSE_OPTIONS = {
+  columns: true,
+  skip_empty_lines: true,
+  raw: true,
+  info: true,
+  cast: (value, context) => {
+    if (context.column === 'votes' || context.column === 'valid_votes' || 
+        context.column === 'electors' || context.column === 'margin') {
+      return value === '' ? null : parseFloat(value);
+    }
+    if (context.column === 'year' || context.column === 'month' || 
+        context.column === 'poll_no' || context.column === 'delimid' ||
+        context.column === 'position' || context.column === 'n_cand' ||
+        context.column === 'assembly_no' || context.column === 'constituency_no') {
+      return value === '' ? null : parseInt(value);
+    }
+    if (context.column === 'turnout_percentage' || context.column === 'vote_share_percentage' ||
+        context.column === 'margin_percentage' || context.column === 'vote_share_pct' ||
+        context.column === 'margin_pct' || context.column === 'enop' ||
+        context.column === 'no_terms') {
+      if (value === '' || value === 'inf' || value === 'Inf' || value === 'INF') return null;
+      return parseFloat(value);
+    }
+    if (context.column === 'contested' || context.column === 'same_constituency' ||
+        context.column === 'same_party' || context.column === 'turncoat' ||
+        context.column === 'incumbent' || context.column === 'recontest' ||
+        context.column === 'last_poll') {
+      return value === 'True' || value === 'true' || value === '1' ? 1 : 0;
+    }
+    return value === '' ? null : value;
+  }
+};
 
-      // Get or create party
-      let partyId = partyMap.get(record.party);
-      if (!partyId && record.party) {
-        insertParty.run(record.party, record.party_type_tcpd || null, record.party_id || null);
-        const partyRow = getParty.get(record.party);
-        if (partyRow) {
-          partyId = partyRow.id;
-          partyMap.set(record.party, partyId);
-        }
+const seatKeyOf = (record) => [record.year, record.month, record.poll_no, record.state_name, record.constituency_name, record.constituency_no].join('|');
+
+/**
+ * Stream a CSV file and yield the rows of one seat at a time
+ *
+ * Rows of a seat are expected to be next to each other in the file, as in the TCPD
+ * export; `reader.header` holds the header line once the first row has been read and
+ * `reader.bytesRead()` the progress through the file.
+ *
+ * @param {string} filePath - Path to the election CSV
+ * @param {number|null} year - Only yield rows of this year
+ * @returns {{seats: AsyncGenerator<Array<{record: Object, raw: string, line: number}>>, header: string, bytesRead: Function}} Reader
+ */
+function createSeatReader(filePath, year) {
+  const input = fs.createReadStream(filePath);
+  const reader = {
+    header: '',
+    bytesRead: () => input.bytesRead
+  };
+  const parser = input.pipe(parse({
+    ...PARSE_OPTIONS,
+    columns: (header) => {
+      reader.header = header.join(',');
+      return header;
+    }
+  }));
+  input.on('error', (error) => parser.destroy(error));
+
+  reader.seats = (async function* readSeats() {
+    let seat = [];
+    let seatKey = null;
+    for await (const { record, raw, info } of parser) {
+      if (year != null && record.year !== year) continue;
+      const key = seatKeyOf(record);
+      if (key !== seatKey && seat.length > 0) {
+        yield seat;
+        seat = [];
       }
+      seatKey = key;
+      seat.push({ record, raw, line: info.lines });
+    }
+    if (seat.length > 0) {
+      yield seat;
+    }
+  })();
 
-      // Get or create constituency
-      const constituencyKey = `${stateId}-${record.constituency_name}-${record.constituency_no || ''}`;
-      let constituencyId = constituencyMap.get(constituencyKey);
-      if (!constituencyId) {
-        insertConstituency.run(
-          stateId, record.constituency_name, record.constituency_no || null,
-          record.constituency_type || null, record.sub_region || null, record.assembly_no || null
-        );
-        const constRow = getConstituency.get(stateId, record.constituency_name, record.constituency_no || null, record.constituency_no || null);
-        if (constRow) {
-          constituencyId = constRow.id;
-          constituencyMap.set(constituencyKey, constituencyId);
-        }
+  return reader;
+}
+
+/**
+ * Track the seats read so far, to spot a seat whose rows were split across the file
+ *
+ * The file is sorted by election, so only the seats of the current election year are
+ * kept; they are forgotten when the year changes.
+ *
+ * @returns {{add: Function}} Tracker; add(record) returns false when the record's seat was already read
+ */
+function createSeatTracker() {
+  let year = null;
+  const keys = new Set();
+  return {
+    add: (record) => {
+      if (record.year !== year) {
+        year = record.year;
+        keys.clear();
       }
+      const key = seatKeyOf(record);
+      if (keys.has(key)) return false;
+      keys.add(key);
+      return true;
+    }
+  };
+}
+
+/**
+ * Validate the rows of one seat, rejecting a seat whose rows were split across the file
+ * @param {Array} seatRows - Rows yielded by createSeatReader
+ * @param {Object} seenSeats - Tracker from createSeatTracker (updated)
+ * @returns {{valid: Array, rejected: Array}} Validation result
+ */
+function validateSeat(seatRows, seenSeats) {
+  if (!seenSeats.add(seatRows[0].record)) {
+    return {
+      valid: [],
+      rejected: seatRows.map((row) => ({
+        row, reasons: ['rows of this seat are not next to each other in the file; sort it by election and constituency']
+      }))
+    };
+  }
+  return validateRows(seatRows);
+}
 
-      // Get or create election
-      const electionKey = `${record.year}-${record.month || ''}-${record.poll_no || ''}-${record.delimid || ''}`;
-      let electionId = electionMap.get(electionKey);
-      if (!electionId) {
-        insertElection.run(
-          record.year, record.month || null, record.poll_no || null,
-          record.delimid || null, record.election_type || null
-        );
-        const elecRow = getElection.get(
-          record.year, record.month || null, record.month || null,
-          record.poll_no || null, record.poll_no || null,
-          record.delimid || null, record.delimid || null
-        );
-        if (elecRow) {
-          electionId = elecRow.id;
-          electionMap.set(electionKey, electionId);
+/**
+ * Create the quarantine CSV writer; the file is only created once a row is rejected
+ *
+ * When resuming, the file is first cut back to its size at the checkpoint, so rows
+ * quarantined after the checkpoint by the interrupted run are not written twice.
+ *
+ * @param {string} quarantinePath - Output CSV path
+ * @param {number} resumeBytes - Size of the file at the checkpoint being resumed (0 to start over)
+ * @returns {{add: Function, count: number, bytes: number, close: Function}} Writer
+ */
+function createQuarantine(quarantinePath, resumeBytes = 0) {
+  const quote = (value) => `"${String(value).replace(/"/g, '""')}"`;
+  let fd = null;
+  const resuming = resumeBytes > 0 && fs.existsSync(quarantinePath);
+  if (resuming) {
+    fs.truncateSync(quarantinePath, resumeBytes);
+  }
+  const write = (text) => {
+    writer.bytes += fs.writeSync(fd, text);
+  };
+  const writer = {
+    count: 0,
+    bytes: resuming ? resumeBytes : 0,
+    add: (rejected, header) => {
+      if (rejected.length === 0) return;
+      if (fd === null) {
+        fd = fs.openSync(quarantinePath, resuming ? 'a' : 'w');
+        if (!resuming) write(`line,reasons,${header}\n`);
+      }
+      rejected.forEach(({ row, reasons }) => {
+        if (writer.count < 25) {
+          const { record } = row;
+          console.log(`   ⚠️  line ${row.line}: ${record.year} ${record.state_name} / ${record.constituency_name}: ${record.candidate} - ${reasons.join('; ')}`);
         }
+        write(`${row.line},${quote(reasons.join('; '))},${row.raw.replace(/\r?\n$/, '')}\n`);
+        writer.count++;
+      });
+    },
+    close: () => {
+      if (fd !== null) fs.closeSync(fd);
+    }
+  };
+  return writer;
+}
+
+/**
+ * Create the merge report CSV writer; the file is only created once a merge is ambiguous
+ *
+ * Ambiguous merges are appended as they are made, so none are held in memory. When
+ * resuming, the file is cut back to its size at the checkpoint like the quarantine CSV.
+ *
+ * @param {string} reportPath - Output CSV path
+ * @param {number} resumeBytes - Size of the file at the checkpoint being resumed (0 to start over)
+ * @returns {{add: Function, count: number, bytes: number, close: Function}} Writer
+ */
+function createMergeReport(reportPath, resumeBytes = 0) {
+  const quote = (value) => `"${String(value == null ? '' : value).replace(/"/g, '""')}"`;
+  let fd = null;
+  const resuming = resumeBytes > 0 && fs.existsSync(reportPath);
+  if (resuming) {
+    fs.truncateSync(reportPath, resumeBytes);
+  }
+  const write = (text) => {
+    writer.bytes += fs.writeSync(fd, text);
+  };
+  const writer = {
+    count: 0,
+    bytes: resuming ? resumeBytes : 0,
+    add: (record, candidateId, reason) => {
+      if (fd === null) {
+        fd = fs.openSync(reportPath, resuming ? 'a' : 'w');
+        if (!resuming) write('year,state_name,constituency_name,candidate,candidate_id,reason\n');
       }
+      if (writer.count < 25) {
+        console.log(`   🔀 ${record.year} ${record.state_name} / ${record.constituency_name}: ${record.candidate} -> candidate ${candidateId} (${reason})`);
+      }
+      write([record.year, record.state_name, record.constituency_name, record.candidate, candidateId, reason].map(quote).join(',') + '\n');
+      writer.count++;
+    },
+    close: () => {
+      if (fd !== null) fs.closeSync(fd);
+    }
+  };
+  return writer;
+}
 
-      // Get or create candidate
-      let candidateId = candidateMap.get(record.candidate);
-      if (!candidateId && record.candidate) {
-        insertCandidate.run(
-          record.candidate, record.sex || null, record.myneta_education || null,
-          record.tcpd_prof_main || null, record.tcpd_prof_main_desc || null,
-          record.tcpd_prof_second || null, record.tcpd_prof_second_desc || null,
-          record.pid || null
-        );
-        const candRow = getCandidate.get(record.candidate);
-        if (candRow) {
-          candidateId = candRow.id;
-          candidateMap.set(record.candidate, candidateId);
-        }
+const formatDuration = (seconds) => {
+  if (!isFinite(seconds)) return '?';
+  const minutes = Math.floor(seconds / 60);
+  return minutes > 0 ? `${minutes}m ${Math.round(seconds % 60)}s` : `${Math.round(seconds)}s`;
+};
+
+/**
+ * Import an election CSV into the database
+ *
+ * The file is streamed and committed in batches of whole seats, so files larger than
+ * memory can be imported. After every batch a checkpoint is written next to the CSV;
+ * an interrupted import started again with the same file and options resumes after
+ * the last committed batch (pass `restart` to ignore the checkpoint).
+ *
+ * Results are upserted on (election, constituency, candidate), so running the import
+ * again only updates rows whose values changed. With `year`, only that year's rows
+ * are imported; adding `replace` first deletes every stored result of that year.
+ * Rows are validated per seat (see validateRows); rejected rows are written to the
+ * quarantine CSV and skipped. With `strict`, the file is validated in a first pass and
+ * nothing is imported if any row fails. Candidates merged by name where several were
+ * equally likely are listed in the merge report CSV.
+ *
+ * @param {string} filePath - Path to the election CSV
+ * @param {Object} options - { yearWindow, mergeReport, year, replace, strict, quarantine, batchSize, restart }
+ * @returns {Promise<void>}
+ */
+async function importCSV(filePath, options = {}) {
+  const base = path.join(path.dirname(filePath), path.basename(filePath, '.csv'));
+  const {
+    yearWindow = DEFAULT_YEAR_WINDOW, mergeReport = `${base}.merge-report.csv`, year = null, replace = false, strict = false,
+    quarantine = `${base}.quarantine.csv`, batchSize = DEFAULT_BATCH_SIZE, restart = false
+  } = options;
+  const checkpointPath = `${base}.import-checkpoint.json`;
+
+  if (replace && year == null) {
+    throw new Error('--replace needs --year <year> to choose which election year to replace');
+  }
+
+  const { size, mtimeMs } = fs.statSync(filePath);
+  const runKey = { file: path.resolve(filePath), size, mtimeMs, year, replace };
+
+  // Resume after the last committed batch of an interrupted run of the same import
+  let checkpoint = null;
+  if (fs.existsSync(checkpointPath) && !restart) {
+    const saved = JSON.parse(fs.readFileSync(checkpointPath, 'utf-8'));
+    if (Object.keys(runKey).every((key) => saved[key] === runKey[key])) {
+      checkpoint = saved;
+      console.log(`⏯️  Resuming after line ${checkpoint.line} (${checkpoint.rows} rows already imported)`);
+    } else {
+      console.log('⚠️  Ignoring checkpoint from a different file, file version or options');
+    }
+  }
+
+  if (strict) {
+    console.log('🔎 Validating all records (strict mode)...');
+    const reader = createSeatReader(filePath, year);
+    const seenSeats = createSeatTracker();
+    const rejectedRows = createQuarantine(quarantine);
+    let total = 0;
+    try {
+      for await (const seatRows of reader.seats) {
+        total += seatRows.length;
+        rejectedRows.add(validateSeat(seatRows, seenSeats).rejected, reader.header);
       }
+    } finally {
+      rejectedRows.close();
+    }
+    if (rejectedRows.count > 0) {
+      console.log(`   📝 Quarantined rows written to ${quarantine}`);
+      throw new Error(`${rejectedRows.count} rows failed validation in strict mode; nothing was imported`);
+    }
+    if (total === 0 && year != null) {
+      throw new Error(`No records for ${year} in ${filePath}`);
+    }
+    console.log(`   All ${total} records passed validation`);
+  }
+
+  console.log(`📖 Streaming ${filePath} (${(size / 1024 / 1024).toFixed(1)} MB${year != null ? `, ${year} only` : ''}) in batches of ${batchSize} rows...\n`);
+
+  const db = createAdapter();
+  await db.connect();
+  console.log(`🗄️  Importing into ${db.description}\n`);
+
+  // Returns the id of the row found by selectSql, inserting the row first when there is none
+  const findOrInsert = async (tx, selectSql, selectParams, insertSql, insertParams) => {
+    const { rows: [found] } = await tx.query(selectSql, selectParams);
+    if (found) return found.id;
+    const { rows: [inserted] } = await tx.query(insertSql, insertParams);
+    return inserted.id;
+  };
+
+  const merges = createMergeReport(mergeReport, checkpoint ? checkpoint.mergeReportBytes || 0 : 0);
+  merges.count = checkpoint ? checkpoint.ambiguous : 0;
+  const candidates = createCandidateResolver(yearWindow, merges);
 
-      // Insert result
-      if (electionId && constituencyId && candidateId && partyId) {
-        insertResult.run(
-          electionId, constituencyId, candidateId, partyId,
-          record.position || null, record.votes || null, record.candidate_type || null,
-          record.valid_votes || null, record.electors || null, record.n_cand || null,
-          record.turnout_percentage || null, record.vote_share_percentage || null, record.vote_share_pct || null,
-          record.deposit_lost || null, record.margin || null, record.margin_percentage || null, record.margin_pct || null,
-          record.enop || null, record.last_poll || null, record.contested ? 1 : 0,
-          record.last_party || null, record.last_party_id || null, record.last_constituency_name || null,
-          record.same_constituency ? 1 : 0, record.same_party ? 1 : 0,
-          record.no_terms || null, record.turncoat ? 1 : 0, record.incumbent ? 1 : 0, record.recontest ? 1 : 0
-        );
+  const insertResult = `
+    INSERT INTO results (election_id, constituency_id, candidate_id, ${RESULT_COLUMNS.join(', ')})
+    VALUES ($1, $2, $3, ${RESULT_COLUMNS.map((column, index) => `$${index + 4}`).join(', ')})
+  `;
+  const findResults = 'SELECT id FROM results WHERE election_id = $1 AND constituency_id = $2 AND candidate_id = $3 ORDER BY id';
+  const deleteResult = 'DELETE FROM results WHERE id = $1';
+  // Only touches the row when a value differs (IS NOT DISTINCT FROM compares NULLs as equal)
+  const updateResult = `
+    UPDATE results SET ${RESULT_COLUMNS.map((column, index) => `${column} = $${index + 1}`).join(', ')}
+    WHERE id = $${RESULT_COLUMNS.length + 1}
+      AND NOT (${RESULT_COLUMNS.map((column, index) => `${column} IS NOT DISTINCT FROM $${index + 1}`).join(' AND ')})
+  `;
+
+  const summary = { rows: 0, inserted: 0, updated: 0, unchanged: 0, incomplete: 0, duplicatesRemoved: 0, replaced: 0 };
+  if (checkpoint) {
+    Object.assign(summary, checkpoint.summary);
+    Object.assign(candidates.stats, checkpoint.candidateStats);
+  }
+
+  // Create lookup maps
+  const stateMap = new Map();
+  const partyMap = new Map();
+  const constituencyMap = new Map();
+  const electionMap = new Map();
+
+  const importRecord = async (tx, record) => {
+    // Get or create state
+    let stateId = stateMap.get(record.state_name);
+    if (!stateId) {
+      stateId = await findOrInsert(tx,
+        'SELECT id FROM states WHERE name = $1', [record.state_name],
+        'INSERT INTO states (name) VALUES ($1) RETURNING id', [record.state_name]);
+      stateMap.set(record.state_name, stateId);
+    }
+
+    // Get or create party
+    let partyId = partyMap.get(record.party);
+    if (!partyId && record.party) {
+      partyId = await findOrInsert(tx,
+        'SELECT id FROM parties WHERE name = $1', [record.party],
+        'INSERT INTO parties (name, party_type_tcpd, party_id) VALUES ($1, $2, $3) RETURNING id',
+        [record.party, record.party_type_tcpd || null, record.party_id || null]);
+      partyMap.set(record.party, partyId);
+    }
+
+    // Get or create constituency
+    const constituencyKey = `${stateId}-${record.constituency_name}-${record.constituency_no || ''}`;
+    let constituencyId = constituencyMap.get(constituencyKey);
+    if (!constituencyId) {
+      constituencyId = await findOrInsert(tx,
+        'SELECT id FROM constituencies WHERE state_id = $1 AND name = $2 AND constituency_no IS NOT DISTINCT FROM $3',
+        [stateId, record.constituency_name, record.constituency_no || null],
+        `INSERT INTO constituencies (state_id, name, constituency_no, constituency_type, sub_region, assembly_no)
+         VALUES ($1, $2, $3, $4, $5, $6) RETURNING id`,
+        [stateId, record.constituency_name, record.constituency_no || null,
+          record.constituency_type || null, record.sub_region || null, record.assembly_no || null]);
+      constituencyMap.set(constituencyKey, constituencyId);
+    }
+
+    // Get or create election
+    const electionKey = `${record.year}-${record.month || ''}-${record.poll_no || ''}-${record.delimid || ''}`;
+    let electionId = electionMap.get(electionKey);
+    if (!electionId) {
+      const poll = [record.year, record.month || null, record.poll_no || null, record.delimid || null];
+      electionId = await findOrInsert(tx,
+        `SELECT id FROM elections
+         WHERE year = $1 AND month IS NOT DISTINCT FROM $2 AND poll_no IS NOT DISTINCT FROM $3 AND delimid IS NOT DISTINCT FROM $4`,
+        poll,
+        'INSERT INTO elections (year, month, poll_no, delimid, election_type) VALUES ($1, $2, $3, $4, $5) RETURNING id',
+        [...poll, record.election_type || null]);
+      electionMap.set(electionKey, electionId);
+    }
+
+    // Resolve candidate identity (pid, or name + state + year window)
+    let candidateId = null;
+    if (record.candidate && stateId && constituencyId) {
+      candidateId = await candidates.resolve(tx, record, stateId, constituencyId);
+    }
+
+    // Insert or update result
+    if (electionId && constituencyId && candidateId && partyId) {
+      // Values in RESULT_COLUMNS order
+      const values = [
+        partyId,
+        record.position || null, record.votes || null, record.candidate_type || null,
+        record.valid_votes || null, record.electors || null, record.n_cand || null,
+        record.turnout_percentage || null, record.vote_share_percentage || null, record.vote_share_pct || null,
+        record.deposit_lost || null, record.margin || null, record.margin_percentage || null, record.margin_pct || null,
+        record.enop || null, record.last_poll ? 1 : 0, record.contested ? 1 : 0,
+        record.last_party || null, record.last_party_id || null, record.last_constituency_name || null,
+        record.same_constituency ? 1 : 0, record.same_party ? 1 : 0,
+        record.no_terms || null, record.turncoat ? 1 : 0, record.incumbent ? 1 : 0, record.recontest ? 1 : 0
+      ];
+
+      const { rows: [existing, ...duplicates] } = await tx.query(findResults, [electionId, constituencyId, candidateId]);
+      // Rows duplicated by imports before results were upserted
+      for (const row of duplicates) {
+        summary.duplicatesRemoved += (await tx.query(deleteResult, [row.id])).rowCount;
       }
 
-      if ((i + 1) % 1000 === 0) {
-        console.log(`   Processed ${i + 1}/${records.length} records...`);
+      if (!existing) {
+        await tx.query(insertResult, [electionId, constituencyId, candidateId, ...values]);
+        summary.inserted++;
+      } else if ((await tx.query(updateResult, [...values, existing.id])).rowCount > 0) {
+        summary.updated++;
+      } else {
+        summary.unchanged++;
       }
+    } else {
+      summary.incomplete++;
+    }
+  };
+
+  // Commit one batch and record the checkpoint; the replaced year is cleared in the
+  // first batch of a run so an empty or fully quarantined year is never wiped
+  let replacePending = replace && !checkpoint;
+  const commitBatch = (rows) => db.transaction(async (tx) => {
+    if (replacePending) {
+      summary.replaced = (await tx.query(`
+        DELETE FROM results WHERE election_id IN (SELECT id FROM elections WHERE year = $1)
+      `, [year])).rowCount;
+      replacePending = false;
+    }
+    for (const row of rows) {
+      await importRecord(tx, row.record);
     }
   });
 
+  const reader = createSeatReader(filePath, year);
+  const seenSeats = createSeatTracker();
+  const rejectedRows = createQuarantine(quarantine, checkpoint ? checkpoint.quarantineBytes || 0 : 0);
+  rejectedRows.count = checkpoint ? checkpoint.quarantined : 0;
+  const resumeLine = checkpoint ? checkpoint.line : 0;
+  const startedAt = Date.now();
+  let sessionRows = 0;
+  let batch = [];
+  // Last line of the last seat read; every row up to it is committed or quarantined at a flush
+  let lastLine = resumeLine;
+
+  const flush = async () => {
+    if (batch.length === 0) return;
+    await commitBatch(batch);
+    summary.rows += batch.length;
+    sessionRows += batch.length;
+    fs.writeFileSync(checkpointPath, JSON.stringify({
+      ...runKey,
+      line: lastLine,
+      rows: summary.rows,
+      quarantined: rejectedRows.count,
+      quarantineBytes: rejectedRows.bytes,
+      summary,
+      candidateStats: candidates.stats,
+      ambiguous: merges.count,
+      mergeReportBytes: merges.bytes
+    }));
+    batch = [];
+
+    const elapsed = (Date.now() - startedAt) / 1000;
+    const bytes = reader.bytesRead();
+    const eta = (size - bytes) / (bytes / elapsed);
+    console.log(`   Processed ${summary.rows} records (${Math.round(sessionRows / elapsed)} rows/s, ${Math.round((bytes / size) * 100)}%, ETA ${formatDuration(eta)})`);
+  };
+
   try {
-    insertMany(records);
+    for await (const seatRows of reader.seats) {
+      if (seatRows[seatRows.length - 1].line <= resumeLine) {
+        seenSeats.add(seatRows[0].record);
+        continue;
+      }
+      const { valid, rejected } = validateSeat(seatRows, seenSeats);
+      rejectedRows.add(rejected, reader.header);
+      batch.push(...valid);
+      lastLine = seatRows[seatRows.length - 1].line;
+      if (batch.length >= batchSize) {
+        await flush();
+      }
+    }
+    await flush();
+
+    if (summary.rows === 0 && rejectedRows.count === 0 && year != null) {
+      throw new Error(`No records for ${year} in ${filePath}`);
+    }
+
+    if (replace) {
+      // Drop candidates and polls that only belonged to the replaced results
+      await db.transaction(async (tx) => {
+        await tx.query('DELETE FROM candidates WHERE id NOT IN (SELECT DISTINCT candidate_id FROM results)');
+        await tx.query('DELETE FROM elections WHERE year = $1 AND id NOT IN (SELECT DISTINCT election_id FROM results)', [year]);
+      });
+    }
+    if (fs.existsSync(checkpointPath)) {
+      fs.unlinkSync(checkpointPath);
+    }
+
     console.log(`\n✅ Data import completed successfully!`);
-    console.log(`   Total records processed: ${records.length}`);
+    console.log(`   Total records processed: ${summary.rows + rejectedRows.count}`);
+    if (replace) {
+      console.log(`   Removed ${summary.replaced} existing results for ${year}`);
+    }
+    console.log(`   Inserted: ${summary.inserted}`);
+    console.log(`   Updated: ${summary.updated}`);
+    console.log(`   Skipped: ${summary.unchanged + summary.incomplete} (${summary.unchanged} unchanged, ${summary.incomplete} missing state, constituency, candidate or party)`);
+    if (summary.duplicatesRemoved > 0) {
+      console.log(`   Duplicate rows from earlier imports removed: ${summary.duplicatesRemoved}`);
+    }
+    if (rejectedRows.count > 0) {
+      console.log(`   Quarantined: ${rejectedRows.count} rows failed validation, see ${quarantine}`);
+    } else {
+      console.log('   All records passed validation');
+    }
+    printCandidateReport(candidates, yearWindow, merges, mergeReport);
   } catch (error) {
     console.error('\n❌ Error importing data:', error);
+    if (summary.rows > 0 && fs.existsSync(checkpointPath)) {
+      console.error(`   ${summary.rows} records were committed; run the same command again to resume.`);
+    }
     throw error;
   } finally {
-    db.close();
+    rejectedRows.close();
+    merges.close();
+    await db.close();
   }
 }
 
 // Run if called directly
+// Usage: node scripts/importData.js [file.csv] [--year <year> [--replace]] [--strict] [--quarantine <file.csv>]
+//          [--batch-size <rows>] [--restart] [--year-window <years>] [--merge-report <file.csv>]
 if (require.main === module) {
-  const filePath = process.argv[2] || path.join(__dirname, '../../cleaned_election_data.csv');
-  try {
-    importCSV(filePath);
-    console.log('\n🎉 Import finished successfully!');
-    process.exit(0);
-  } catch (err) {
-    console.error('\n💥 Import failed:', err);
+  const args = process.argv.slice(2);
+  const options = {};
+  let filePath = null;
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--year') {
+      options.year = parseInt(args[++i]);
+    } else if (args[i] === '--replace') {
+      options.replace = true;
+    } else if (args[i] === '--strict') {
+      options.strict = true;
+    } else if (args[i] === '--quarantine') {
+      options.quarantine = args[++i];
+    } else if (args[i] === '--batch-size') {
+      options.batchSize = parseInt(args[++i]);
+    } else if (args[i] === '--restart') {
+      options.restart = true;
+    } else if (args[i] === '--year-window') {
+      options.yearWindow = parseInt(args[++i]);
+    } else if (args[i] === '--merge-report') {
+      options.mergeReport = args[++i];
+    } else {
+      filePath = args[i];
+    }
+  }
+  if (options.year !== undefined && isNaN(options.year)) {
+    console.error('💥 --year must be an election year');
+    process.exit(1);
+  }
+  if (options.batchSize !== undefined && !(options.batchSize > 0)) {
+    console.error('💥 --batch-size must be a positive number of rows');
+    process.exit(1);
+  }
+  if (options.yearWindow !== undefined && isNaN(options.yearWindow)) {
+    console.error('💥 --year-window must be a number of years');
     process.exit(1);
   }
+  filePath = filePath || path.join(__dirname, '../../cleaned_election_data.csv');
+  importCSV(filePath, options)
+    .then(() => {
+      console.log('\n🎉 Import finished successfully!');
+      process.exit(0);
+    })
+    .catch((err) => {
+      console.error('\n💥 Import failed:', err.message);
+      process.exit(1);
+    });
 }
 
 module.exports = importCSV;
@@ -0,0 +1,211 @@
+/**
+ * Delimitation Map Import
+ *
+ * Loads the links between constituencies of an earlier delimitation and the
+ * seats that replaced them (e.g. after the 2008 redrawing) from a CSV file into
+ * the constituency_delimitation_map table. Constituency histories follow these
+ * links with delimitation=true.
+ *
+ * Expected columns (one row per old seat / new seat pair; an old seat split
+ * across several new seats has several rows):
+ *   state_name             - State name as in the election CSV (e.g. 'Uttar_Pradesh')
+ *   old_constituency_name  - Seat under the earlier delimitation
+ *   old_constituency_no    - Its number (required when the name has rows in several delimitations)
+ *   new_constituency_name  - Seat under the later delimitation
+ *   new_constituency_no    - Its number (required when the name has rows in several delimitations)
+ *   weight                 - Optional share (0-1] of the old seat that went into the new seat
+ *
+ * Rows without a weight share whatever the weighted rows of the same old seat
+ * leave over. The CSV is treated as the complete map: existing links are
+ * replaced. Old seats whose weights add up to more than 1 are reported and skipped.
+ *
+ * Writes to the database chosen by DB_CLIENT (see database/adapters).
+ *
+ * Usage: npm run import:delimitation -- [path/to/delimitation_map.csv]
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const csv = require('csv-parse/sync');
+const { createAdapter } = require('../database/adapters');
+
+// Weights are rounded in source data, so allow a little over 1 per old seat
+const WEIGHT_TOLERANCE = 0.001;
+
+// Match names regardless of case, underscores and repeated spaces
+const normalize = (value) => (value || '').toString().replace(/_/g, ' ').replace(/\s+/g, ' ').trim().toLowerCase();
+
+async function importDelimitation(filePath) {
+  console.log('📖 Reading delimitation map CSV...');
+  const fileContent = fs.readFileSync(filePath, 'utf-8');
+  const records = csv.parse(fileContent, {
+    columns: true,
+    skip_empty_lines: true,
+    trim: true,
+    cast: (value, context) => {
+      if (context.column === 'old_constituency_no' || context.column === 'new_constituency_no') {
+        return value === '' ? null : parseInt(value);
+      }
+      if (context.column === 'weight') {
+        return value === '' ? null : parseFloat(value);
+      }
+      return value === '' ? null : value;
+    }
+  });
+
+  console.log(`📊 Processing ${records.length} mapping rows...\n`);
+
+  const db = createAdapter();
+  await db.connect();
+
+  if (!(await db.listTables()).includes('constituency_delimitation_map')) {
+    await db.close();
+    throw new Error('Delimitation map table not found. Run "npm run migrate" to create it.');
+  }
+  console.log(`🗄️  Importing into ${db.description}\n`);
+
+  const unmatched = [];
+  const rejected = [];
+
+  try {
+    // Index states and constituencies by normalized name / number
+    const stateMap = new Map();
+    (await db.query('SELECT id, name FROM states')).rows.forEach((row) => {
+      stateMap.set(normalize(row.name), row.id);
+    });
+
+    const constituenciesByState = new Map();
+    (await db.query('SELECT id, state_id, name, constituency_no FROM constituencies')).rows.forEach((row) => {
+      if (!constituenciesByState.has(row.state_id)) {
+        constituenciesByState.set(row.state_id, []);
+      }
+      constituenciesByState.get(row.state_id).push({ ...row, key: normalize(row.name) });
+    });
+
+    // The one constituency matching a name and optional number, or an error label
+    const findConstituency = (stateId, name, number) => {
+      let matches = constituenciesByState.get(stateId) || [];
+      if (name) {
+        matches = matches.filter((c) => c.key === normalize(name));
+      }
+      if (number != null) {
+        matches = matches.filter((c) => c.constituency_no === number);
+      }
+      if (matches.length === 0) return { error: 'unmatched' };
+      if (matches.length > 1) return { error: `ambiguous: ${matches.map((c) => `${c.name} (${c.constituency_no})`).join(', ')}` };
+      return { constituency: matches[0] };
+    };
+
+    // old constituency id -> accepted rows ({ label, newId, weight }) in CSV order
+    const linksByOld = new Map();
+
+    records.forEach((record, index) => {
+      const line = index + 2; // Header is line 1
+      const label = `line ${line}: ${record.state_name} / ${record.old_constituency_name || ''} (${record.old_constituency_no || '-'}) -> ${record.new_constituency_name || ''} (${record.new_constituency_no || '-'})`;
+
+      const stateId = stateMap.get(normalize(record.state_name));
+      if (!stateId
+        || (!record.old_constituency_name && record.old_constituency_no == null)
+        || (!record.new_constituency_name && record.new_constituency_no == null)) {
+        unmatched.push(label);
+        return;
+      }
+
+      const oldMatch = findConstituency(stateId, record.old_constituency_name, record.old_constituency_no);
+      const newMatch = findConstituency(stateId, record.new_constituency_name, record.new_constituency_no);
+      const error = oldMatch.error || newMatch.error;
+      if (error === 'unmatched') {
+        unmatched.push(label);
+        return;
+      }
+      if (error) {
+        rejected.push(`${label} (${error})`);
+        return;
+      }
+
+      if (record.weight != null && !(record.weight > 0 && record.weight <= 1)) {
+        rejected.push(`${label} (weight must be greater than 0 and at most 1)`);
+        return;
+      }
+
+      const oldId = oldMatch.constituency.id;
+      const newId = newMatch.constituency.id;
+      if (!linksByOld.has(oldId)) {
+        linksByOld.set(oldId, []);
+      }
+      const links = linksByOld.get(oldId);
+      if (links.some((link) => link.newId === newId)) {
+        rejected.push(`${label} (duplicate link)`);
+        return;
+      }
+      links.push({ label, newId, weight: record.weight });
+    });
+
+    let linkCount = 0;
+    await db.transaction(async (tx) => {
+      await tx.query('DELETE FROM constituency_delimitation_map');
+
+      for (const [oldId, links] of linksByOld) {
+        const assigned = links.reduce((sum, link) => sum + (link.weight || 0), 0);
+        const unweighted = links.filter((link) => link.weight == null);
+        // Rounded so that shares such as 1/3 are stored the same way in every database
+        const remainder = Math.round(((1 - assigned) / (unweighted.length || 1)) * 10000) / 10000;
+
+        if (assigned > 1 + WEIGHT_TOLERANCE || (unweighted.length > 0 && remainder <= 0)) {
+          links.forEach((link) => rejected.push(`${link.label} (weights of this old seat add up to more than 1)`));
+          continue;
+        }
+
+        for (const link of links) {
+          await tx.query(
+            'INSERT INTO constituency_delimitation_map (old_constituency_id, new_constituency_id, weight) VALUES ($1, $2, $3)',
+            [oldId, link.newId, Math.min(link.weight != null ? link.weight : remainder, 1)]
+          );
+          linkCount++;
+        }
+      }
+    });
+
+    const seatCounts = (await db.query(`
+      SELECT COUNT(DISTINCT old_constituency_id) as old_seats, COUNT(DISTINCT new_constituency_id) as new_seats
+      FROM constituency_delimitation_map
+    `)).rows[0];
+
+    console.log(`✅ Delimitation map imported!`);
+    console.log(`   Links: ${linkCount}`);
+    console.log(`   Old seats: ${seatCounts.old_seats}, new seats: ${seatCounts.new_seats}`);
+
+    if (unmatched.length > 0) {
+      console.log(`\n⚠️  ${unmatched.length} rows did not match a state/constituency and were skipped:`);
+      unmatched.slice(0, 20).forEach((label) => console.log(`   ${label}`));
+      if (unmatched.length > 20) console.log(`   ... and ${unmatched.length - 20} more`);
+    }
+    if (rejected.length > 0) {
+      console.log(`\n⚠️  ${rejected.length} rows were rejected:`);
+      rejected.slice(0, 20).forEach((label) => console.log(`   ${label}`));
+      if (rejected.length > 20) console.log(`   ... and ${rejected.length - 20} more`);
+    }
+  } catch (error) {
+    console.error('\n❌ Error importing delimitation map:', error);
+    throw error;
+  } finally {
+    await db.close();
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  const filePath = process.argv[2] || path.join(__dirname, '../../delimitation_map.csv');
+  importDelimitation(filePath)
+    .then(() => {
+      console.log('\n🎉 Delimitation map import finished successfully!');
+      process.exit(0);
+    })
+    .catch((err) => {
+      console.error('\n💥 Delimitation map import failed:', err.message);
+      process.exit(1);
+    });
+}
+
+module.exports = importDelimitation;
@@ -0,0 +1,168 @@
+/**
+ * District Mapping Import
+ *
+ * Loads the mapping of parliamentary constituencies to administrative districts
+ * from a CSV file into the districts and constituency_districts tables.
+ *
+ * Expected columns (one row per constituency/district pair; a constituency that
+ * spans several districts has several rows):
+ *   state_name         - State name as in the election CSV (e.g. 'Uttar_Pradesh')
+ *   constituency_name  - Constituency name (optional when constituency_no is given)
+ *   constituency_no    - Constituency number (optional when constituency_name is given)
+ *   district_name      - Administrative district name
+ *
+ * The CSV is treated as the complete mapping: existing constituency-district links
+ * are replaced, and districts no longer referenced are removed. District IDs of
+ * unchanged district names are kept, so saved dashboard URLs keep working.
+ *
+ * Writes to the database chosen by DB_CLIENT (see database/adapters).
+ *
+ * Usage: npm run import:districts -- [path/to/district_mapping.csv]
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const csv = require('csv-parse/sync');
+const { createAdapter } = require('../database/adapters');
+
+// Match names regardless of case, underscores and repeated spaces
+const normalize = (value) => (value || '').toString().replace(/_/g, ' ').replace(/\s+/g, ' ').trim().toLowerCase();
+
+async function importDistricts(filePath) {
+  console.log('📖 Reading district mapping CSV...');
+  const fileContent = fs.readFileSync(filePath, 'utf-8');
+  const records = csv.parse(fileContent, {
+    columns: true,
+    skip_empty_lines: true,
+    trim: true,
+    cast: (value, context) => {
+      if (context.column === 'constituency_no') {
+        return value === '' ? null : parseInt(value);
+      }
+      return value === '' ? null : value;
+    }
+  });
+
+  console.log(`📊 Processing ${records.length} mapping rows...\n`);
+
+  const db = createAdapter();
+  await db.connect();
+
+  if (!(await db.listTables()).includes('constituency_districts')) {
+    await db.close();
+    throw new Error('District tables not found. Run "npm run migrate" to create them.');
+  }
+  console.log(`🗄️  Importing into ${db.description}\n`);
+
+  const unmatched = [];
+  const ambiguous = [];
+  let mappingCount = 0;
+
+  try {
+    // Index states and constituencies by normalized name / number
+    const stateMap = new Map();
+    (await db.query('SELECT id, name FROM states')).rows.forEach((row) => {
+      stateMap.set(normalize(row.name), row.id);
+    });
+
+    const constituenciesByState = new Map();
+    (await db.query('SELECT id, state_id, name, constituency_no FROM constituencies')).rows.forEach((row) => {
+      if (!constituenciesByState.has(row.state_id)) {
+        constituenciesByState.set(row.state_id, []);
+      }
+      constituenciesByState.get(row.state_id).push({ ...row, key: normalize(row.name) });
+    });
+
+    await db.transaction(async (tx) => {
+      await tx.query('DELETE FROM constituency_districts');
+
+      for (const [index, record] of records.entries()) {
+        const line = index + 2; // Header is line 1
+        const label = `line ${line}: ${record.state_name} / ${record.constituency_name || ''} (${record.constituency_no || '-'}) -> ${record.district_name}`;
+
+        const stateId = stateMap.get(normalize(record.state_name));
+        if (!stateId || !record.district_name || (!record.constituency_name && record.constituency_no == null)) {
+          unmatched.push(label);
+          continue;
+        }
+
+        // Name identifies the seat within a state (possibly one row per delimitation);
+        // a number alone is only used when it points to exactly one constituency
+        let matches = constituenciesByState.get(stateId) || [];
+        if (record.constituency_name) {
+          matches = matches.filter((c) => c.key === normalize(record.constituency_name));
+        }
+        if (record.constituency_no != null) {
+          matches = matches.filter((c) => c.constituency_no === record.constituency_no);
+        }
+
+        if (matches.length === 0) {
+          unmatched.push(label);
+          continue;
+        }
+        if (!record.constituency_name && matches.length > 1) {
+          ambiguous.push(`${label} (${matches.map((c) => c.name).join(', ')})`);
+          continue;
+        }
+
+        const districtName = record.district_name.replace(/_/g, ' ').trim();
+        await tx.query('INSERT INTO districts (state_id, name) VALUES ($1, $2) ON CONFLICT DO NOTHING', [stateId, districtName]);
+        const districtId = (await tx.query('SELECT id FROM districts WHERE state_id = $1 AND name = $2', [stateId, districtName])).rows[0].id;
+
+        for (const c of matches) {
+          mappingCount += (await tx.query(
+            'INSERT INTO constituency_districts (constituency_id, district_id) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+            [c.id, districtId]
+          )).rowCount;
+        }
+      }
+
+      // Remove districts that are no longer part of the mapping
+      await tx.query('DELETE FROM districts WHERE id NOT IN (SELECT DISTINCT district_id FROM constituency_districts)');
+    });
+
+    const districtCount = (await db.query('SELECT COUNT(*) as count FROM districts')).rows[0].count;
+    const unmappedCount = (await db.query(`
+      SELECT COUNT(*) as count FROM constituencies
+      WHERE id NOT IN (SELECT constituency_id FROM constituency_districts)
+    `)).rows[0].count;
+
+    console.log(`✅ District mapping imported!`);
+    console.log(`   Districts: ${districtCount}`);
+    console.log(`   Constituency-district links: ${mappingCount}`);
+    console.log(`   Constituencies without a district: ${unmappedCount}`);
+
+    if (unmatched.length > 0) {
+      console.log(`\n⚠️  ${unmatched.length} rows did not match a state/constituency and were skipped:`);
+      unmatched.slice(0, 20).forEach((label) => console.log(`   ${label}`));
+      if (unmatched.length > 20) console.log(`   ... and ${unmatched.length - 20} more`);
+    }
+    if (ambiguous.length > 0) {
+      console.log(`\n⚠️  ${ambiguous.length} rows matched several constituencies by number; add constituency_name:`);
+      ambiguous.slice(0, 20).forEach((label) => console.log(`   ${label}`));
+      if (ambiguous.length > 20) console.log(`   ... and ${ambiguous.length - 20} more`);
+    }
+  } catch (error) {
+    console.error('\n❌ Error importing district mapping:', error);
+    throw error;
+  } finally {
+    await db.close();
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  const filePath = process.argv[2] || path.join(__dirname, '../../district_mapping.csv');
+  importDistricts(filePath)
+    .then(() => {
+      console.log('\n🎉 District import finished successfully!');
+      process.exit(0);
+    })
+    .catch((err) => {
+      console.error('\n💥 District import failed:', err.message);
+      process.exit(1);
+    });
+}
+
+module.exports = importDistricts;
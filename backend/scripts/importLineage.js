@@ -0,0 +1,162 @@
+/**
+ * Party Lineage Import
+ *
+ * Loads the links between historical party names and their successors from a
+ * CSV file into the party_lineage table. With lineage=true, trend endpoints fold
+ * every party into the latest successor of its chain (e.g. INC(I) -> INC).
+ *
+ * Expected columns (one row per party that continues under another name):
+ *   party      - Historical party name as in the election CSV (e.g. 'INC(I)')
+ *   successor  - Party it continues as (e.g. 'INC')
+ *   relation   - 'alias', 'renamed', 'merged' or 'split'
+ *   year       - Optional election year from which the successor applies
+ *   note       - Optional explanation
+ *
+ * The CSV is treated as the complete lineage: existing links are replaced. A party
+ * has one successor; later rows for the same party, and rows that would make a
+ * chain loop back on itself, are reported and skipped.
+ *
+ * Writes to the database chosen by DB_CLIENT (see database/adapters).
+ *
+ * Usage: npm run import:lineage -- [path/to/party_lineage.csv]
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const csv = require('csv-parse/sync');
+const { createAdapter } = require('../database/adapters');
+
+const RELATIONS = ['alias', 'renamed', 'merged', 'split'];
+
+// Match names regardless of case, underscores and repeated spaces
+const normalize = (value) => (value || '').toString().replace(/_/g, ' ').replace(/\s+/g, ' ').trim().toLowerCase();
+
+async function importLineage(filePath) {
+  console.log('📖 Reading party lineage CSV...');
+  const fileContent = fs.readFileSync(filePath, 'utf-8');
+  const records = csv.parse(fileContent, {
+    columns: true,
+    skip_empty_lines: true,
+    trim: true,
+    cast: (value, context) => {
+      if (context.column === 'year') {
+        return value === '' ? null : parseInt(value);
+      }
+      return value === '' ? null : value;
+    }
+  });
+
+  console.log(`📊 Processing ${records.length} lineage rows...\n`);
+
+  const db = createAdapter();
+  await db.connect();
+
+  if (!(await db.listTables()).includes('party_lineage')) {
+    await db.close();
+    throw new Error('Party lineage table not found. Run "npm run migrate" to create it.');
+  }
+  console.log(`🗄️  Importing into ${db.description}\n`);
+
+  const unmatched = [];
+  const rejected = [];
+  // party id -> successor party of the links accepted so far
+  const successors = new Map();
+
+  // Reason a row cannot be linked, or null when it can
+  const rejection = (party, successor, relation) => {
+    if (!RELATIONS.includes(relation)) {
+      return `relation must be one of ${RELATIONS.join(', ')}`;
+    }
+    if (party.id === successor.id) {
+      return 'a party cannot succeed itself';
+    }
+    if (successors.has(party.id)) {
+      return `already succeeded by ${successors.get(party.id).name}`;
+    }
+    // Follow the successor's chain; reaching the party again would be a loop
+    for (let current = successor; current; current = successors.get(current.id)) {
+      if (current.id === party.id) {
+        return 'would make the lineage loop';
+      }
+    }
+    return null;
+  };
+
+  try {
+    // Index parties by normalized name
+    const partyMap = new Map();
+    (await db.query('SELECT id, name FROM parties')).rows.forEach((row) => {
+      partyMap.set(normalize(row.name), row);
+    });
+
+    await db.transaction(async (tx) => {
+      await tx.query('DELETE FROM party_lineage');
+
+      for (const [index, record] of records.entries()) {
+        const line = index + 2; // Header is line 1
+        const label = `line ${line}: ${record.party || ''} -> ${record.successor || ''} (${record.relation || '-'})`;
+
+        const party = partyMap.get(normalize(record.party));
+        const successor = partyMap.get(normalize(record.successor));
+        if (!party || !successor) {
+          unmatched.push(label);
+          continue;
+        }
+
+        const relation = normalize(record.relation);
+        const reason = rejection(party, successor, relation);
+        if (reason) {
+          rejected.push(`${label} (${reason})`);
+          continue;
+        }
+
+        await tx.query(
+          'INSERT INTO party_lineage (party_id, successor_id, relation, year, note) VALUES ($1, $2, $3, $4, $5)',
+          [party.id, successor.id, relation, Number.isInteger(record.year) ? record.year : null, record.note || null]
+        );
+        successors.set(party.id, successor);
+      }
+    });
+
+    const heads = (await db.query(`
+      SELECT COUNT(DISTINCT head_id) as count FROM party_lineage_heads
+      WHERE party_id IN (SELECT party_id FROM party_lineage)
+    `)).rows[0].count;
+
+    console.log(`✅ Party lineage imported!`);
+    console.log(`   Parties folded into a successor: ${successors.size} (into ${heads} current parties)`);
+
+    if (unmatched.length > 0) {
+      console.log(`\n⚠️  ${unmatched.length} rows did not match a party and were skipped:`);
+      unmatched.slice(0, 20).forEach((label) => console.log(`   ${label}`));
+      if (unmatched.length > 20) console.log(`   ... and ${unmatched.length - 20} more`);
+    }
+    if (rejected.length > 0) {
+      console.log(`\n⚠️  ${rejected.length} rows were rejected:`);
+      rejected.slice(0, 20).forEach((label) => console.log(`   ${label}`));
+      if (rejected.length > 20) console.log(`   ... and ${rejected.length - 20} more`);
+    }
+  } catch (error) {
+    console.error('\n❌ Error importing party lineage:', error);
+    throw error;
+  } finally {
+    await db.close();
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  const filePath = process.argv[2] || path.join(__dirname, '../../party_lineage.csv');
+  importLineage(filePath)
+    .then(() => {
+      console.log('\n🎉 Party lineage import finished successfully!');
+      process.exit(0);
+    })
+    .catch((err) => {
+      console.error('\n💥 Party lineage import failed:', err.message);
+      process.exit(1);
+    });
+}
+
+module.exports = importLineage;
@@ -1,13 +1,18 @@
-const Database = require('better-sqlite3');
 const fs = require('fs');
 const path = require('path');
+const createSqliteAdapter = require('../database/adapters/sqlite');
+const { migrate } = require('../database/migrations');
 
 const dbPath = process.env.DB_PATH || path.join(__dirname, '../../election_data.db');
-const schemaPath = path.join(__dirname, '../database/schema.sql');
+
+// Only the local SQLite file is recreated; PostgreSQL databases are managed with npm run migrate
+if ((process.env.DB_CLIENT || 'sqlite').toLowerCase() !== 'sqlite') {
+  console.error('💥 init-db recreates the SQLite database file. For PostgreSQL run "npm run migrate" instead.');
+  process.exit(1);
+}
 
 console.log('🔧 Initializing SQLite database...');
-console.log(`   Database path: ${dbPath}`);
-console.log(`   Schema file: ${schemaPath}\n`);
+console.log(`   Database path: ${dbPath}\n`);
 
 // Remove existing database if it exists (only if not locked)
 if (fs.existsSync(dbPath)) {
@@ -32,88 +37,24 @@ if (!fs.existsSync(dbDir)) {
   fs.mkdirSync(dbDir, { recursive: true });
 }
 
-// Create database
-const db = new Database(dbPath);
-db.pragma('foreign_keys = ON');
-
-// Read and execute schema
-console.log('📖 Reading schema file...');
-const schema = fs.readFileSync(schemaPath, 'utf-8');
-
-console.log('🔨 Creating tables and indexes...');
-
-// Better SQL parsing - handle multi-line statements
-const lines = schema.split('\n');
-let currentStatement = '';
-const statements = [];
-
-for (const line of lines) {
-  // Remove comments
-  let cleanLine = line;
-  const commentIndex = line.indexOf('--');
-  if (commentIndex >= 0) {
-    cleanLine = line.substring(0, commentIndex);
-  }
-  
-  // Skip empty lines
-  if (cleanLine.trim().length === 0) {
-    continue;
-  }
-  
-  currentStatement += cleanLine + '\n';
-  
-  // If line ends with semicolon, we have a complete statement
-  if (cleanLine.trim().endsWith(';')) {
-    const stmt = currentStatement.trim();
-    if (stmt.length > 0 && !stmt.startsWith('--')) {
-      statements.push(stmt);
-    }
-    currentStatement = '';
-  }
-}
-
-// Separate tables and indexes
-const tableStatements = [];
-const indexStatements = [];
-
-statements.forEach(stmt => {
-  const upper = stmt.toUpperCase().trim();
-  if (upper.startsWith('CREATE TABLE')) {
-    tableStatements.push(stmt);
-  } else if (upper.startsWith('CREATE INDEX')) {
-    indexStatements.push(stmt);
-  }
+// Create database and build the schema by applying every migration
+(async () => {
+  const db = createSqliteAdapter({ path: dbPath });
+  await db.connect();
+
+  console.log('🔨 Applying migrations...');
+  const applied = await migrate(db);
+  const [{ count: tableCount }] = (await db.query(`SELECT COUNT(*) as count FROM sqlite_master WHERE type='table' AND name NOT LIKE 'sqlite_%'`)).rows;
+  const [{ count: indexCount }] = (await db.query(`SELECT COUNT(*) as count FROM sqlite_master WHERE type='index' AND name NOT LIKE 'sqlite_%'`)).rows;
+
+  await db.close();
+
+  console.log(`\n✅ Database initialized successfully!`);
+  console.log(`   Migrations applied: ${applied.length}`);
+  console.log(`   Tables created: ${tableCount}`);
+  console.log(`   Indexes created: ${indexCount}`);
+  console.log(`   Database file: ${dbPath}\n`);
+})().catch((error) => {
+  console.error('\n💥 Database initialization failed:', error.message);
+  process.exit(1);
 });
-
-// Create tables first
-let tableCount = 0;
-for (const stmt of tableStatements) {
-  try {
-    db.exec(stmt);
-    tableCount++;
-  } catch (error) {
-    if (!error.message.includes('already exists') && !error.message.includes('duplicate')) {
-      console.error(`   Error: ${error.message}`);
-    }
-  }
-}
-
-// Then create indexes
-let indexCount = 0;
-for (const stmt of indexStatements) {
-  try {
-    db.exec(stmt);
-    indexCount++;
-  } catch (error) {
-    if (!error.message.includes('already exists') && !error.message.includes('duplicate')) {
-      console.error(`   Error: ${error.message}`);
-    }
-  }
-}
-
-db.close();
-
-console.log(`\n✅ Database initialized successfully!`);
-console.log(`   Tables created: ${tableCount}`);
-console.log(`   Indexes created: ${indexCount}`);
-console.log(`   Database file: ${dbPath}\n`);
@@ -0,0 +1,61 @@
+/**
+ * Schema Migration Command
+ *
+ * Applies pending migrations from database/migrations, or lists which
+ * migrations are applied and pending, for the database chosen by DB_CLIENT
+ * (see database/adapters/index.js).
+ *
+ * Usage:
+ *   npm run migrate          - apply pending migrations
+ *   npm run migrate:status   - show applied and pending migrations
+ */
+
+require('dotenv').config();
+const { createAdapter } = require('../database/adapters');
+const { migrationLabel, getMigrationStatus, migrate } = require('../database/migrations');
+
+async function showStatus(db) {
+  const status = await getMigrationStatus(db);
+  console.log(`📋 Migration status for ${db.description}:\n`);
+  status.forEach((migration) => {
+    const label = migrationLabel(migration);
+    console.log(migration.appliedAt ? `   ✅ ${label} (applied ${migration.appliedAt})` : `   ⏳ ${label} (pending)`);
+  });
+  const pending = status.filter((migration) => !migration.appliedAt).length;
+  console.log(`\n   ${status.length - pending} applied, ${pending} pending`);
+}
+
+async function runMigrations(db) {
+  console.log(`🔧 Migrating ${db.description}...`);
+  const applied = await migrate(db);
+  if (applied.length === 0) {
+    console.log('✅ Database is up to date');
+  } else {
+    console.log(`✅ Applied ${applied.length} migration${applied.length === 1 ? '' : 's'}`);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  const command = process.argv[2] || 'up';
+  if (command !== 'up' && command !== 'status') {
+    console.error(`💥 Unknown command "${command}". Use "up" (default) or "status".`);
+    process.exit(1);
+  }
+
+  let db;
+  (async () => {
+    db = createAdapter();
+    await db.connect();
+    if (command === 'status') {
+      await showStatus(db);
+    } else {
+      await runMigrations(db);
+    }
+  })()
+    .catch((err) => {
+      console.error('\n💥 Migration failed:', err.message);
+      process.exitCode = 1;
+    })
+    .finally(() => db && db.close());
+}
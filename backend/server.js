@@ -4,7 +4,7 @@
  * This is the main Express.js server that provides RESTful API endpoints
  * for accessing and analyzing Indian Lok Sabha election data (1991-2019).
  * 
- * The server connects to a SQLite database and exposes endpoints for:
+ * The server connects to a SQLite or PostgreSQL database (chosen by DB_CLIENT) and exposes endpoints for:
  * - Fetching election results with various filters
  * - Analyzing seat shares, vote shares, and turnout
  * - Gender representation trends
@@ -18,6 +18,8 @@ const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
 const electionsRouter = require('./routes/elections');
+const { getPendingMigrations } = require('./database/connection');
+const { migrationLabel } = require('./database/migrations');
 const errorHandler = require('./middleware/errorHandler');
 
 const app = express();
@@ -28,8 +30,8 @@ app.use(helmet());
 // CORS middleware - allows cross-origin requests from the frontend
 app.use(cors());
 
-// Logging middleware - logs HTTP requests in development mode for debugging
-app.use(morgan('dev'));
+// Logging middleware - logs HTTP requests in development mode for debugging (not during tests)
+app.use(morgan('dev', { skip: () => process.env.NODE_ENV === 'test' }));
 
 // Body parsing middleware - parses JSON request bodies
 app.use(express.json());
@@ -64,17 +66,33 @@ app.get('/api', (req, res) => {
       years: 'GET /api/years',
       states: 'GET /api/states',
       parties: 'GET /api/parties',
+      districts: 'GET /api/districts?state=',
       elections: 'GET /api/elections?year=&state=&party=&constituency=&limit=&offset=',
-      seatShare: 'GET /api/seat-share?year=',
+      stateTrends: 'GET /api/states/:id/trends?contests=&lineage=',
+      constituencyHistory: 'GET /api/constituencies/:id/history?delimitation=',
+      candidateCareer: 'GET /api/candidates/:id/career',
+      partyProfile: 'GET /api/parties/:id/profile?year=&limit=&lineage=',
+      seatShare: 'GET /api/seat-share?year=&aggregate=(alliance)',
+      constituencyWinners: 'GET /api/constituency-winners?year=&state=',
       turnout: 'GET /api/turnout?year=',
-      voteShare: 'GET /api/vote-share?year=&party=',
+      voteShare: 'GET /api/vote-share?year=&party=&aggregate=(true|alliance)',
       genderTrend: 'GET /api/gender-trend?party=&state=',
       margins: 'GET /api/margins?year=&state=&limit=',
       search: 'GET /api/search?q=&type=(candidate|constituency|party)',
       kpis: 'GET /api/kpis?year=',
       analytics: {
         highestTurnout: 'GET /api/analytics/highest-turnout?year=',
-        seatChanges: 'GET /api/analytics/seat-changes?year1=&year2=',
+        stateMargins: 'GET /api/analytics/state-margins?year=',
+        seatChanges: 'GET /api/analytics/seat-changes?year1=&year2=&aggregate=(alliance)&lineage=',
+        swing: 'GET /api/analytics/swing?year1=&year2=&state=&lineage=&delimitation=',
+        swingometer: 'POST /api/analytics/swingometer {year, mode, swings, state_swings}',
+        allianceMerger: 'POST /api/analytics/alliance-merger {year, groups: [{name, parties}], transfer_efficiency}',
+        proportional: 'GET /api/analytics/proportional?year=&threshold=&state=',
+        fragmentation: 'GET /api/analytics/fragmentation?year=&state=',
+        volatility: 'GET /api/analytics/volatility?state=&lineage=',
+        incumbency: 'GET /api/analytics/incumbency?state=&lineage=',
+        partySwitching: 'GET /api/analytics/party-switching?year= (or year1=&year2=)&state=',
+        strikeRate: 'GET /api/analytics/strike-rate?year=&state=&lineage=',
         womenCandidates: 'GET /api/analytics/women-candidates?year=&state=',
         closestContests: 'GET /api/analytics/closest-contests?year=',
         correlation: 'GET /api/analytics/correlation?state='
@@ -102,32 +120,44 @@ app.use((req, res) => {
  */
 app.use(errorHandler);
 
-// Server configuration - use PORT from environment variable or default to 5000
-const PORT = process.env.PORT || 5000;
+// Start the server when run directly (the tests import the app without listening)
+if (require.main === module) {
+  // Server configuration - use PORT from environment variable or default to 5000
+  const PORT = process.env.PORT || 5000;
+
+  // Log startup information to help with debugging and deployment
+  console.log('\n🚀 Starting Election Data Backend Server...');
+  console.log(`   Node version: ${process.version}`);
+  console.log(`   Environment: ${process.env.NODE_ENV || 'development'}`);
+  console.log(`   Port: ${PORT}`);
+  console.log(`   API URL: http://localhost:${PORT}/api`);
+  console.log(`   Health check: http://localhost:${PORT}/health`);
+  console.log('');
 
-// Log startup information to help with debugging and deployment
-console.log('\n🚀 Starting Election Data Backend Server...');
-console.log(`   Node version: ${process.version}`);
-console.log(`   Environment: ${process.env.NODE_ENV || 'development'}`);
-console.log(`   Port: ${PORT}`);
-console.log(`   API URL: http://localhost:${PORT}/api`);
-console.log(`   Health check: http://localhost:${PORT}/health`);
-console.log('');
+  /**
+   * Start the HTTP server and listen for incoming requests
+   * 
+   * The server first connects to the configured database (see database/connection.js)
+   * and refuses to start when schema migrations are pending, since the queries expect
+   * the latest schema.
+   */
+  getPendingMigrations().then((pendingMigrations) => {
+    if (pendingMigrations && pendingMigrations.length > 0) {
+      console.error(`❌ ${pendingMigrations.length} database migration(s) pending:`);
+      pendingMigrations.forEach((migration) => {
+        console.error(`   - ${migrationLabel(migration)}`);
+      });
+      console.error('   Run "npm run migrate" and start the server again.\n');
+      process.exit(1);
+    }
 
-/**
- * Start the HTTP server and listen for incoming requests
- * 
- * The server will automatically attempt to connect to the SQLite database
- * when it starts (connection is handled in connection.js module).
- */
-app.listen(PORT, () => {
-  console.log(`✅ Server is running on port ${PORT}`);
-  console.log(`📚 API documentation: http://localhost:${PORT}/api`);
-  console.log(`💚 Health check: http://localhost:${PORT}/health`);
-  console.log('');
-  // Database connection happens automatically in connection.js
-  // It will log its status when it connects
-});
+    app.listen(PORT, () => {
+      console.log(`✅ Server is running on port ${PORT}`);
+      console.log(`📚 API documentation: http://localhost:${PORT}/api`);
+      console.log(`💚 Health check: http://localhost:${PORT}/health`);
+      console.log('');
+    });
+  });
+}
 
 module.exports = app;
-
@@ -0,0 +1,483 @@
+/**
+ * API Tests
+ *
+ * Runs the /api routes against a database built by the shared migrations and filled
+ * by the importer (see helpers/testDatabase.js). The same suite runs on SQLite
+ * (`npm test`) and on PostgreSQL (`npm run test:postgres` with TEST_DATABASE_URL).
+ */
+
+const request = require('supertest');
+const { parse } = require('csv-parse/sync');
+const { setupTestDatabase, generateElectionCSV, ELECTIONS, STATES } = require('./helpers/testDatabase');
+
+const TOTAL_SEATS = STATES.reduce((sum, state) => sum + state.seats, 0);
+
+// Rows of the generated CSV for one year, to compute expected values by hand
+const FIXTURE = parse(generateElectionCSV(), { columns: true });
+const fixtureRows = (year) => FIXTURE.filter((row) => Number(row.year) === year);
+
+// Seats won per party and year, counted from the generated CSV
+const expectedSeats = (year) => {
+  const seats = {};
+  fixtureRows(year)
+    .filter((row) => row.position === '1')
+    .forEach((row) => {
+      seats[row.party] = (seats[row.party] || 0) + 1;
+    });
+  return seats;
+};
+
+// Constituency of a CSV row
+const seatKey = (row) => `${row.state_name}|${row.constituency_name}`;
+
+// Votes of the rows summed per key (the party by default)
+const sumVotes = (rows, keyOf = (row) => row.party) => {
+  const votes = new Map();
+  rows.forEach((row, index) => {
+    const key = keyOf(row, index);
+    votes.set(key, (votes.get(key) || 0) + Number(row.votes));
+  });
+  return votes;
+};
+
+// Share (%) of each key in a Map of votes
+const sharesOf = (votes) => {
+  const total = [...votes.values()].reduce((sum, value) => sum + value, 0);
+  return new Map([...votes].map(([key, value]) => [key, value * 100 / total]));
+};
+
+// Pedersen volatility between two Maps of votes, in points
+const pedersen = (votes1, votes2) => {
+  const shares1 = sharesOf(votes1);
+  const shares2 = sharesOf(votes2);
+  const parties = new Set([...shares1.keys(), ...shares2.keys()]);
+  return [...parties].reduce((sum, party) => sum + Math.abs((shares2.get(party) || 0) - (shares1.get(party) || 0)), 0) / 2;
+};
+
+// Party that won each seat in a year
+const winnersBySeat = (year) => new Map(fixtureRows(year)
+  .filter((row) => row.position === '1')
+  .map((row) => [seatKey(row), row.party]));
+
+let app;
+let database;
+let connection;
+
+beforeAll(async () => {
+  // The importer reports every batch; keep the test output readable
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  database = await setupTestDatabase();
+  // Loaded after the environment points at the test database
+  app = require('../server');
+  connection = require('../database/connection');
+}, 120000);
+
+afterAll(async () => {
+  // Setup may have failed before the app was loaded
+  if (connection) await connection.close();
+  if (database) database.teardown();
+  console.log.mockRestore();
+});
+
+// Resolve an id by name through the API, since ids depend on the import order
+const findId = async (url, name) => {
+  const res = await request(app).get(url);
+  const row = res.body.find((item) => item.name === name);
+  if (!row) throw new Error(`${name} not found in ${url}`);
+  return row.id;
+};
+
+describe('database', () => {
+  test('has every migration applied', async () => {
+    expect(await connection.getPendingMigrations()).toEqual([]);
+  });
+});
+
+describe('reference data', () => {
+  test('GET /api/years lists the imported election years, latest first', async () => {
+    const res = await request(app).get('/api/years');
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual(ELECTIONS.map((election) => election.year).reverse());
+  });
+
+  test('GET /api/states lists the states by name', async () => {
+    const res = await request(app).get('/api/states');
+    expect(res.status).toBe(200);
+    expect(res.body.map((state) => state.name)).toEqual(['Kerala', 'Uttar Pradesh']);
+  });
+
+  test('GET /api/parties lists every party', async () => {
+    const res = await request(app).get('/api/parties');
+    expect(res.status).toBe(200);
+    expect(res.body.map((party) => party.name)).toEqual(['BJP', 'BSP', 'CPM', 'INC', 'IND', 'JD(U)', 'RJD', 'SP']);
+  });
+
+  test('GET /api/districts and /api/constituencies-list filter by district', async () => {
+    const stateId = await findId('/api/states', 'Uttar Pradesh');
+    const districts = await request(app).get('/api/districts').query({ state: stateId });
+    expect(districts.status).toBe(200);
+    expect(districts.body.map((district) => [district.name, district.constituency_count])).toEqual([
+      ['Uttar District 1', 5], ['Uttar District 2', 5]
+    ]);
+
+    const seats = await request(app).get('/api/constituencies-list').query({ state: stateId, district: districts.body[0].id });
+    expect(seats.status).toBe(200);
+    expect(seats.body.map((seat) => seat.constituency_no)).toEqual([1, 2, 3, 4, 5]);
+  });
+
+  test('GET /api/search finds parties and constituencies', async () => {
+    const parties = await request(app).get('/api/search').query({ q: 'b', type: 'party' });
+    expect(parties.status).toBe(200);
+    expect(parties.body.parties.map((party) => party.name)).toEqual(['BJP', 'BSP']);
+
+    const constituencies = await request(app).get('/api/search').query({ q: 'kerala seat 1', type: 'constituency' });
+    expect(constituencies.status).toBe(200);
+    expect(constituencies.body.constituencies.map((seat) => seat.name)).toContain('Kerala Seat 1');
+  });
+});
+
+describe('results', () => {
+  test('GET /api/elections pages through results', async () => {
+    const first = await request(app).get('/api/elections').query({ year: 2019, limit: 5 });
+    const second = await request(app).get('/api/elections').query({ year: 2019, limit: 5, offset: 5 });
+    expect(first.status).toBe(200);
+    expect(first.body).toHaveLength(5);
+    expect(second.body).toHaveLength(5);
+    expect(first.body.every((row) => row.year === 2019)).toBe(true);
+    expect(second.body[0]).not.toEqual(first.body[0]);
+  });
+
+  test('GET /api/seat-share counts the winners of each party', async () => {
+    const res = await request(app).get('/api/seat-share').query({ year: 2019 });
+    expect(res.status).toBe(200);
+    const seats = Object.fromEntries(res.body.map((row) => [row.party, row.seats]));
+    expect(seats).toEqual(expectedSeats(2019));
+  });
+
+  test('GET /api/seat-share?aggregate=alliance groups parties into alliances', async () => {
+    const res = await request(app).get('/api/seat-share').query({ year: 2019, aggregate: 'alliance' });
+    expect(res.status).toBe(200);
+    expect(res.body.map((row) => row.alliance).sort()).toEqual(['NDA', 'Others', 'UPA']);
+    expect(res.body.reduce((sum, row) => sum + row.seats, 0)).toBe(TOTAL_SEATS);
+  });
+
+  test('GET /api/constituency-winners returns one winner per seat', async () => {
+    const stateId = await findId('/api/states', 'Kerala');
+    const res = await request(app).get('/api/constituency-winners').query({ year: 2014, state: stateId });
+    expect(res.status).toBe(200);
+    expect(res.body).toHaveLength(40);
+  });
+
+  test('GET /api/kpis summarises an election', async () => {
+    const res = await request(app).get('/api/kpis').query({ year: 2019 });
+    expect(res.status).toBe(200);
+    expect(res.body.total_seats).toBe(TOTAL_SEATS);
+    expect(res.body.women_candidates_pct).toBeCloseTo(20);
+  });
+
+  test('GET /api/gender-trend reports every year', async () => {
+    const res = await request(app).get('/api/gender-trend');
+    expect(res.status).toBe(200);
+    expect(res.body.filter((row) => row.gender === 'F').map((row) => row.count)).toEqual([200, 200, 200]);
+  });
+
+  test('GET /api/margins returns the closest contests first', async () => {
+    const res = await request(app).get('/api/margins').query({ year: 2019, limit: 5 });
+    expect(res.status).toBe(200);
+    expect(res.body).toHaveLength(5);
+    const margins = res.body.map((row) => row.margin_percentage);
+    expect(margins).toEqual([...margins].sort((a, b) => a - b));
+  });
+});
+
+describe('profiles and histories', () => {
+  test('GET /api/candidates/:id/career follows a candidate across elections', async () => {
+    const search = await request(app).get('/api/search').query({ q: 'Candidate Uttar 1-0', type: 'candidate' });
+    const res = await request(app).get(`/api/candidates/${search.body.candidates[0].id}/career`);
+    expect(res.status).toBe(200);
+    expect(res.body.summary.contests).toBe(ELECTIONS.length);
+    expect(res.body.contests.map((contest) => contest.year)).toEqual([2019, 2014, 2009]);
+  });
+
+  test('GET /api/constituencies/:id/history includes the delimitation map', async () => {
+    const stateId = await findId('/api/states', 'Uttar Pradesh');
+    const seatId = await findId(`/api/constituencies-list?state=${stateId}`, 'Uttar Seat 2');
+    const res = await request(app).get(`/api/constituencies/${seatId}/history`).query({ delimitation: 'true' });
+    expect(res.status).toBe(200);
+    expect(res.body.elections).toHaveLength(ELECTIONS.length);
+    expect(res.body.delimitation.predecessors).toEqual([
+      expect.objectContaining({ name: 'Uttar Seat 1', weight: 0.3 })
+    ]);
+  });
+
+  test('GET /api/parties/:id/profile reports seats won per year', async () => {
+    const partyId = await findId('/api/parties', 'INC');
+    const res = await request(app).get(`/api/parties/${partyId}/profile`).query({ limit: 3 });
+    expect(res.status).toBe(200);
+    expect(res.body.years.map((year) => year.seats_won)).toEqual(ELECTIONS.map(({ year }) => expectedSeats(year).INC || 0));
+  });
+
+  test('GET /api/parties/:id/profile?lineage=true counts each contested seat once', async () => {
+    const partyId = await findId('/api/parties', 'RJD');
+    const res = await request(app).get(`/api/parties/${partyId}/profile`).query({ lineage: 'true' });
+    expect(res.status).toBe(200);
+    expect(res.body.lineage.predecessors.map((link) => link.party)).toEqual(['JD(U)']);
+    res.body.years.forEach((year) => {
+      expect(year.seats_contested).toBeLessThanOrEqual(TOTAL_SEATS);
+    });
+  });
+
+  test.each(['abc', '0', '101'])('GET /api/parties/:id/profile rejects limit=%s', async (limit) => {
+    const res = await request(app).get('/api/parties/1/profile').query({ limit });
+    expect(res.status).toBe(400);
+  });
+
+  test('GET /api/states/:id/trends lists the requested number of closest contests', async () => {
+    const stateId = await findId('/api/states', 'Kerala');
+    const res = await request(app).get(`/api/states/${stateId}/trends`).query({ contests: 3 });
+    expect(res.status).toBe(200);
+    expect(res.body.years.map((year) => year.closest_contests.length)).toEqual([3, 3, 3]);
+  });
+
+  test.each(['abc', '0', '21'])('GET /api/states/:id/trends rejects contests=%s', async (contests) => {
+    const stateId = await findId('/api/states', 'Kerala');
+    const res = await request(app).get(`/api/states/${stateId}/trends`).query({ contests });
+    expect(res.status).toBe(400);
+  });
+
+  test('GET /api/states/:id/trends returns 404 for an unknown state', async () => {
+    const res = await request(app).get('/api/states/999999/trends');
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('analytics', () => {
+  test('GET /api/analytics/strike-rate counts each contested seat once', async () => {
+    const res = await request(app).get('/api/analytics/strike-rate').query({ year: 2019 });
+    expect(res.status).toBe(200);
+    res.body.forEach((row) => {
+      expect(row.contested).toBeLessThanOrEqual(TOTAL_SEATS);
+    });
+  });
+
+  test('GET /api/analytics/strike-rate?lineage=true folds JD(U) into RJD', async () => {
+    const res = await request(app).get('/api/analytics/strike-rate').query({ year: 2019, lineage: 'true' });
+    expect(res.status).toBe(200);
+    expect(res.body.map((row) => row.party)).not.toContain('JD(U)');
+    res.body.forEach((row) => {
+      expect(row.contested).toBeLessThanOrEqual(TOTAL_SEATS);
+    });
+
+    const merged = fixtureRows(2019).filter((row) => row.party === 'RJD' || row.party === 'JD(U)');
+    const contested = new Set(merged.map((row) => `${row.state_name}|${row.constituency_name}`)).size;
+    const won = merged.filter((row) => row.position === '1').length;
+    const rjd = res.body.find((row) => row.party === 'RJD');
+    expect(rjd.contested).toBe(contested);
+    expect(rjd.won).toBe(won);
+    expect(rjd.strike_rate).toBeCloseTo(won * 100 / contested, 6);
+  });
+
+  test('GET /api/analytics/fragmentation computes the indices from votes and seats', async () => {
+    const res = await request(app).get('/api/analytics/fragmentation').query({ year: 2019 });
+    expect(res.status).toBe(200);
+
+    // Every independent counts as a party of their own
+    const rows = fixtureRows(2019);
+    const keyOf = (row, index) => (row.party === 'IND' ? `IND#${index}` : row.party);
+    const votes = sharesOf(sumVotes(rows, keyOf));
+    const seats = new Map();
+    rows.forEach((row, index) => {
+      if (row.position === '1') seats.set(keyOf(row, index), (seats.get(keyOf(row, index)) || 0) + 100 / TOTAL_SEATS);
+    });
+    const gallagher = Math.sqrt([...votes].reduce((sum, [party, share]) => sum + (share - (seats.get(party) || 0)) ** 2, 0) / 2);
+    const enp = (shares) => 1 / [...shares.values()].reduce((sum, share) => sum + (share / 100) ** 2, 0);
+
+    expect(res.body.national).toHaveLength(1);
+    const national = res.body.national[0];
+    expect(national.year).toBe(2019);
+    expect(national.seats).toBe(TOTAL_SEATS);
+    expect(national.gallagher).toBeCloseTo(gallagher, 6);
+    expect(national.enp_votes).toBeCloseTo(enp(votes), 6);
+    expect(national.enp_seats).toBeCloseTo(enp(seats), 6);
+    expect(res.body.states.map((entry) => entry.state_name)).toEqual(['Kerala', 'Uttar Pradesh']);
+  });
+
+  test('GET /api/analytics/volatility computes the Pedersen index between consecutive years', async () => {
+    const res = await request(app).get('/api/analytics/volatility');
+    expect(res.status).toBe(200);
+    expect(res.body.national.map((entry) => [entry.year1, entry.year2])).toEqual([[2009, 2014], [2014, 2019]]);
+    const pair = res.body.national[1];
+    expect(pair.volatility).toBeCloseTo(pedersen(sumVotes(fixtureRows(2014)), sumVotes(fixtureRows(2019))), 6);
+    // Every party contested both elections
+    expect(pair.entry_exit).toBe(0);
+    expect(pair.switching).toBeCloseTo(pair.volatility, 6);
+  });
+
+  test('GET /api/analytics/volatility?lineage=true counts JD(U) votes as RJD', async () => {
+    const res = await request(app).get('/api/analytics/volatility').query({ lineage: 'true' });
+    expect(res.status).toBe(200);
+    const head = (row) => (row.party === 'JD(U)' ? 'RJD' : row.party);
+    expect(res.body.national[1].volatility)
+      .toBeCloseTo(pedersen(sumVotes(fixtureRows(2014), head), sumVotes(fixtureRows(2019), head)), 6);
+  });
+
+  test('GET /api/analytics/incumbency counts re-elected incumbents', async () => {
+    const res = await request(app).get('/api/analytics/incumbency');
+    expect(res.status).toBe(200);
+    expect(res.body.years.map((entry) => entry.year)).toEqual([2014, 2019]);
+
+    // Incumbents of 2019 won their seat in 2014
+    const wins2014 = new Map(fixtureRows(2014).filter((row) => row.position === '1').map((row) => [row.pid, row]));
+    const incumbents = fixtureRows(2019).filter((row) => row.incumbent === 'True');
+    const changes = incumbents
+      .filter((row) => row.recontest === 'True')
+      .map((row) => Number(row.vote_share_percentage) - Number(wins2014.get(row.pid).vote_share_percentage));
+    const reElected = incumbents.filter((row) => row.position === '1').length;
+
+    const entry = res.body.years[1];
+    expect(entry.incumbents).toBe(incumbents.length);
+    expect(entry.re_elected).toBe(reElected);
+    expect(entry.re_election_rate).toBeCloseTo(reElected * 100 / incumbents.length, 6);
+    expect(entry.recontesting).toBe(changes.length);
+    expect(entry.avg_vote_share_change).toBeCloseTo(changes.reduce((sum, change) => sum + change, 0) / changes.length, 6);
+  });
+
+  test('GET /api/analytics/party-switching splits switchers from loyalists', async () => {
+    const res = await request(app).get('/api/analytics/party-switching').query({ year1: 2014, year2: 2019 });
+    expect(res.status).toBe(200);
+
+    const rows = FIXTURE.filter((row) => Number(row.year) >= 2014 && row.last_party !== '');
+    const group = (flag) => {
+      const members = rows.filter((row) => row[flag] === 'True');
+      return { candidates: members.length, winners: members.filter((row) => row.position === '1').length };
+    };
+    const switchers = group('turncoat');
+    // Candidate 1 of every seat changes party in 2019
+    expect(switchers.candidates).toBe(TOTAL_SEATS);
+    expect(res.body.switchers).toMatchObject(switchers);
+    expect(res.body.loyalists).toMatchObject(group('same_party'));
+    expect(res.body.flows.reduce((sum, flow) => sum + flow.candidates, 0)).toBe(rows.length);
+    res.body.flows.forEach((flow) => {
+      expect(flow.switched).toBe(flow.from_party !== flow.to_party);
+    });
+  });
+
+  test('GET /api/analytics/swing finds the seats that changed hands', async () => {
+    const res = await request(app).get('/api/analytics/swing').query({ year1: 2014, year2: 2019 });
+    expect(res.status).toBe(200);
+    expect(res.body.constituencies).toHaveLength(TOTAL_SEATS);
+
+    const winners1 = winnersBySeat(2014);
+    const winners2 = winnersBySeat(2019);
+    const changed = [...winners2].filter(([seat, party]) => winners1.get(seat) !== party).length;
+    expect(res.body.constituencies.filter((seat) => seat.changed_hands)).toHaveLength(changed);
+    expect(res.body.states.reduce((sum, state) => sum + state.seats_changed_hands, 0)).toBe(changed);
+  });
+
+  test('GET /api/analytics/swing?delimitation=true compares a redrawn seat with notional votes', async () => {
+    const res = await request(app).get('/api/analytics/swing').query({ year1: 2014, year2: 2019, delimitation: 'true' });
+    expect(res.status).toBe(200);
+
+    // Uttar Seat 2 took 30% of Uttar Seat 1, so its 2014 shares are those of Uttar Seat 1
+    // and its notional winner is the party with the most votes there
+    const seat = res.body.constituencies.find((entry) => entry.constituency_name === 'Uttar Seat 2');
+    const seat1Rows = fixtureRows(2014).filter((row) => row.constituency_name === 'Uttar Seat 1');
+    const shares1 = sharesOf(sumVotes(seat1Rows));
+    expect(seat.notional).toBe(true);
+    expect(seat.boundary_changed).toBe(true);
+    expect(seat.winner1).toBe([...shares1].reduce((best, entry) => (entry[1] > best[1] ? entry : best))[0]);
+    seat.parties.forEach((party) => {
+      expect(party.vote_share1).toBeCloseTo(shares1.get(party.party) || 0, 6);
+    });
+  });
+
+  test('GET /api/analytics/seat-changes balances gains and losses', async () => {
+    const res = await request(app).get('/api/analytics/seat-changes').query({ year1: 2014, year2: 2019 });
+    expect(res.status).toBe(200);
+    expect(res.body.reduce((sum, row) => sum + row.change, 0)).toBe(0);
+  });
+
+  test('POST /api/analytics/swingometer without swings keeps the actual result', async () => {
+    const res = await request(app).post('/api/analytics/swingometer').send({ year: 2019 });
+    expect(res.status).toBe(200);
+    expect(res.body.total_seats).toBe(TOTAL_SEATS);
+    expect(res.body.flips).toEqual([]);
+    const seats = Object.fromEntries(res.body.parties.filter((party) => party.seats > 0).map((party) => [party.party, party.seats]));
+    expect(seats).toEqual(expectedSeats(2019));
+  });
+
+  test('POST /api/analytics/swingometer keeps the number of seats', async () => {
+    const res = await request(app).post('/api/analytics/swingometer').send({ year: 2019, swings: { BJP: 3, INC: -3 } });
+    expect(res.status).toBe(200);
+    expect(res.body.parties.reduce((sum, party) => sum + party.seats, 0)).toBe(TOTAL_SEATS);
+  });
+
+  test('POST /api/analytics/alliance-merger combines the votes of the merged parties', async () => {
+    const res = await request(app).post('/api/analytics/alliance-merger').send({ year: 2019, groups: [{ parties: ['SP', 'BSP'] }] });
+    expect(res.status).toBe(200);
+    expect(res.body.parties[0].members).toEqual(['SP', 'BSP']);
+    expect(res.body.parties.reduce((sum, party) => sum + party.seats, 0)).toBe(TOTAL_SEATS);
+
+    // With full transfer the group wins wherever SP and BSP together outpoll every other candidate
+    const seats = new Map();
+    fixtureRows(2019).forEach((row) => {
+      const seat = seats.get(seatKey(row)) || { group: 0, others: [] };
+      if (row.party === 'SP' || row.party === 'BSP') {
+        seat.group += Number(row.votes);
+      } else {
+        seat.others.push(Number(row.votes));
+      }
+      seats.set(seatKey(row), seat);
+    });
+    const won = [...seats.values()].filter((seat) => seat.group > Math.max(...seat.others)).length;
+    const group = res.body.parties.find((party) => party.party === 'SP + BSP');
+    expect(group.seats).toBe(won);
+    expect(group.base_seats).toBe((expectedSeats(2019).SP || 0) + (expectedSeats(2019).BSP || 0));
+  });
+
+  test('GET /api/analytics/proportional allocates every seat', async () => {
+    const res = await request(app).get('/api/analytics/proportional').query({ year: 2019 });
+    expect(res.status).toBe(200);
+    expect(res.body.total_seats).toBe(TOTAL_SEATS);
+    expect(res.body.parties.reduce((sum, party) => sum + party.dhondt, 0)).toBe(TOTAL_SEATS);
+    const fptp = Object.fromEntries(res.body.parties.filter((party) => party.fptp_seats > 0).map((party) => [party.party, party.fptp_seats]));
+    expect(fptp).toEqual(expectedSeats(2019));
+
+    // D'Hondt by hand in each state, without independents
+    const dhondt = {};
+    STATES.forEach((state) => {
+      const votes = [...sumVotes(fixtureRows(2019).filter((row) => row.state_name === state.name && row.party !== 'IND'))];
+      const won = new Map(votes.map(([party]) => [party, 0]));
+      for (let seat = 0; seat < state.seats; seat++) {
+        const [party] = votes.reduce((best, entry) => (entry[1] / (won.get(entry[0]) + 1) > best[1] / (won.get(best[0]) + 1) ? entry : best));
+        won.set(party, won.get(party) + 1);
+      }
+      won.forEach((seats, party) => {
+        if (seats > 0) dhondt[party] = (dhondt[party] || 0) + seats;
+      });
+    });
+    const allocated = Object.fromEntries(res.body.parties.filter((party) => party.dhondt > 0).map((party) => [party.party, party.dhondt]));
+    expect(allocated).toEqual(dhondt);
+  });
+
+  test.each([
+    '/api/turnout?year=2019',
+    '/api/vote-share?year=2019&aggregate=alliance',
+    '/api/analytics/highest-turnout?year=2019',
+    '/api/analytics/state-margins?year=2019',
+    '/api/analytics/swing?year1=2014&year2=2019&lineage=true&delimitation=true',
+    '/api/analytics/women-candidates?year=2019',
+    '/api/analytics/closest-contests?year=2019',
+    '/api/analytics/correlation',
+    '/api/analytics/national-vs-regional',
+    '/api/analytics/education-correlation?year=2019'
+  ])('GET %s succeeds', async (url) => {
+    const res = await request(app).get(url);
+    expect(res.status).toBe(200);
+  });
+
+  test('unknown routes return 404', async () => {
+    const res = await request(app).get('/api/unknown');
+    expect(res.status).toBe(404);
+  });
+});
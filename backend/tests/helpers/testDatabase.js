@@ -0,0 +1,203 @@
+/**
+ * Test Database
+ *
+ * Builds a fresh database for the API tests on the client chosen by DB_CLIENT:
+ * - sqlite (default): a new file in the OS temp directory
+ * - postgres: the database at TEST_DATABASE_URL, whose tables are dropped first.
+ *   DATABASE_URL is never used, so running the tests cannot wipe a real database.
+ *
+ * The schema is built by the shared migrations, and the election results, alliances,
+ * party lineage, districts and the delimitation map are loaded by the import scripts
+ * from generated CSVs, so the tests cover the same code paths as a real setup.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createAdapter } = require('../../database/adapters');
+const { migrate } = require('../../database/migrations');
+const importCSV = require('../../scripts/importData');
+const importAlliances = require('../../scripts/importAlliances');
+const importLineage = require('../../scripts/importLineage');
+const importDistricts = require('../../scripts/importDistricts');
+const importDelimitation = require('../../scripts/importDelimitation');
+
+// Three general elections with 100 seats of 10 candidates each (1000 rows per year,
+// the minimum for a year to be listed by the API)
+const ELECTIONS = [
+  { year: 2009, month: 4, delimid: 4 },
+  { year: 2014, month: 4, delimid: 4 },
+  { year: 2019, month: 4, delimid: 4 }
+];
+const STATES = [
+  { name: 'Uttar Pradesh', prefix: 'Uttar', seats: 60 },
+  { name: 'Kerala', prefix: 'Kerala', seats: 40 }
+];
+const PARTIES = [
+  ['BJP', 'National Party'], ['INC', 'National Party'], ['BSP', 'National Party'], ['SP', 'State-based Party'],
+  ['CPM', 'National Party'], ['RJD', 'State-based Party'], ['JD(U)', 'State-based Party'], ['IND', 'Independents']
+];
+const CANDIDATES_PER_SEAT = 10;
+
+const COLUMNS = [
+  'state_name', 'year', 'month', 'poll_no', 'delimid', 'election_type', 'constituency_name', 'constituency_no',
+  'constituency_type', 'candidate', 'sex', 'party', 'party_type_tcpd', 'position', 'votes', 'valid_votes', 'electors',
+  'n_cand', 'turnout_percentage', 'vote_share_percentage', 'margin', 'margin_percentage', 'enop', 'pid',
+  'contested', 'last_party', 'same_party', 'turncoat', 'incumbent', 'recontest', 'deposit_lost',
+  'myneta_education', 'tcpd_prof_main_desc'
+];
+
+/**
+ * Generate the election CSV
+ *
+ * Candidate k of a seat has the same pid in every year and stands for the same party,
+ * except candidate 1, who switches party in 2019. Votes depend on the seat and year,
+ * so winners change between elections.
+ *
+ * @returns {string} CSV text
+ */
+function generateElectionCSV() {
+  const lines = [COLUMNS.join(',')];
+  const lastParty = new Map();
+  const lastWinner = new Map();
+
+  ELECTIONS.forEach(({ year, month, delimid }, yearIndex) => {
+    STATES.forEach((state, stateIndex) => {
+      for (let seat = 1; seat <= state.seats; seat++) {
+        const seatKey = `${stateIndex}-${seat}`;
+        const candidates = [];
+        for (let k = 0; k < CANDIDATES_PER_SEAT; k++) {
+          const switched = k === 1 && year === 2019 ? 1 : 0;
+          const [party, partyType] = PARTIES[(k + seat + stateIndex + switched) % PARTIES.length];
+          candidates.push({
+            k,
+            party,
+            partyType,
+            pid: `P${stateIndex}-${seat}-${k}`,
+            name: `Candidate ${state.prefix} ${seat}-${k}`,
+            votes: 400000 - k * 20000 + (((seat * 7919 + yearIndex * 104729) * (k + 1)) % 90000)
+          });
+        }
+        candidates.sort((a, b) => b.votes - a.votes);
+        const validVotes = candidates.reduce((sum, candidate) => sum + candidate.votes, 0);
+        const electors = Math.round(validVotes * (1.4 + (seat % 5) / 10));
+
+        candidates.forEach((candidate, index) => {
+          const previousParty = lastParty.get(candidate.pid);
+          const margin = index === 0 ? candidate.votes - candidates[1].votes : null;
+          lines.push([
+            state.name, year, month, 1, delimid, 'GE', `${state.prefix} Seat ${seat}`, seat,
+            seat % 7 === 0 ? 'SC' : 'GEN', candidate.name, candidate.k % 4 === 3 ? 'F' : 'M',
+            candidate.party, candidate.partyType, index + 1, candidate.votes, validVotes, electors,
+            CANDIDATES_PER_SEAT, (validVotes * 100 / electors).toFixed(2), (candidate.votes * 100 / validVotes).toFixed(2),
+            margin == null ? '' : margin, margin == null ? '' : (margin * 100 / validVotes).toFixed(2), '6.2', candidate.pid,
+            yearIndex + 1, previousParty || '', previousParty === candidate.party ? 'True' : 'False',
+            previousParty && previousParty !== candidate.party ? 'True' : 'False',
+            lastWinner.get(seatKey) === candidate.pid ? 'True' : 'False', previousParty ? 'True' : 'False',
+            candidate.votes * 6 < validVotes ? 'Yes' : 'No',
+            candidate.k % 2 === 0 ? 'Graduate' : '12th Pass', 'Agriculture'
+          ].map((value) => (/,/.test(String(value)) ? `"${value}"` : value)).join(','));
+          lastParty.set(candidate.pid, candidate.party);
+        });
+        lastWinner.set(seatKey, candidates[0].pid);
+      }
+    });
+  });
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Point the environment at a fresh test database for DB_CLIENT
+ * @param {string} dir - Temporary directory for the SQLite file
+ * @returns {Object} Adapter for the test database (not connected)
+ */
+function configureTestDatabase(dir) {
+  const client = (process.env.DB_CLIENT || 'sqlite').toLowerCase();
+  if (client === 'postgres' || client === 'postgresql') {
+    if (!process.env.TEST_DATABASE_URL) {
+      throw new Error('DB_CLIENT=postgres tests need TEST_DATABASE_URL (a database whose tables may be dropped)');
+    }
+    process.env.DATABASE_URL = process.env.TEST_DATABASE_URL;
+  } else {
+    process.env.DB_PATH = path.join(dir, 'test.db');
+  }
+  return createAdapter();
+}
+
+// Reference data for the import scripts, as CSV text by file name
+const REFERENCE_CSVS = {
+  // Pre-poll alliances in 2014 and 2019
+  'alliances.csv': [
+    'year,alliance,party,alliance_full_name',
+    ...[2014, 2019].flatMap((year) => [
+      `${year},NDA,BJP,National Democratic Alliance`, `${year},NDA,JD(U),`,
+      `${year},UPA,INC,United Progressive Alliance`, `${year},UPA,RJD,`
+    ])
+  ],
+  // JD(U) merged into RJD from 2019
+  'party_lineage.csv': [
+    'party,successor,relation,year,note',
+    'JD(U),RJD,merged,2019,test merger'
+  ],
+  // Two districts of Uttar Pradesh with five seats each
+  'district_mapping.csv': [
+    'state_name,constituency_name,constituency_no,district_name',
+    ...Array.from({ length: 10 }, (_, index) => `Uttar Pradesh,Uttar Seat ${index + 1},${index + 1},Uttar District ${index < 5 ? 1 : 2}`)
+  ],
+  // Uttar Seat 1 was split between seats 1 and 2 by a delimitation
+  'delimitation_map.csv': [
+    'state_name,old_constituency_name,old_constituency_no,new_constituency_name,new_constituency_no,weight',
+    'Uttar Pradesh,Uttar Seat 1,1,Uttar Seat 1,1,0.7',
+    'Uttar Pradesh,Uttar Seat 1,1,Uttar Seat 2,2,0.3'
+  ]
+};
+
+async function importReferenceData(dir) {
+  const csvPath = (name) => {
+    const filePath = path.join(dir, name);
+    fs.writeFileSync(filePath, REFERENCE_CSVS[name].join('\n') + '\n');
+    return filePath;
+  };
+  await importAlliances(csvPath('alliances.csv'));
+  await importLineage(csvPath('party_lineage.csv'));
+  await importDistricts(csvPath('district_mapping.csv'));
+  await importDelimitation(csvPath('delimitation_map.csv'));
+}
+
+/**
+ * Create, migrate and fill the test database
+ *
+ * Sets DB_PATH (SQLite) or DATABASE_URL (PostgreSQL) so the API's connection module
+ * opens the same database.
+ *
+ * @returns {Promise<{teardown: Function}>} Call teardown() after the tests
+ */
+async function setupTestDatabase() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'election-api-test-'));
+  const teardown = () => fs.rmSync(dir, { recursive: true, force: true });
+  let db = null;
+  try {
+    db = configureTestDatabase(dir);
+    await db.connect();
+    const tables = await db.listTables();
+    if (tables.length > 0) {
+      await db.exec(`DROP TABLE IF EXISTS ${tables.join(', ')} CASCADE`);
+    }
+    await migrate(db);
+
+    const csvPath = path.join(dir, 'elections.csv');
+    fs.writeFileSync(csvPath, generateElectionCSV());
+    await importCSV(csvPath, { restart: true });
+    await importReferenceData(dir);
+  } catch (error) {
+    teardown();
+    throw error;
+  } finally {
+    if (db) await db.close();
+  }
+
+  return { teardown };
+}
+
+module.exports = { setupTestDatabase, generateElectionCSV, ELECTIONS, STATES };
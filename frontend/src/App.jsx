@@ -14,8 +14,15 @@ import KPICards from './components/KPICards';
 import SeatShareChart from './components/SeatShareChart';
 import GenderTrendChart from './components/GenderTrendChart';
 import VoteShareChart from './components/VoteShareChart';
+import StateMap from './components/StateMap';
 import MarginsTable from './components/MarginsTable';
 import Analytics from './components/Analytics';
+import ConstituencyProfile from './pages/ConstituencyProfile';
+import CandidateProfile from './pages/CandidateProfile';
+import PartyProfile from './pages/PartyProfile';
+import StateDashboard from './pages/StateDashboard';
+import Swingometer from './pages/Swingometer';
+import AllianceMerger from './pages/AllianceMerger';
 
 /**
  * Dashboard Component
@@ -24,6 +31,7 @@ import Analytics from './components/Analytics';
  * - KPI Cards: Key performance indicators (total seats, turnout, women candidates %)
  * - Seat Share Chart: Visual representation of seats won by each party
  * - Vote Share Chart: Visual representation of vote share by party
+ * - State Map: Choropleth of turnout, margin or women candidates by state (click to filter)
  * - Gender Trend Chart: Gender representation trends over time
  * - Margins Table: Table showing closest election contests
  * - Analytics: Advanced analytics and correlations
@@ -42,6 +50,9 @@ function Dashboard() {
         <VoteShareChart />
       </div>
       
+      {/* State map - turnout, margin or women candidates by state, click to filter */}
+      <StateMap />
+      
       {/* Gender trend chart - full width */}
       <GenderTrendChart />
       
@@ -58,8 +69,14 @@ function Dashboard() {
  * Root App Component
  * 
  * Sets up React Router and provides the main application layout.
- * Currently has a single route for the dashboard, but can be extended
- * for additional pages (e.g., detailed constituency view, party comparison).
+ * Routes:
+ * - /: Dashboard
+ * - /constituency/:id: Constituency profile with full election history
+ * - /candidate/:id: Candidate career profile
+ * - /party/:id: Party performance profile
+ * - /state/:id: State dashboard with trends across years
+ * - /swingometer: Seat projection for vote swings from the selected year
+ * - /alliance-what-if: Seats of the selected year with the votes of party groups pooled
  */
 function App() {
   return (
@@ -73,6 +90,16 @@ function App() {
           <Routes>
             {/* Dashboard route - main page */}
             <Route path="/" element={<Dashboard />} />
+            
+            {/* Profile pages */}
+            <Route path="/constituency/:id" element={<ConstituencyProfile />} />
+            <Route path="/candidate/:id" element={<CandidateProfile />} />
+            <Route path="/party/:id" element={<PartyProfile />} />
+            <Route path="/state/:id" element={<StateDashboard />} />
+
+            {/* What-if tools */}
+            <Route path="/swingometer" element={<Swingometer />} />
+            <Route path="/alliance-what-if" element={<AllianceMerger />} />
           </Routes>
         </main>
       </div>
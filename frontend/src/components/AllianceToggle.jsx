@@ -0,0 +1,27 @@
+const OPTIONS = [
+  { value: 'party', label: 'Parties' },
+  { value: 'alliance', label: 'Alliances' }
+];
+
+/**
+ * Switch between party and alliance grouping in a chart header
+ * @param {string} value - Current grouping ('party' or 'alliance')
+ * @param {Function} onChange - Called with the selected grouping
+ */
+const AllianceToggle = ({ value, onChange }) => (
+  <div className="inline-flex rounded-lg bg-gray-100 p-1 text-sm">
+    {OPTIONS.map((option) => (
+      <button
+        key={option.value}
+        onClick={() => onChange(option.value)}
+        className={`px-3 py-1 rounded-md font-medium transition-colors duration-200 ${
+          value === option.value ? 'bg-white text-blue-600 shadow' : 'text-gray-600 hover:text-gray-800'
+        }`}
+      >
+        {option.label}
+      </button>
+    ))}
+  </div>
+);
+
+export default AllianceToggle;
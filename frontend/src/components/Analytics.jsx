@@ -1,15 +1,74 @@
 import { useState, useEffect } from 'react';
-import { useSearchParams } from 'react-router-dom';
+import { useSearchParams, Link } from 'react-router-dom';
 import { 
   getHighestTurnout, 
   getSeatChanges, 
+  getSwing,
+  getProportionalSeats,
   getWomenCandidates, 
   getClosestContests,
   getNationalVsRegionalVoteShare,
+  getFragmentation,
+  getVolatility,
+  getIncumbency,
+  getPartySwitching,
   getEducationCorrelation,
   getYears
 } from '../services/api';
-import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, BarChart, Bar } from 'recharts';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, BarChart, Bar, Cell, ReferenceLine, Sankey, Layer, Rectangle } from 'recharts';
+import { getPartyColor } from '../utils/partyColors';
+
+// Butler swing label, e.g. "4.20 pts to BJP from INC"; negative swings go to the second party
+const describeSwing = (swing, [first, second] = []) => {
+  if (swing == null) return 'N/A';
+  const [to, from] = swing >= 0 ? [first, second] : [second, first];
+  return `${Math.abs(swing).toFixed(2)} pts to ${to} from ${from}`;
+};
+
+// Seat allocations compared in the proportional representation chart
+const PR_SERIES = [
+  { key: 'fptp_seats', name: 'First past the post', color: '#374151' },
+  { key: 'dhondt', name: "D'Hondt", color: '#3b82f6' },
+  { key: 'sainte_lague', name: 'Sainte-Laguë', color: '#10b981' },
+  { key: 'hare', name: 'Hare (largest remainder)', color: '#f59e0b' }
+];
+const PR_THRESHOLDS = [0, 3, 5, 10];
+
+// Volatility components that can be shown in the heatmap
+const VOLATILITY_METRICS = [
+  { key: 'volatility', label: 'Total' },
+  { key: 'entry_exit', label: 'New & exiting parties' },
+  { key: 'switching', label: 'Switching' }
+];
+
+// Largest switching flows drawn in the Sankey diagram
+const MAX_SWITCH_FLOWS = 20;
+
+/**
+ * Sankey node with its party name, outside the node on the side with room
+ * (props are injected by recharts)
+ */
+const SwitchingNode = ({ x, y, width, height, payload, containerWidth }) => {
+  const labelLeft = x + width + 6 > containerWidth - 100;
+  return (
+    <Layer>
+      <Rectangle x={x} y={y} width={width} height={height} fill={getPartyColor(payload.party)} fillOpacity={0.9} />
+      <text
+        x={labelLeft ? x - 6 : x + width + 6}
+        y={y + height / 2}
+        textAnchor={labelLeft ? 'end' : 'start'}
+        dominantBaseline="middle"
+        fontSize={12}
+        fill="#374151"
+      >
+        {payload.party} ({payload.value})
+      </text>
+    </Layer>
+  );
+};
+
+// Within the 1991-2019 range shown on this page
+const inAnalyticsRange = (pair) => pair.year1 >= 1991 && pair.year2 <= 2019;
 
 const Analytics = () => {
   const [searchParams] = useSearchParams();
@@ -19,9 +78,18 @@ const Analytics = () => {
   // Data states
   const [highestTurnout, setHighestTurnout] = useState(null);
   const [seatChanges, setSeatChanges] = useState([]);
+  const [swing, setSwing] = useState(null);
+  const [proportional, setProportional] = useState(null);
+  const [prThreshold, setPrThreshold] = useState(0);
   const [womenCandidates, setWomenCandidates] = useState(null);
   const [closestContests, setClosestContests] = useState([]);
   const [nationalVsRegional, setNationalVsRegional] = useState([]);
+  const [fragmentation, setFragmentation] = useState([]);
+  const [volatility, setVolatility] = useState(null);
+  const [incumbency, setIncumbency] = useState(null);
+  const [partySwitching, setPartySwitching] = useState(null);
+  const [switchingRange, setSwitchingRange] = useState('year'); // 'year' or 'all' (1991 to the selected year)
+  const [volatilityMetric, setVolatilityMetric] = useState('volatility');
   const [educationCorrelation, setEducationCorrelation] = useState([]);
 
   useEffect(() => {
@@ -56,7 +124,10 @@ const Analytics = () => {
         
         Promise.all([
           getHighestTurnout(selectedYear).then(res => res.data).catch(() => null),
-          previousYear ? getSeatChanges(previousYear, selectedYear).then(res => res.data).catch(() => []) : Promise.resolve([]),
+          // lineage=true compares renamed or merged parties under their current name
+          previousYear ? getSeatChanges(previousYear, selectedYear, undefined, true).then(res => res.data).catch(() => []) : Promise.resolve([]),
+          // delimitation=true compares redrawn seats with their notional previous result
+          previousYear ? getSwing(previousYear, selectedYear, { lineage: true, delimitation: true }).then(res => res.data).catch(() => null) : Promise.resolve(null),
           getWomenCandidates(null, null).then(res => {
             const data = res.data || [];
             if (data.length > 0) {
@@ -71,13 +142,28 @@ const Analytics = () => {
             const data = res.data || [];
             return data;
           }).catch(() => []),
+          getFragmentation().then(res => (res.data?.national || [])
+            .filter(row => row.year >= 1991 && row.year <= 2019)).catch(() => []),
+          // lineage=true so that renamed parties do not count as an exit and an entry
+          getVolatility({ lineage: true }).then(res => ({
+            national: res.data.national.filter(inAnalyticsRange),
+            states: res.data.states.filter(inAnalyticsRange)
+          })).catch(() => null),
+          getIncumbency({ lineage: true }).then(res => ({
+            years: res.data.years.filter(row => row.year >= 1991 && row.year <= 2019),
+            terms: res.data.terms
+          })).catch(() => null),
           getEducationCorrelation().then(res => res.data || []).catch(() => [])
-        ]).then(([turnout, changes, womenPct, contests, voteShare, education]) => {
+        ]).then(([turnout, changes, swingData, womenPct, contests, voteShare, fragmentationData, volatilityData, incumbencyData, education]) => {
           setHighestTurnout(turnout);
           setSeatChanges(changes);
+          setSwing(swingData);
           setWomenCandidates(womenPct);
           setClosestContests(contests);
           setNationalVsRegional(voteShare);
+          setFragmentation(fragmentationData);
+          setVolatility(volatilityData);
+          setIncumbency(incumbencyData);
           setEducationCorrelation(education);
           setLoading(false);
         });
@@ -88,6 +174,39 @@ const Analytics = () => {
       });
   }, [searchParams.get('year')]);
 
+  // Party switching reloads on its own when the range changes
+  useEffect(() => {
+    const selectedYear = parseInt(searchParams.get('year'));
+    if (!selectedYear || selectedYear < 1991 || selectedYear > 2019) {
+      setPartySwitching(null);
+      return;
+    }
+    let cancelled = false;
+    const params = switchingRange === 'all' ? { year1: 1991, year2: selectedYear } : { year: selectedYear };
+    getPartySwitching(params)
+      .then(res => !cancelled && setPartySwitching(res.data))
+      .catch(() => !cancelled && setPartySwitching(null));
+    return () => {
+      cancelled = true;
+    };
+  }, [searchParams.get('year'), switchingRange]);
+
+  // Proportional seats reload on their own when the threshold changes
+  useEffect(() => {
+    const selectedYear = parseInt(searchParams.get('year'));
+    if (!selectedYear || selectedYear < 1991 || selectedYear > 2019) {
+      setProportional(null);
+      return;
+    }
+    let cancelled = false;
+    getProportionalSeats(selectedYear, { threshold: prThreshold || undefined })
+      .then(res => !cancelled && setProportional(res.data))
+      .catch(() => !cancelled && setProportional(null));
+    return () => {
+      cancelled = true;
+    };
+  }, [searchParams.get('year'), prThreshold]);
+
   if (loading) {
     return (
       <div className="bg-white rounded-lg shadow p-6">
@@ -130,7 +249,52 @@ const Analytics = () => {
       }, seatChanges[0])
     : null;
 
+  // State swings for the diverging bar chart, largest swing to the leading party first
+  const stateSwingData = swing
+    ? swing.states
+      .filter(state => state.butler_swing != null)
+      .map(state => ({ state: state.state_name, swing: state.butler_swing, top_two: state.top_two }))
+      .sort((a, b) => b.swing - a.swing)
+    : [];
+  const seatsChangedHands = swing ? swing.constituencies.filter(seat => seat.changed_hands).length : 0;
+
+  // Volatility heatmap: one row per state, one column per pair of consecutive elections
+  const volatilityPairs = volatility ? volatility.national : [];
+  const volatilityRows = [];
+  if (volatility) {
+    const rowsByState = new Map();
+    volatility.states.forEach(entry => {
+      if (!rowsByState.has(entry.state_id)) {
+        rowsByState.set(entry.state_id, { state_id: entry.state_id, state_name: entry.state_name, values: {} });
+      }
+      rowsByState.get(entry.state_id).values[entry.year2] = entry[volatilityMetric];
+    });
+    volatilityRows.push(...[...rowsByState.values()].sort((a, b) => a.state_name.localeCompare(b.state_name)));
+  }
+  const maxVolatility = Math.max(1, ...(volatility ? volatility.states.map(entry => entry[volatilityMetric]) : []));
+  const volatilityCellStyle = (value) => ({
+    backgroundColor: `rgba(239, 68, 68, ${(value / maxVolatility).toFixed(2)})`,
+    color: value / maxVolatility > 0.6 ? '#ffffff' : '#1f2937'
+  });
+
   const selectedYear = searchParams.get('year') || years[0] || '';
+  // Sankey of the largest switching flows: previous parties on the left, current parties on the right
+  const switchFlows = partySwitching ? partySwitching.flows.filter(flow => flow.switched).slice(0, MAX_SWITCH_FLOWS) : [];
+  const switchingSankey = { nodes: [], links: [] };
+  const switchingNodeIndex = new Map();
+  const switchingNode = (side, party) => {
+    const key = `${side}:${party}`;
+    if (!switchingNodeIndex.has(key)) {
+      switchingNodeIndex.set(key, switchingSankey.nodes.length);
+      switchingSankey.nodes.push({ name: `${party} (${side === 'from' ? 'before' : 'after'})`, party });
+    }
+    return switchingNodeIndex.get(key);
+  };
+  switchFlows.forEach(flow => {
+    switchingSankey.links.push({ source: switchingNode('from', flow.from_party), target: switchingNode('to', flow.to_party), value: flow.candidates });
+  });
+
+  const selectedIncumbency = incumbency ? incumbency.years.find(row => String(row.year) === String(selectedYear)) : null;
 
   return (
     <div className="bg-white rounded-lg shadow p-6 space-y-8">
@@ -180,6 +344,208 @@ const Analytics = () => {
         </div>
       )}
 
+      {/* Swing */}
+      {swing && swing.constituencies.length > 0 && (
+        <div className="bg-gradient-to-r from-teal-50 to-cyan-50 rounded-lg p-6 border-l-4 border-teal-500">
+          <div className="flex items-center justify-between mb-2">
+            <h3 className="text-lg font-semibold text-gray-800">Swing {swing.year1} → {swing.year2}</h3>
+            <span className="text-sm text-gray-600">Butler Two-Party Swing</span>
+          </div>
+          <div className="text-sm text-gray-700">
+            <span className="font-semibold">{seatsChangedHands}</span> of {swing.constituencies.length} comparable seats changed hands
+          </div>
+          {stateSwingData.length > 0 && (
+            <div className="mt-4">
+              <ResponsiveContainer width="100%" height={Math.max(200, stateSwingData.length * 32)}>
+                <BarChart data={stateSwingData} layout="vertical" margin={{ left: 40 }}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis type="number" label={{ value: 'Swing (points) to the state\'s leading party', position: 'insideBottom', offset: -5 }} />
+                  <YAxis type="category" dataKey="state" width={120} />
+                  <Tooltip formatter={(value, name, item) => [describeSwing(value, item.payload.top_two), 'Swing']} />
+                  <ReferenceLine x={0} stroke="#374151" />
+                  <Bar dataKey="swing">
+                    {stateSwingData.map((entry) => (
+                      <Cell key={entry.state} fill={entry.swing >= 0 ? '#14b8a6' : '#f43f5e'} />
+                    ))}
+                  </Bar>
+                </BarChart>
+              </ResponsiveContainer>
+            </div>
+          )}
+          <div className="mt-4 overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Constituency</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">State</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Winner</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Swing</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {swing.constituencies.slice(0, 15).map((seat) => (
+                  <tr key={seat.constituency_id} className="hover:bg-gray-50">
+                    <td className="px-4 py-3 text-sm font-medium text-gray-900">
+                      <Link to={`/constituency/${seat.constituency_id}`} className="text-blue-600 hover:text-blue-800">{seat.constituency_name}</Link>
+                      {seat.boundary_changed && <span className="text-gray-500" title="Boundaries changed between the elections">*</span>}
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-700">{seat.state_name}</td>
+                    <td className="px-4 py-3 text-sm text-gray-900">
+                      {seat.winner1 || 'N/A'} → {seat.winner2 || 'N/A'}
+                      {seat.changed_hands && <span className="ml-2 text-xs font-semibold text-teal-700">Changed hands</span>}
+                    </td>
+                    <td className={`px-4 py-3 text-sm font-semibold ${seat.butler_swing >= 0 ? 'text-teal-700' : 'text-rose-600'}`}>
+                      {describeSwing(seat.butler_swing, seat.top_two)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          {swing.constituencies.some((seat) => seat.boundary_changed) && (
+            <p className="text-xs text-gray-500 mt-3">* Boundaries changed between the elections; redrawn seats are compared with their notional previous result where a delimitation map is loaded</p>
+          )}
+        </div>
+      )}
+
+      {/* Incumbency */}
+      {incumbency && incumbency.years.length > 0 && (
+        <div className="bg-gradient-to-r from-amber-50 to-yellow-50 rounded-lg p-6 border-l-4 border-amber-500">
+          <div className="flex items-center justify-between mb-2">
+            <h3 className="text-lg font-semibold text-gray-800">Anti-Incumbency Trend</h3>
+            <span className="text-sm text-gray-600">Sitting MPs Who Contested Again</span>
+          </div>
+          {selectedIncumbency && (
+            <div className="text-sm text-gray-700">
+              In {selectedIncumbency.year}, <span className="font-semibold">{selectedIncumbency.re_elected}</span> of {selectedIncumbency.incumbents} sitting MPs were re-elected
+              ({selectedIncumbency.re_election_rate != null ? selectedIncumbency.re_election_rate.toFixed(1) : 'N/A'}%)
+              {selectedIncumbency.avg_vote_share_change != null && (
+                <span>; those re-contesting their seat changed their vote share by {selectedIncumbency.avg_vote_share_change >= 0 ? '+' : ''}{selectedIncumbency.avg_vote_share_change.toFixed(1)} pts on average</span>
+              )}
+            </div>
+          )}
+          <div className="mt-4">
+            <ResponsiveContainer width="100%" height={300}>
+              <LineChart data={incumbency.years}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="year" />
+                <YAxis yAxisId="rate" domain={[0, 100]} label={{ value: 'Re-elected %', angle: -90, position: 'insideLeft' }} />
+                <YAxis yAxisId="change" orientation="right" label={{ value: 'Vote share change (pts)', angle: 90, position: 'insideRight' }} />
+                <Tooltip formatter={(value) => (value != null ? value.toFixed(2) : 'N/A')} />
+                <Legend />
+                <ReferenceLine yAxisId="change" y={0} stroke="#9ca3af" />
+                <Line yAxisId="rate" type="monotone" dataKey="re_election_rate" name="Re-election rate" stroke="#d97706" strokeWidth={2} />
+                <Line yAxisId="change" type="monotone" dataKey="avg_vote_share_change" name="Avg. vote share change" stroke="#6b7280" strokeWidth={2} strokeDasharray="5 5" />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+          {incumbency.terms.length > 0 && (
+            <div className="mt-4 flex flex-wrap gap-3 text-sm">
+              <span className="text-gray-600">Win rate by terms served:</span>
+              {incumbency.terms.map((row) => (
+                <span key={row.terms} className="px-3 py-1 rounded-full bg-white border border-amber-200 text-gray-800">
+                  {row.terms} {row.terms === 1 ? 'term' : 'terms'}: <span className="font-semibold">{row.win_rate != null ? row.win_rate.toFixed(1) : 'N/A'}%</span>
+                </span>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Party Switching */}
+      {partySwitching && (
+        <div className="bg-gradient-to-r from-sky-50 to-indigo-50 rounded-lg p-6 border-l-4 border-sky-500">
+          <div className="flex items-center justify-between mb-2">
+            <h3 className="text-lg font-semibold text-gray-800">Party Switching</h3>
+            <div className="inline-flex rounded-lg bg-white p-1 text-sm">
+              {[{ value: 'year', label: selectedYear }, { value: 'all', label: `1991–${selectedYear}` }].map((option) => (
+                <button
+                  key={option.value}
+                  onClick={() => setSwitchingRange(option.value)}
+                  className={`px-3 py-1 rounded-md font-medium transition-colors duration-200 ${
+                    switchingRange === option.value ? 'bg-sky-100 text-sky-700' : 'text-gray-600 hover:text-gray-800'
+                  }`}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-3">
+            {[{ key: 'switchers', label: 'Switched party', color: 'text-sky-700' }, { key: 'loyalists', label: 'Stayed with their party', color: 'text-gray-700' }].map((group) => (
+              <div key={group.key} className="bg-white rounded p-4 border border-sky-100">
+                <div className="text-sm text-gray-600 mb-1">{group.label}</div>
+                <div className={`text-xl font-bold ${group.color}`}>
+                  {partySwitching[group.key].win_rate != null ? `${partySwitching[group.key].win_rate.toFixed(1)}% won` : 'N/A'}
+                </div>
+                <div className="text-sm text-gray-700 mt-1">
+                  {partySwitching[group.key].winners} of {partySwitching[group.key].candidates} candidates
+                </div>
+              </div>
+            ))}
+          </div>
+          {switchingSankey.links.length > 0 ? (
+            <div className="mt-4">
+              <ResponsiveContainer width="100%" height={Math.max(300, switchingSankey.nodes.length * 24)}>
+                <Sankey
+                  data={switchingSankey}
+                  node={<SwitchingNode />}
+                  link={{ stroke: '#7dd3fc', strokeOpacity: 0.5 }}
+                  nodePadding={16}
+                  margin={{ top: 10, right: 120, bottom: 10, left: 120 }}
+                >
+                  <Tooltip />
+                </Sankey>
+              </ResponsiveContainer>
+              {partySwitching.flows.filter(flow => flow.switched).length > MAX_SWITCH_FLOWS && (
+                <p className="text-xs text-gray-500 mt-2">Showing the {MAX_SWITCH_FLOWS} largest flows</p>
+              )}
+            </div>
+          ) : (
+            <div className="text-gray-500 mt-4">No candidates switched party</div>
+          )}
+        </div>
+      )}
+
+      {/* Proportional Representation */}
+      {proportional && proportional.parties.length > 0 && (
+        <div className="bg-gradient-to-r from-indigo-50 to-blue-50 rounded-lg p-6 border-l-4 border-indigo-500">
+          <div className="flex items-center justify-between mb-2">
+            <h3 className="text-lg font-semibold text-gray-800">Seats Under Proportional Representation - {proportional.year}</h3>
+            <label className="flex items-center gap-2 text-sm text-gray-600">
+              State threshold
+              <select
+                value={prThreshold}
+                onChange={(e) => setPrThreshold(parseFloat(e.target.value))}
+                className="px-2 py-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+              >
+                {PR_THRESHOLDS.map((value) => (
+                  <option key={value} value={value}>{value}%</option>
+                ))}
+              </select>
+            </label>
+          </div>
+          <div className="text-sm text-gray-700">
+            Each state's seats shared out by party vote share in the state; independents win no list seats
+            {proportional.unallocated_seats > 0 && <span> ({proportional.unallocated_seats} seats unallocated where no party reached the threshold)</span>}
+          </div>
+          <div className="mt-4">
+            <ResponsiveContainer width="100%" height={350}>
+              <BarChart data={proportional.parties.slice(0, 10)}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="party" angle={-45} textAnchor="end" height={80} />
+                <YAxis />
+                <Tooltip />
+                <Legend verticalAlign="top" />
+                {PR_SERIES.map((series) => (
+                  <Bar key={series.key} dataKey={series.key} name={series.name} fill={series.color} />
+                ))}
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+        </div>
+      )}
+
       {/* Women Candidates */}
       <div className="bg-gradient-to-r from-purple-50 to-pink-50 rounded-lg p-6 border-l-4 border-purple-500">
         <div className="flex items-center justify-between mb-2">
@@ -260,6 +626,96 @@ const Analytics = () => {
         </div>
       )}
 
+      {/* Disproportionality and Fragmentation */}
+      {fragmentation.length > 0 && (
+        <div className="bg-gradient-to-r from-slate-50 to-gray-100 rounded-lg p-6 border-l-4 border-slate-500">
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-lg font-semibold text-gray-800">Disproportionality & Fragmentation</h3>
+            <span className="text-sm text-gray-600">Computed from Votes and Seats Won</span>
+          </div>
+          <div className="mt-4">
+            <ResponsiveContainer width="100%" height={300}>
+              <LineChart data={fragmentation}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="year" />
+                <YAxis yAxisId="index" label={{ value: 'Index (points)', angle: -90, position: 'insideLeft' }} />
+                <YAxis yAxisId="enp" orientation="right" label={{ value: 'Effective parties', angle: 90, position: 'insideRight' }} />
+                <Tooltip formatter={(value) => (value != null ? value.toFixed(2) : 'N/A')} />
+                <Legend />
+                <Line yAxisId="index" type="monotone" dataKey="gallagher" name="Gallagher" stroke="#ef4444" strokeWidth={2} />
+                <Line yAxisId="index" type="monotone" dataKey="loosemore_hanby" name="Loosemore-Hanby" stroke="#f59e0b" strokeWidth={2} />
+                <Line yAxisId="enp" type="monotone" dataKey="enp_votes" name="ENP (votes)" stroke="#3b82f6" strokeWidth={2} />
+                <Line yAxisId="enp" type="monotone" dataKey="enp_seats" name="ENP (seats)" stroke="#10b981" strokeWidth={2} strokeDasharray="5 5" />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+        </div>
+      )}
+
+      {/* Electoral Volatility */}
+      {volatilityRows.length > 0 && volatilityPairs.length > 0 && (
+        <div className="bg-gradient-to-r from-red-50 to-orange-50 rounded-lg p-6 border-l-4 border-red-500">
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-lg font-semibold text-gray-800">Electoral Volatility</h3>
+            <div className="inline-flex rounded-lg bg-white p-1 text-sm">
+              {VOLATILITY_METRICS.map((metric) => (
+                <button
+                  key={metric.key}
+                  onClick={() => setVolatilityMetric(metric.key)}
+                  className={`px-3 py-1 rounded-md font-medium transition-colors duration-200 ${
+                    volatilityMetric === metric.key ? 'bg-red-100 text-red-700' : 'text-gray-600 hover:text-gray-800'
+                  }`}
+                >
+                  {metric.label}
+                </button>
+              ))}
+            </div>
+          </div>
+          <div className="text-sm text-gray-700 mb-4">
+            Pedersen index: points of the vote that moved between parties since the previous election
+          </div>
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">State</th>
+                  {volatilityPairs.map((pair) => (
+                    <th key={pair.year2} className="px-3 py-2 text-center text-xs font-medium text-gray-500 uppercase">
+                      {pair.year1}→{pair.year2}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                <tr className="font-semibold">
+                  <td className="px-3 py-1 text-gray-900">All India</td>
+                  {volatilityPairs.map((pair) => (
+                    <td key={pair.year2} className="px-3 py-1 text-center tabular-nums" style={volatilityCellStyle(pair[volatilityMetric])}>
+                      {pair[volatilityMetric].toFixed(1)}
+                    </td>
+                  ))}
+                </tr>
+                {volatilityRows.map((row) => (
+                  <tr key={row.state_id}>
+                    <td className="px-3 py-1 text-gray-700 whitespace-nowrap">{row.state_name}</td>
+                    {volatilityPairs.map((pair) => {
+                      const value = row.values[pair.year2];
+                      return value != null ? (
+                        <td key={pair.year2} className="px-3 py-1 text-center tabular-nums" style={volatilityCellStyle(value)}>
+                          {value.toFixed(1)}
+                        </td>
+                      ) : (
+                        <td key={pair.year2} className="px-3 py-1 text-center text-gray-400">–</td>
+                      );
+                    })}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
       {/* Education Correlation */}
       {educationCorrelation.length > 0 && (
         <div className="bg-gradient-to-r from-pink-50 to-rose-50 rounded-lg p-6 border-l-4 border-pink-500">
@@ -1,6 +1,7 @@
 import { useState, useEffect } from 'react';
-import { useSearchParams } from 'react-router-dom';
-import { getYears, getStates, getParties, getConstituencies, getConstituenciesList } from '../services/api';
+import { useSearchParams, Link } from 'react-router-dom';
+import { getYears, getStates, getParties, getDistricts, getConstituenciesList } from '../services/api';
+import SearchBar from './SearchBar';
 
 const Header = ({ onFilterChange }) => {
   const [searchParams, setSearchParams] = useSearchParams();
@@ -49,7 +50,7 @@ const Header = ({ onFilterChange }) => {
     const selectedState = searchParams.get('state');
     if (selectedState) {
       setLoadingDistricts(true);
-      getConstituencies(selectedState)
+      getDistricts(selectedState)
         .then((response) => {
           const districtsData = Array.isArray(response.data) ? response.data : (response.data?.rows || []);
           setDistricts(districtsData);
@@ -134,14 +135,33 @@ const Header = ({ onFilterChange }) => {
     <header className="bg-white shadow-lg sticky top-0 z-50">
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-4">
         <div className="flex items-center justify-between mb-4">
-          <h1 className="text-3xl font-bold text-gray-900">Indian Election Data Dashboard</h1>
-          <button
-            onClick={handleClearAll}
-            className="px-4 py-2 bg-gray-100 hover:bg-gray-200 text-gray-700 rounded-lg font-medium transition-colors duration-200 text-sm"
-            title="Clear all filters"
-          >
-            Clear All Filters
-          </button>
+          <h1 className="text-3xl font-bold text-gray-900">
+            <Link to={{ pathname: '/', search: searchParams.toString() }}>Indian Election Data Dashboard</Link>
+          </h1>
+          <div className="flex items-center gap-3">
+            <SearchBar />
+            <Link
+              to={{ pathname: '/swingometer', search: searchParams.toString() }}
+              className="px-4 py-2 bg-blue-50 hover:bg-blue-100 text-blue-700 rounded-lg font-medium transition-colors duration-200 text-sm whitespace-nowrap"
+              title="Project seats for vote swings"
+            >
+              Swingometer
+            </Link>
+            <Link
+              to={{ pathname: '/alliance-what-if', search: searchParams.toString() }}
+              className="px-4 py-2 bg-blue-50 hover:bg-blue-100 text-blue-700 rounded-lg font-medium transition-colors duration-200 text-sm whitespace-nowrap"
+              title="Pool the votes of parties that did not ally"
+            >
+              Alliance What-if
+            </Link>
+            <button
+              onClick={handleClearAll}
+              className="px-4 py-2 bg-gray-100 hover:bg-gray-200 text-gray-700 rounded-lg font-medium transition-colors duration-200 text-sm whitespace-nowrap"
+              title="Clear all filters"
+            >
+              Clear All Filters
+            </button>
+          </div>
         </div>
 
         <div className="grid grid-cols-1 md:grid-cols-6 gap-4">
@@ -160,7 +180,18 @@ const Header = ({ onFilterChange }) => {
           </div>
 
           <div>
-            <label className="block text-sm font-medium text-gray-700 mb-1">State</label>
+            <div className="flex items-center justify-between mb-1">
+              <label className="block text-sm font-medium text-gray-700">State</label>
+              {selectedState && (
+                <Link
+                  to={`/state/${selectedState}`}
+                  className="text-xs text-blue-600 hover:text-blue-800 font-medium"
+                  title="View state trends across all years"
+                >
+                  Trends
+                </Link>
+              )}
+            </div>
             <select
               value={searchParams.get('state') || ''}
               onChange={(e) => handleFilterChange('state', e.target.value)}
@@ -179,10 +210,10 @@ const Header = ({ onFilterChange }) => {
               <select
                 value={searchParams.get('district') || ''}
                 onChange={(e) => handleFilterChange('district', e.target.value)}
-                disabled={loadingDistricts}
+                disabled={loadingDistricts || districts.length === 0}
                 className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 disabled:bg-gray-100 disabled:cursor-not-allowed"
               >
-                <option value="">All Districts</option>
+                <option value="">{!loadingDistricts && districts.length === 0 ? 'No district mapping loaded' : 'All Districts'}</option>
                 {districts.map((district) => (
                   <option key={district.id} value={district.id}>{district.name}</option>
                 ))}
@@ -195,13 +226,22 @@ const Header = ({ onFilterChange }) => {
               <div className="flex items-center justify-between mb-1">
                 <label className="block text-sm font-medium text-gray-700">Constituency</label>
                 {searchParams.get('constituency') && (
-                  <button
-                    onClick={() => handleFilterChange('constituency', '')}
-                    className="text-xs text-blue-600 hover:text-blue-800 font-medium"
-                    title="Clear constituency filter"
-                  >
-                    Clear
-                  </button>
+                  <div className="flex gap-2">
+                    <Link
+                      to={`/constituency/${searchParams.get('constituency')}`}
+                      className="text-xs text-blue-600 hover:text-blue-800 font-medium"
+                      title="View constituency election history"
+                    >
+                      Profile
+                    </Link>
+                    <button
+                      onClick={() => handleFilterChange('constituency', '')}
+                      className="text-xs text-blue-600 hover:text-blue-800 font-medium"
+                      title="Clear constituency filter"
+                    >
+                      Clear
+                    </button>
+                  </div>
                 )}
               </div>
               <select
@@ -222,7 +262,18 @@ const Header = ({ onFilterChange }) => {
           )}
 
           <div>
-            <label className="block text-sm font-medium text-gray-700 mb-1">Party</label>
+            <div className="flex items-center justify-between mb-1">
+              <label className="block text-sm font-medium text-gray-700">Party</label>
+              {searchParams.get('party') && (
+                <Link
+                  to={`/party/${searchParams.get('party')}`}
+                  className="text-xs text-blue-600 hover:text-blue-800 font-medium"
+                  title="View party performance over time"
+                >
+                  Profile
+                </Link>
+              )}
+            </div>
             <select
               value={searchParams.get('party') || ''}
               onChange={(e) => handleFilterChange('party', e.target.value)}
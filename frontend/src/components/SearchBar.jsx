@@ -0,0 +1,110 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { search } from '../services/api';
+
+// Wait for the user to stop typing before querying the API
+const SEARCH_DELAY_MS = 300;
+
+const SearchBar = () => {
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState(null);
+  const [open, setOpen] = useState(false);
+
+  useEffect(() => {
+    const q = query.trim();
+    if (q.length < 2) {
+      setResults(null);
+      return;
+    }
+    const timer = setTimeout(() => {
+      search(q, 'all')
+        .then((response) => {
+          setResults(response.data);
+          setOpen(true);
+        })
+        .catch((error) => {
+          console.error('Error searching:', error);
+          setResults(null);
+        });
+    }, SEARCH_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [query]);
+
+  const handleSelect = () => {
+    setOpen(false);
+    setQuery('');
+  };
+
+  const candidates = results?.candidates || [];
+  const constituencies = results?.constituencies || [];
+  const parties = results?.parties || [];
+  const hasResults = candidates.length + constituencies.length + parties.length > 0;
+
+  return (
+    <div className="relative w-full md:w-80">
+      <input
+        type="text"
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+        onFocus={() => results && setOpen(true)}
+        onBlur={() => setTimeout(() => setOpen(false), 150)}
+        placeholder="Search candidates, constituencies, parties..."
+        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 text-sm"
+      />
+      {open && results && (
+        <div className="absolute z-50 mt-1 w-full bg-white border border-gray-200 rounded-lg shadow-lg max-h-96 overflow-y-auto text-sm">
+          {!hasResults && <div className="px-3 py-2 text-gray-500">No matches</div>}
+          {candidates.length > 0 && (
+            <div>
+              <div className="px-3 py-1 text-xs font-semibold text-gray-500 uppercase bg-gray-50">Candidates</div>
+              {candidates.map((candidate) => (
+                <Link
+                  key={`candidate-${candidate.id}`}
+                  to={`/candidate/${candidate.id}`}
+                  onClick={handleSelect}
+                  className="block px-3 py-2 hover:bg-blue-50 text-gray-800"
+                >
+                  {candidate.name}
+                  {candidate.sex && <span className="text-gray-500"> ({candidate.sex})</span>}
+                </Link>
+              ))}
+            </div>
+          )}
+          {constituencies.length > 0 && (
+            <div>
+              <div className="px-3 py-1 text-xs font-semibold text-gray-500 uppercase bg-gray-50">Constituencies</div>
+              {constituencies.map((constituency) => (
+                <Link
+                  key={`constituency-${constituency.id}`}
+                  to={`/constituency/${constituency.id}`}
+                  onClick={handleSelect}
+                  className="block px-3 py-2 hover:bg-blue-50 text-gray-800"
+                >
+                  {constituency.name}
+                  <span className="text-gray-500"> ({constituency.state_name})</span>
+                </Link>
+              ))}
+            </div>
+          )}
+          {parties.length > 0 && (
+            <div>
+              <div className="px-3 py-1 text-xs font-semibold text-gray-500 uppercase bg-gray-50">Parties</div>
+              {parties.map((party) => (
+                <Link
+                  key={`party-${party.id}`}
+                  to={`/party/${party.id}`}
+                  onClick={handleSelect}
+                  className="block px-3 py-2 hover:bg-blue-50 text-gray-800"
+                >
+                  {party.name}
+                </Link>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SearchBar;
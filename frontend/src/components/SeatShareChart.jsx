@@ -1,12 +1,24 @@
 import { useState, useEffect } from 'react';
 import { useSearchParams } from 'react-router-dom';
-import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
-import { getSeatShare } from '../services/api';
+import { ComposedChart, Bar, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { getSeatShare, getStrikeRate } from '../services/api';
+import AllianceToggle from './AllianceToggle';
+
+const STRIKE_RATE_LABEL = 'Strike rate (%)';
 
 const SeatShareChart = () => {
   const [searchParams] = useSearchParams();
   const [data, setData] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [grouping, setGrouping] = useState('party'); // 'party' or 'alliance'
+  const [showStrikeRate, setShowStrikeRate] = useState(false);
+  const [strikeRates, setStrikeRates] = useState(new Map()); // party -> strike rate row
+
+  // Strike rates are per party for the whole state (or country), so they only
+  // overlay party seats without district, constituency or gender filters
+  const strikeRateAvailable = grouping === 'party'
+    && !searchParams.get('district') && !searchParams.get('constituency') && !searchParams.get('gender');
+  const overlayStrikeRate = showStrikeRate && strikeRateAvailable;
 
   useEffect(() => {
     const year = searchParams.get('year');
@@ -23,7 +35,7 @@ const SeatShareChart = () => {
     }
     console.log('SeatShareChart: Fetching data for year:', year, 'state:', state, 'district:', district, 'constituency:', constituency, 'party:', party, 'gender:', gender);
     setLoading(true);
-    getSeatShare(year, state, party, gender, district, constituency)
+    getSeatShare(year, state, party, gender, district, constituency, grouping === 'alliance' ? 'alliance' : undefined)
       .then((response) => {
         // Handle both array format and { rows: [...] } format
         const data = Array.isArray(response.data) ? response.data : (response.data.rows || []);
@@ -35,12 +47,52 @@ const SeatShareChart = () => {
         console.error('Error fetching seat share:', error);
         setLoading(false);
       });
-  }, [searchParams.get('year'), searchParams.get('state'), searchParams.get('district'), searchParams.get('constituency'), searchParams.get('party'), searchParams.get('gender')]); // Re-fetch when filters change
+  }, [searchParams.get('year'), searchParams.get('state'), searchParams.get('district'), searchParams.get('constituency'), searchParams.get('party'), searchParams.get('gender'), grouping]); // Re-fetch when filters or grouping change
+
+  useEffect(() => {
+    const year = searchParams.get('year');
+    if (!overlayStrikeRate || !year) {
+      setStrikeRates(new Map());
+      return;
+    }
+    let cancelled = false;
+    getStrikeRate({ year, state: searchParams.get('state') || undefined })
+      .then((response) => {
+        if (!cancelled) setStrikeRates(new Map(response.data.map((row) => [row.party, row])));
+      })
+      .catch((error) => {
+        console.error('Error fetching strike rate:', error);
+        if (!cancelled) setStrikeRates(new Map());
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [searchParams.get('year'), searchParams.get('state'), overlayStrikeRate]);
+
+  const header = (
+    <div className="flex items-center justify-between mb-4">
+      <h2 className="text-xl font-bold">Seat Share by {grouping === 'alliance' ? 'Alliance' : 'Party'}</h2>
+      <div className="flex items-center gap-3">
+        {strikeRateAvailable && (
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={showStrikeRate}
+              onChange={(e) => setShowStrikeRate(e.target.checked)}
+              className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+            />
+            Strike rate
+          </label>
+        )}
+        <AllianceToggle value={grouping} onChange={setGrouping} />
+      </div>
+    </div>
+  );
 
   if (loading) {
     return (
       <div className="bg-white rounded-lg shadow p-6">
-        <h2 className="text-xl font-bold mb-4">Seat Share by Party</h2>
+        {header}
         <div className="h-64 flex items-center justify-center">
           <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-500"></div>
         </div>
@@ -48,28 +100,49 @@ const SeatShareChart = () => {
     );
   }
 
+  // Strike rate of each party next to its seats, when overlaid
+  const chartData = overlayStrikeRate
+    ? data.map((item) => ({ ...item, strike_rate: strikeRates.get(item.party)?.strike_rate ?? null }))
+    : data;
+
   return (
     <div className="bg-white rounded-lg shadow p-6">
-      <h2 className="text-xl font-bold mb-4">Seat Share by Party</h2>
+      {header}
       {data.length > 0 ? (
         <>
           <ResponsiveContainer width="100%" height={400}>
-            <BarChart data={data}>
+            <ComposedChart data={chartData}>
               <CartesianGrid strokeDasharray="3 3" />
-              <XAxis dataKey="party" angle={-45} textAnchor="end" height={100} />
-              <YAxis />
-              <Tooltip />
+              <XAxis dataKey={grouping} angle={-45} textAnchor="end" height={100} />
+              <YAxis yAxisId="seats" />
+              {overlayStrikeRate && <YAxis yAxisId="rate" orientation="right" domain={[0, 100]} unit="%" />}
+              <Tooltip formatter={(value, name) => (name === STRIKE_RATE_LABEL && value != null ? `${value.toFixed(1)}%` : value)} />
               <Legend />
-              <Bar dataKey="seats" fill="#3b82f6" />
-            </BarChart>
+              <Bar yAxisId="seats" dataKey="seats" fill="#3b82f6" />
+              {overlayStrikeRate && (
+                <Line yAxisId="rate" type="monotone" dataKey="strike_rate" name={STRIKE_RATE_LABEL} stroke="#f97316" strokeWidth={2} connectNulls />
+              )}
+            </ComposedChart>
           </ResponsiveContainer>
           <div className="mt-4 space-y-4">
-            <h3 className="text-sm font-semibold text-gray-700">Winners by Party and District:</h3>
+            <h3 className="text-sm font-semibold text-gray-700">Winners by {grouping === 'alliance' ? 'Alliance' : 'Party'} and District:</h3>
             {data.map((item, idx) => (
               <div key={idx} className="border-l-2 border-blue-300 pl-3">
                 <div className="text-sm font-medium text-gray-800 mb-1">
-                  {item.party}: <span className="text-blue-600">{item.seats} seat{item.seats !== 1 ? 's' : ''}</span>
+                  {item[grouping]}: <span className="text-blue-600">{item.seats} seat{item.seats !== 1 ? 's' : ''}</span>
+                  {overlayStrikeRate && strikeRates.has(item.party) && (
+                    <span className="ml-2 text-xs text-gray-500">
+                      won {strikeRates.get(item.party).won} of {strikeRates.get(item.party).contested} contested
+                      ({strikeRates.get(item.party).strike_rate.toFixed(1)}%) · second in {strikeRates.get(item.party).second}
+                      {' '}· {strikeRates.get(item.party).deposits_lost} deposits lost
+                    </span>
+                  )}
                 </div>
+                {item.parties && item.parties.length > 0 && (
+                  <div className="ml-4 text-xs text-gray-500">
+                    {item.parties.map((member) => `${member.party} (${member.seats})`).join(', ')}
+                  </div>
+                )}
                 {item.winnersByDistrict && item.winnersByDistrict.length > 0 ? (
                   <div className="ml-4 mt-2 space-y-1">
                     {item.winnersByDistrict.map((district, dIdx) => (
@@ -0,0 +1,215 @@
+import { useState, useEffect } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { ComposableMap, Geographies, Geography } from 'react-simple-maps';
+import { getStates, getTurnout, getStateMargins, getWomenCandidates } from '../services/api';
+import { loadBoundaries, normalizeStateName, computeBreaks, getClassIndex } from '../utils/mapData';
+
+// State boundary file bundled under public/maps (see public/maps/README.md)
+const STATE_BOUNDARIES = '/maps/india-states.json';
+
+// Metrics that can be shown on the map, each with its own sequential palette
+const METRICS = {
+  turnout: {
+    label: 'Voter Turnout',
+    colors: ['#dcfce7', '#86efac', '#4ade80', '#16a34a', '#14532d'],
+    fetch: (year) => getTurnout(year).then(res => res.data.map(row => ({ state: row.state, value: row.turnout_pct })))
+  },
+  margin: {
+    label: 'Average Margin',
+    colors: ['#ffedd5', '#fdba74', '#fb923c', '#ea580c', '#7c2d12'],
+    fetch: (year) => getStateMargins(year).then(res => res.data.map(row => ({ state: row.state, value: row.avg_margin })))
+  },
+  women: {
+    label: 'Women Candidates',
+    colors: ['#f3e8ff', '#d8b4fe', '#c084fc', '#9333ea', '#581c87'],
+    fetch: (year) => getWomenCandidates(year).then(res => res.data.map(row => ({ state: row.state, value: row.percentage })))
+  }
+};
+
+const CLASS_COUNT = 5;
+
+const StateMap = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [metric, setMetric] = useState('turnout');
+  const [classing, setClassing] = useState('quantile');
+  const [values, setValues] = useState({});
+  const [stateIds, setStateIds] = useState({});
+  const [geographies, setGeographies] = useState(null);
+  const [mapError, setMapError] = useState(null);
+  const [tooltip, setTooltip] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  // Load boundaries and state IDs once
+  useEffect(() => {
+    loadBoundaries(STATE_BOUNDARIES)
+      .then(setGeographies)
+      .catch((error) => {
+        console.error('Error loading state boundaries:', error);
+        setMapError(error.message);
+      });
+    getStates()
+      .then((response) => {
+        const statesData = Array.isArray(response.data) ? response.data : (response.data?.rows || []);
+        const idMap = {};
+        statesData.forEach((state) => {
+          idMap[normalizeStateName(state.name)] = state.id;
+        });
+        setStateIds(idMap);
+      })
+      .catch((error) => {
+        console.error('Error loading states:', error);
+      });
+  }, []);
+
+  useEffect(() => {
+    const year = searchParams.get('year');
+    const yearNum = year ? parseInt(year) : null;
+    // Only proceed if year is valid and within 1991-2019 range
+    if (!year || !yearNum || isNaN(yearNum) || yearNum < 1991 || yearNum > 2019) {
+      // Wait for valid year to be set by Header component
+      return;
+    }
+    setLoading(true);
+    METRICS[metric].fetch(year)
+      .then((rows) => {
+        const valueMap = {};
+        rows.forEach((row) => {
+          valueMap[normalizeStateName(row.state)] = { state: row.state, value: parseFloat(row.value) };
+        });
+        setValues(valueMap);
+        setLoading(false);
+      })
+      .catch((error) => {
+        console.error('Error fetching state map data:', error);
+        setValues({});
+        setLoading(false);
+      });
+  }, [searchParams.get('year'), metric]); // Re-fetch when year or metric changes
+
+  const handleClick = (stateKey) => {
+    const stateId = stateIds[stateKey];
+    if (!stateId) return;
+    // Drill down: select the state and drop filters that belong to another state
+    const newParams = new URLSearchParams(searchParams);
+    newParams.set('state', stateId.toString());
+    newParams.delete('district');
+    newParams.delete('constituency');
+    setSearchParams(newParams);
+  };
+
+  const { label, colors } = METRICS[metric];
+  const breaks = computeBreaks(Object.values(values).map(v => v.value), classing, CLASS_COUNT);
+  const selectedStateId = searchParams.get('state');
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6 relative">
+      <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+        <h2 className="text-xl font-bold">State Map - {label}</h2>
+        <div className="flex gap-2">
+          <select
+            value={metric}
+            onChange={(e) => setMetric(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500"
+          >
+            {Object.entries(METRICS).map(([key, m]) => (
+              <option key={key} value={key}>{m.label}</option>
+            ))}
+          </select>
+          <select
+            value={classing}
+            onChange={(e) => setClassing(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500"
+          >
+            <option value="quantile">Quantile</option>
+            <option value="equal">Equal Interval</option>
+          </select>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="h-64 flex items-center justify-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-500"></div>
+        </div>
+      ) : geographies ? (
+        <>
+          <ComposableMap
+            projection="geoMercator"
+            projectionConfig={{ center: [82.8, 22.5], scale: 1000 }}
+            width={800}
+            height={800}
+            className="w-full h-auto"
+          >
+            <Geographies geography={geographies}>
+              {({ geographies: features }) =>
+                features.map((geo) => {
+                  const stateKey = normalizeStateName(geo.properties.ST_NM || geo.properties.ST_NAME);
+                  const entry = values[stateKey];
+                  const classIndex = getClassIndex(entry?.value, breaks);
+                  const isSelected = selectedStateId && stateIds[stateKey]?.toString() === selectedStateId;
+                  return (
+                    <Geography
+                      key={geo.rsmKey}
+                      geography={geo}
+                      fill={classIndex >= 0 ? colors[classIndex] : '#e5e7eb'}
+                      stroke={isSelected ? '#111827' : '#ffffff'}
+                      strokeWidth={isSelected ? 1.5 : 0.5}
+                      onMouseEnter={(event) => setTooltip({
+                        x: event.clientX,
+                        y: event.clientY,
+                        name: entry ? entry.state : (geo.properties.ST_NM || geo.properties.ST_NAME),
+                        value: entry?.value
+                      })}
+                      onMouseMove={(event) => setTooltip((current) => current && { ...current, x: event.clientX, y: event.clientY })}
+                      onMouseLeave={() => setTooltip(null)}
+                      onClick={() => handleClick(stateKey)}
+                      style={{
+                        default: { outline: 'none' },
+                        hover: { outline: 'none', opacity: 0.8, cursor: 'pointer' },
+                        pressed: { outline: 'none' }
+                      }}
+                    />
+                  );
+                })
+              }
+            </Geographies>
+          </ComposableMap>
+          {breaks.length > 0 && (
+            <div className="mt-4 flex flex-wrap gap-3">
+              {breaks.map((upper, idx) => {
+                const lower = idx === 0 ? Math.min(...Object.values(values).map(v => v.value)) : breaks[idx - 1];
+                return (
+                  <div key={idx} className="flex items-center text-xs text-gray-700">
+                    <span className="inline-block w-3 h-3 rounded-sm mr-1" style={{ backgroundColor: colors[idx] }}></span>
+                    {lower.toFixed(1)}% - {upper.toFixed(1)}%
+                  </div>
+                );
+              })}
+              <div className="flex items-center text-xs text-gray-700">
+                <span className="inline-block w-3 h-3 rounded-sm mr-1 bg-gray-200"></span>
+                No data
+              </div>
+            </div>
+          )}
+        </>
+      ) : (
+        <div className="h-64 flex items-center justify-center text-gray-500 text-center">
+          State boundaries are not available{mapError ? ` (${mapError})` : ''}
+        </div>
+      )}
+
+      {tooltip && (
+        <div
+          className="fixed z-50 pointer-events-none bg-white border border-gray-200 rounded-lg shadow-lg px-3 py-2 text-xs"
+          style={{ left: tooltip.x + 12, top: tooltip.y + 12 }}
+        >
+          <div className="font-semibold text-gray-900">{tooltip.name}</div>
+          <div className="text-gray-700">
+            {label}: {tooltip.value != null && !isNaN(tooltip.value) ? `${tooltip.value.toFixed(2)}%` : 'N/A'}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default StateMap;
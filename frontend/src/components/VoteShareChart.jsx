@@ -2,6 +2,7 @@ import { useState, useEffect } from 'react';
 import { useSearchParams } from 'react-router-dom';
 import { PieChart, Pie, Cell, ResponsiveContainer, Tooltip, Legend } from 'recharts';
 import { getVoteShare } from '../services/api';
+import AllianceToggle from './AllianceToggle';
 
 const COLORS = ['#3b82f6', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6', '#ec4899', '#06b6d4'];
 
@@ -9,6 +10,7 @@ const VoteShareChart = () => {
   const [searchParams] = useSearchParams();
   const [data, setData] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [grouping, setGrouping] = useState('party'); // 'party' or 'alliance'
 
   useEffect(() => {
     const year = searchParams.get('year');
@@ -25,17 +27,18 @@ const VoteShareChart = () => {
     }
     console.log('VoteShareChart: Fetching data for year:', year, 'state:', state, 'district:', district, 'constituency:', constituency, 'party:', party, 'gender:', gender);
     setLoading(true);
-    getVoteShare(year, party, true, state, gender, district, constituency) // aggregate=true for pie chart
+    // aggregate=true (by party) or aggregate=alliance for the pie chart
+    getVoteShare(year, party, grouping === 'alliance' ? 'alliance' : true, state, gender, district, constituency)
       .then((response) => {
         // Handle both array format and { rows: [...] } format
         const data = Array.isArray(response.data) ? response.data : (response.data.rows || []);
         console.log('VoteShareChart: Received data for year', year, ':', data.length, 'parties');
-        // Get top 7 parties by vote share
+        // Get top 7 parties (or alliances) by vote share
         const topParties = data
-          .filter(item => item.party && item.vote_share_pct !== null && item.vote_share_pct !== undefined)
+          .filter(item => item[grouping] && item.vote_share_pct !== null && item.vote_share_pct !== undefined)
           .slice(0, 7)
           .map(item => ({
-            name: item.party,
+            name: item[grouping],
             value: parseFloat(item.vote_share_pct) || 0
           }));
         console.log('VoteShareChart: Top parties:', topParties);
@@ -46,12 +49,15 @@ const VoteShareChart = () => {
         console.error('Error fetching vote share:', error);
         setLoading(false);
       });
-  }, [searchParams.get('year'), searchParams.get('state'), searchParams.get('district'), searchParams.get('constituency'), searchParams.get('party'), searchParams.get('gender')]); // Re-fetch when filters change
+  }, [searchParams.get('year'), searchParams.get('state'), searchParams.get('district'), searchParams.get('constituency'), searchParams.get('party'), searchParams.get('gender'), grouping]); // Re-fetch when filters or grouping change
 
   if (loading) {
     return (
       <div className="bg-white rounded-lg shadow p-6">
-        <h2 className="text-xl font-bold mb-4">Vote Share (Top Parties)</h2>
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-xl font-bold">Vote Share (Top {grouping === 'alliance' ? 'Alliances' : 'Parties'})</h2>
+          <AllianceToggle value={grouping} onChange={setGrouping} />
+        </div>
         <div className="h-64 flex items-center justify-center">
           <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-500"></div>
         </div>
@@ -61,7 +67,10 @@ const VoteShareChart = () => {
 
   return (
     <div className="bg-white rounded-lg shadow p-6">
-      <h2 className="text-xl font-bold mb-4">Vote Share (Top Parties)</h2>
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-bold">Vote Share (Top {grouping === 'alliance' ? 'Alliances' : 'Parties'})</h2>
+        <AllianceToggle value={grouping} onChange={setGrouping} />
+      </div>
       <ResponsiveContainer width="100%" height={400}>
         <PieChart>
           <Pie
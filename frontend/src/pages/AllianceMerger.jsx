@@ -0,0 +1,262 @@
+import { useState, useEffect } from 'react';
+import { useSearchParams, Link } from 'react-router-dom';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, Cell, ReferenceLine } from 'recharts';
+import { getVoteShare, simulateAllianceMerger } from '../services/api';
+import { getPartyColor } from '../utils/partyColors';
+
+// Wait this long after the last change before asking for a new projection
+const DEBOUNCE_MS = 250;
+
+const emptyGroup = () => ({ name: '', parties: [] });
+const formatPct = (value) => (value != null ? `${parseFloat(value).toFixed(2)}%` : 'N/A');
+
+const AllianceMerger = () => {
+  const [searchParams] = useSearchParams();
+  const year = searchParams.get('year');
+  const [parties, setParties] = useState([]); // Parties of the base year by vote share
+  const [groups, setGroups] = useState([emptyGroup()]);
+  const [efficiency, setEfficiency] = useState(100);
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // A new base year starts from a clean scenario
+  useEffect(() => {
+    setGroups([emptyGroup()]);
+    setData(null);
+    setParties([]);
+    if (!year) return;
+    getVoteShare(year, undefined, 'true')
+      .then((response) => setParties(response.data))
+      .catch((err) => console.error('Error fetching parties:', err));
+  }, [year]);
+
+  // Only groups that pool at least two parties take part
+  const readyGroups = groups
+    .filter((group) => group.parties.length >= 2)
+    .map((group) => ({ ...(group.name.trim() ? { name: group.name.trim() } : {}), parties: group.parties }));
+  const scenarioKey = JSON.stringify({ year, groups: readyGroups, efficiency });
+
+  useEffect(() => {
+    if (!year || readyGroups.length === 0) {
+      setData(null);
+      setError(null);
+      return;
+    }
+    let cancelled = false;
+    setLoading(true);
+    const timer = setTimeout(() => {
+      simulateAllianceMerger({ year: parseInt(year), groups: readyGroups, transfer_efficiency: efficiency })
+        .then((response) => {
+          if (cancelled) return;
+          setData(response.data);
+          setError(null);
+          setLoading(false);
+        })
+        .catch((err) => {
+          if (cancelled) return;
+          console.error('Error simulating alliance merger:', err);
+          setError(err.response?.data?.error || 'Could not recompute seats');
+          setData(null);
+          setLoading(false);
+        });
+    }, DEBOUNCE_MS);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+    // readyGroups is rebuilt on every render; scenarioKey captures its content
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [scenarioKey]);
+
+  const updateGroup = (index, changes) => {
+    setGroups((current) => current.map((group, i) => (i === index ? { ...group, ...changes } : group)));
+  };
+  const grouped = new Set(groups.flatMap((group) => group.parties));
+  const available = parties.filter((party) => !grouped.has(party.party));
+
+  if (!year) {
+    return (
+      <div className="bg-white rounded-lg shadow p-6 text-center text-gray-500">
+        Select an election year to pool party votes in.
+      </div>
+    );
+  }
+
+  const chartData = data ? data.parties.filter((party) => party.base_seats > 0 || party.seats > 0) : [];
+  const majority = data ? Math.floor(data.total_seats / 2) + 1 : null;
+
+  return (
+    <div className="space-y-6">
+      {/* Scenario controls */}
+      <div className="bg-white rounded-lg shadow p-6 border-l-4 border-blue-500">
+        <Link to={{ pathname: '/', search: searchParams.toString() }} className="text-sm text-blue-600 hover:text-blue-800 font-medium">← Dashboard</Link>
+        <h2 className="text-3xl font-bold text-gray-900 mt-2">Alliance What-if</h2>
+        <p className="text-sm text-gray-600 mt-1">
+          Pool the {year} votes of parties that did not ally. In each seat the partner that polled most stands for the group and receives the transferred votes of the others.
+        </p>
+
+        <label className="mt-4 flex items-center gap-3 text-sm">
+          <span className="text-gray-700 whitespace-nowrap">Vote transfer</span>
+          <input
+            type="range"
+            min={0}
+            max={100}
+            step={5}
+            value={efficiency}
+            onChange={(e) => setEfficiency(parseInt(e.target.value))}
+            className="flex-1 max-w-xs"
+          />
+          <span className="w-12 text-right tabular-nums text-gray-700">{efficiency}%</span>
+        </label>
+
+        <div className="mt-4 grid grid-cols-1 md:grid-cols-2 gap-4">
+          {groups.map((group, index) => (
+            <div key={index} className="border border-gray-200 rounded-lg p-4">
+              <div className="flex items-center gap-2">
+                <input
+                  type="text"
+                  value={group.name}
+                  onChange={(e) => updateGroup(index, { name: e.target.value })}
+                  placeholder={group.parties.length > 0 ? group.parties.join(' + ') : `Group ${index + 1}`}
+                  className="flex-1 px-3 py-1 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500"
+                />
+                <button
+                  onClick={() => setGroups((current) => (current.length > 1 ? current.filter((_, i) => i !== index) : [emptyGroup()]))}
+                  className="text-sm text-gray-500 hover:text-red-600"
+                  title="Remove group"
+                >
+                  Remove
+                </button>
+              </div>
+              <div className="mt-3 flex flex-wrap gap-2">
+                {group.parties.map((party) => (
+                  <span key={party} className="inline-flex items-center gap-1 px-3 py-1 rounded-full bg-gray-100 text-sm">
+                    <span className="font-semibold" style={{ color: getPartyColor(party) }}>{party}</span>
+                    <button
+                      onClick={() => updateGroup(index, { parties: group.parties.filter((p) => p !== party) })}
+                      className="text-gray-400 hover:text-gray-700"
+                      title={`Remove ${party}`}
+                    >
+                      ×
+                    </button>
+                  </span>
+                ))}
+                <select
+                  value=""
+                  onChange={(e) => e.target.value && updateGroup(index, { parties: [...group.parties, e.target.value] })}
+                  className="px-3 py-1 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500"
+                >
+                  <option value="">Add party...</option>
+                  {available.map((party) => (
+                    <option key={party.party} value={party.party}>
+                      {party.party} ({formatPct(party.vote_share_pct)})
+                    </option>
+                  ))}
+                </select>
+              </div>
+              {group.parties.length < 2 && (
+                <p className="text-xs text-gray-500 mt-2">Add at least two parties to pool their votes.</p>
+              )}
+            </div>
+          ))}
+        </div>
+        <button
+          onClick={() => setGroups((current) => [...current, emptyGroup()])}
+          className="mt-4 px-3 py-1 bg-gray-100 hover:bg-gray-200 text-gray-700 rounded-lg text-sm font-medium transition-colors duration-200"
+        >
+          Add group
+        </button>
+      </div>
+
+      {error && (
+        <div className="bg-white rounded-lg shadow p-6 text-center text-red-600">{error}</div>
+      )}
+
+      {loading && !data && (
+        <div className="bg-white rounded-lg shadow p-6">
+          <div className="h-64 flex items-center justify-center">
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-500"></div>
+          </div>
+        </div>
+      )}
+
+      {data && (
+        <>
+          {/* Seats before and after pooling */}
+          <div className="bg-white rounded-lg shadow p-6">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-xl font-bold">Seats With Pooled Votes</h3>
+              <span className="text-sm text-gray-600">
+                {data.flips.length} of {data.total_seats} seats flip · majority {majority}
+              </span>
+            </div>
+            <ResponsiveContainer width="100%" height={400}>
+              <BarChart data={chartData}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="party" angle={-45} textAnchor="end" height={80} />
+                <YAxis />
+                <Tooltip />
+                <Legend verticalAlign="top" />
+                <ReferenceLine y={majority} stroke="#6b7280" strokeDasharray="4 4" />
+                <Bar dataKey="base_seats" name={`${data.year} result`} fill="#d1d5db" />
+                <Bar dataKey="seats" name="Pooled">
+                  {chartData.map((entry) => (
+                    <Cell key={entry.party} fill={getPartyColor(entry.members ? entry.members[0] : entry.party)} />
+                  ))}
+                </Bar>
+              </BarChart>
+            </ResponsiveContainer>
+            <div className="mt-4 flex flex-wrap gap-3">
+              {data.parties.filter((party) => party.members).map((group) => (
+                <span key={group.party} className="px-3 py-1 rounded-full bg-gray-100 text-sm text-gray-800">
+                  <span className="font-semibold">{group.party}</span>{' '}
+                  {group.base_seats} → {group.seats} seats · {formatPct(group.base_vote_share)} → {formatPct(group.vote_share)}
+                </span>
+              ))}
+            </div>
+          </div>
+
+          {/* Seats that change hands */}
+          <div className="bg-white rounded-lg shadow p-6">
+            <h3 className="text-xl font-bold mb-4">Seats That Flip</h3>
+            {data.flips.length > 0 ? (
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Constituency</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">State</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Change</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Candidate</th>
+                      <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Actual Margin</th>
+                      <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Pooled Margin</th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {data.flips.map((flip) => (
+                      <tr key={flip.constituency_id} className="hover:bg-gray-50">
+                        <td className="px-4 py-2 text-sm">
+                          <Link to={`/constituency/${flip.constituency_id}`} className="font-medium text-blue-600 hover:text-blue-800">{flip.constituency_name}</Link>
+                        </td>
+                        <td className="px-4 py-2 text-sm text-gray-700">{flip.state_name}</td>
+                        <td className="px-4 py-2 text-sm text-gray-900">{flip.from_party} → <span className="font-semibold">{flip.to_party}</span></td>
+                        <td className="px-4 py-2 text-sm text-gray-700">{flip.candidate_party}</td>
+                        <td className="px-4 py-2 text-sm text-gray-700 text-right">{formatPct(flip.base_margin)}</td>
+                        <td className="px-4 py-2 text-sm text-gray-700 text-right">{formatPct(flip.projected_margin)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            ) : (
+              <div className="text-gray-500">No seats change hands</div>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default AllianceMerger;
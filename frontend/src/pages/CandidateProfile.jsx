@@ -0,0 +1,142 @@
+import { useState, useEffect } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { getCandidateCareer } from '../services/api';
+import { getPartyColor } from '../utils/partyColors';
+
+const formatNumber = (value) => (value != null ? Math.round(value).toLocaleString() : 'N/A');
+const formatPct = (value) => (value != null ? `${parseFloat(value).toFixed(2)}%` : 'N/A');
+
+// Small badge for the incumbent / turncoat / recontest flags
+const Flag = ({ active, label, className }) => (
+  active ? <span className={`px-2 py-0.5 rounded text-xs font-medium ${className}`}>{label}</span> : null
+);
+
+const CandidateProfile = () => {
+  const { id } = useParams();
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setLoading(true);
+    setError(null);
+    getCandidateCareer(id)
+      .then((response) => {
+        setData(response.data);
+        setLoading(false);
+      })
+      .catch((err) => {
+        console.error('Error fetching candidate career:', err);
+        setError(err.response?.status === 404 ? 'Candidate not found' : 'Could not load candidate career');
+        setLoading(false);
+      });
+  }, [id]);
+
+  if (loading) {
+    return (
+      <div className="bg-white rounded-lg shadow p-6">
+        <div className="h-64 flex items-center justify-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-500"></div>
+        </div>
+      </div>
+    );
+  }
+
+  if (error || !data) {
+    return (
+      <div className="bg-white rounded-lg shadow p-6 text-center text-gray-500">
+        <p className="mb-4">{error || 'No data available'}</p>
+        <Link to="/" className="text-blue-600 hover:text-blue-800 font-medium">Back to dashboard</Link>
+      </div>
+    );
+  }
+
+  const { candidate, summary, contests } = data;
+
+  return (
+    <div className="space-y-6">
+      {/* Candidate summary */}
+      <div className="bg-white rounded-lg shadow p-6 border-l-4 border-purple-500">
+        <Link to="/" className="text-sm text-blue-600 hover:text-blue-800 font-medium">← Dashboard</Link>
+        <h2 className="text-3xl font-bold text-gray-900 mt-2">{candidate.name}</h2>
+        <div className="mt-2 flex flex-wrap gap-4 text-sm text-gray-700">
+          <span>Gender: <span className="font-semibold">{candidate.sex || 'N/A'}</span></span>
+          <span>Education: <span className="font-semibold">{candidate.myneta_education || 'N/A'}</span></span>
+          <span>Profession: <span className="font-semibold">{candidate.tcpd_prof_main_desc || 'N/A'}</span></span>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+        <div className="bg-white rounded-lg shadow p-6 border-l-4 border-blue-500">
+          <h3 className="text-sm font-medium text-gray-500 mb-2">Contests</h3>
+          <p className="text-3xl font-bold text-gray-900">{summary.contests}</p>
+          {summary.first_year && (
+            <p className="text-sm text-gray-600 mt-1">{summary.first_year} - {summary.last_year}</p>
+          )}
+        </div>
+        <div className="bg-white rounded-lg shadow p-6 border-l-4 border-green-500">
+          <h3 className="text-sm font-medium text-gray-500 mb-2">Wins</h3>
+          <p className="text-3xl font-bold text-gray-900">{summary.wins}</p>
+        </div>
+        <div className="bg-white rounded-lg shadow p-6 border-l-4 border-orange-500">
+          <h3 className="text-sm font-medium text-gray-500 mb-2">Parties</h3>
+          <div className="flex flex-wrap gap-2 mt-2">
+            {summary.parties.map((party) => (
+              <span key={party} className="px-2 py-1 rounded-full text-white text-xs font-semibold" style={{ backgroundColor: getPartyColor(party) }}>
+                {party}
+              </span>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      {/* Every contest, latest first */}
+      <div className="bg-white rounded-lg shadow p-6">
+        <h3 className="text-xl font-bold mb-4">Electoral Career</h3>
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Year</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Constituency</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Party</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Pos</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Votes</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Vote Share</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Terms</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Flags</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {contests.map((contest, idx) => (
+                <tr key={idx} className={contest.position === 1 ? 'bg-green-50' : 'hover:bg-gray-50'}>
+                  <td className="px-4 py-2 text-sm text-gray-900">{contest.year}</td>
+                  <td className="px-4 py-2 text-sm">
+                    <Link to={`/constituency/${contest.constituency_id}`} className="font-medium text-blue-600 hover:text-blue-800">
+                      {contest.constituency_name}
+                    </Link>
+                    <div className="text-gray-500">{contest.state_name}</div>
+                  </td>
+                  <td className="px-4 py-2 text-sm text-gray-700">{contest.party_name}</td>
+                  <td className="px-4 py-2 text-sm text-gray-900">{contest.position}</td>
+                  <td className="px-4 py-2 text-sm text-gray-900 text-right">{formatNumber(contest.votes)}</td>
+                  <td className="px-4 py-2 text-sm text-gray-900 text-right">{formatPct(contest.vote_share_percentage)}</td>
+                  <td className="px-4 py-2 text-sm text-gray-900 text-right">{contest.no_terms != null ? contest.no_terms : 'N/A'}</td>
+                  <td className="px-4 py-2 text-sm">
+                    <div className="flex flex-wrap gap-1">
+                      <Flag active={contest.incumbent} label="Incumbent" className="bg-blue-100 text-blue-800" />
+                      <Flag active={contest.turncoat} label="Turncoat" className="bg-red-100 text-red-800" />
+                      <Flag active={contest.recontest} label="Recontest" className="bg-gray-100 text-gray-800" />
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CandidateProfile;
@@ -0,0 +1,222 @@
+import { useState, useEffect } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { getConstituencyHistory } from '../services/api';
+import { getPartyColor } from '../utils/partyColors';
+
+const formatNumber = (value) => (value != null ? Math.round(value).toLocaleString() : 'N/A');
+const formatPct = (value) => (value != null ? `${parseFloat(value).toFixed(2)}%` : 'N/A');
+
+// Delimitation link label, e.g. "Phulpur (52) (70%)"
+const SeatLink = ({ link }) => (
+  <span>
+    <Link to={`/constituency/${link.constituency_id}`} className="font-semibold text-blue-600 hover:text-blue-800">{link.name}</Link>
+    {link.constituency_no ? ` (${link.constituency_no})` : ''} ({Math.round(link.weight * 100)}%)
+  </span>
+);
+
+// Comma-separated list of delimitation links
+const SeatLinks = ({ links }) => links.map((link, idx) => (
+  <span key={link.constituency_id}>
+    <SeatLink link={link} />
+    {idx < links.length - 1 && ', '}
+  </span>
+));
+
+// Marks results held on other boundaries than the seat's current ones
+const BoundaryBadge = () => (
+  <span className="px-2 py-0.5 rounded-full bg-amber-100 text-amber-800 text-xs font-semibold">Boundaries changed</span>
+);
+
+const ConstituencyProfile = () => {
+  const { id } = useParams();
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [includeLinkedSeats, setIncludeLinkedSeats] = useState(false);
+
+  useEffect(() => {
+    setLoading(true);
+    setError(null);
+    getConstituencyHistory(id, includeLinkedSeats ? { delimitation: true } : {})
+      .then((response) => {
+        setData(response.data);
+        setLoading(false);
+      })
+      .catch((err) => {
+        console.error('Error fetching constituency history:', err);
+        setError(err.response?.status === 404 ? 'Constituency not found' : 'Could not load constituency history');
+        setLoading(false);
+      });
+  }, [id, includeLinkedSeats]);
+
+  if (loading) {
+    return (
+      <div className="bg-white rounded-lg shadow p-6">
+        <div className="h-64 flex items-center justify-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-500"></div>
+        </div>
+      </div>
+    );
+  }
+
+  if (error || !data) {
+    return (
+      <div className="bg-white rounded-lg shadow p-6 text-center text-gray-500">
+        <p className="mb-4">{error || 'No data available'}</p>
+        <Link to="/" className="text-blue-600 hover:text-blue-800 font-medium">Back to dashboard</Link>
+      </div>
+    );
+  }
+
+  const { constituency, delimitation, elections, timeline } = data;
+  const hasLinkedSeats = delimitation.predecessors.length > 0 || delimitation.successors.length > 0;
+  // Chart reads left to right, so use chronological order (one point per election)
+  const trendData = elections
+    .filter((election, idx) => idx === 0 || elections[idx - 1].election_id !== election.election_id)
+    .reverse()
+    .map(election => ({
+      year: election.year,
+      Turnout: election.turnout_percentage != null ? parseFloat(election.turnout_percentage) : null,
+      Margin: election.margin_percentage != null ? parseFloat(election.margin_percentage) : null,
+      ENOP: election.enop != null ? parseFloat(election.enop) : null
+    }));
+
+  return (
+    <div className="space-y-6">
+      {/* Constituency summary */}
+      <div className="bg-white rounded-lg shadow p-6 border-l-4 border-blue-500">
+        <Link to="/" className="text-sm text-blue-600 hover:text-blue-800 font-medium">← Dashboard</Link>
+        <h2 className="text-3xl font-bold text-gray-900 mt-2">
+          {constituency.name}
+          {constituency.constituency_no ? <span className="text-gray-500 text-xl"> ({constituency.constituency_no})</span> : null}
+        </h2>
+        <div className="mt-2 flex flex-wrap gap-4 text-sm text-gray-700">
+          <span>State: <Link to={`/state/${constituency.state_id}`} className="font-semibold text-blue-600 hover:text-blue-800">{constituency.state_name}</Link></span>
+          <span>Reservation: <span className="font-semibold">{constituency.constituency_type || 'N/A'}</span></span>
+          <span>Elections: <span className="font-semibold">{elections.length}</span></span>
+        </div>
+        {delimitation.predecessors.length > 0 && (
+          <p className="text-sm text-gray-700 mt-2">
+            Formed from: <SeatLinks links={delimitation.predecessors} />
+          </p>
+        )}
+        {delimitation.successors.length > 0 && (
+          <p className="text-sm text-gray-700 mt-1">
+            Redrawn into: <SeatLinks links={delimitation.successors} />
+          </p>
+        )}
+        {hasLinkedSeats && (
+          <label className="mt-2 inline-flex items-center gap-2 text-sm text-gray-600">
+            <input
+              type="checkbox"
+              checked={includeLinkedSeats}
+              onChange={(e) => setIncludeLinkedSeats(e.target.checked)}
+            />
+            Include linked seats' results across the boundary change
+          </label>
+        )}
+      </div>
+
+      {/* Winning party timeline */}
+      <div className="bg-white rounded-lg shadow p-6">
+        <h3 className="text-xl font-bold mb-4">Winning Party Timeline</h3>
+        {timeline.length > 0 ? (
+          <div className="flex flex-wrap gap-3">
+            {timeline.map((item, idx) => (
+              <div key={idx} className="flex flex-col items-center">
+                <span
+                  className="px-3 py-1 rounded-full text-white text-sm font-semibold"
+                  style={{ backgroundColor: getPartyColor(item.party) }}
+                >
+                  {item.party}
+                </span>
+                <span className="text-xs text-gray-600 mt-1">{item.year}{item.boundary_changed ? '*' : ''}</span>
+              </div>
+            ))}
+          </div>
+        ) : (
+          <div className="text-gray-500">No results available</div>
+        )}
+        {timeline.some((item) => item.boundary_changed) && (
+          <p className="text-xs text-gray-500 mt-3">* Held on different constituency boundaries</p>
+        )}
+      </div>
+
+      {/* Turnout, margin and ENOP over time */}
+      {trendData.length > 0 && (
+        <div className="bg-white rounded-lg shadow p-6">
+          <h3 className="text-xl font-bold mb-4">Turnout, Margin and Effective Number of Parties</h3>
+          <ResponsiveContainer width="100%" height={300}>
+            <LineChart data={trendData}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="year" />
+              <YAxis yAxisId="pct" label={{ value: '%', angle: -90, position: 'insideLeft' }} />
+              <YAxis yAxisId="enop" orientation="right" />
+              <Tooltip />
+              <Legend />
+              <Line yAxisId="pct" type="monotone" dataKey="Turnout" stroke="#10b981" strokeWidth={2} />
+              <Line yAxisId="pct" type="monotone" dataKey="Margin" stroke="#f59e0b" strokeWidth={2} />
+              <Line yAxisId="enop" type="monotone" dataKey="ENOP" stroke="#8b5cf6" strokeWidth={2} />
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+      )}
+
+      {/* Full results for every election */}
+      {elections.map((election, idx) => (
+        <div key={idx} className="bg-white rounded-lg shadow p-6">
+          <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+            <div className="flex flex-wrap items-center gap-2">
+              <h3 className="text-xl font-bold">{election.year}</h3>
+              {election.boundary_changed && <BoundaryBadge />}
+              {election.source && (
+                <span className="text-sm text-gray-600">
+                  {election.source.relation === 'predecessor' ? 'Predecessor' : 'Successor'} seat: <SeatLink link={election.source} />
+                </span>
+              )}
+            </div>
+            <div className="flex flex-wrap gap-4 text-sm text-gray-700">
+              <span>Electors: <span className="font-semibold">{formatNumber(election.electors)}</span></span>
+              <span>Turnout: <span className="font-semibold">{formatPct(election.turnout_percentage)}</span></span>
+              <span>ENOP: <span className="font-semibold">{election.enop != null ? parseFloat(election.enop).toFixed(2) : 'N/A'}</span></span>
+              <span>Margin: <span className="font-semibold">{formatNumber(election.margin)} ({formatPct(election.margin_percentage)})</span></span>
+            </div>
+          </div>
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Pos</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Candidate</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Party</th>
+                  <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Votes</th>
+                  <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Vote Share</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Deposit Lost</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {election.candidates.map((candidate, cIdx) => (
+                  <tr key={cIdx} className={candidate.position === 1 ? 'bg-green-50' : 'hover:bg-gray-50'}>
+                    <td className="px-4 py-2 text-sm text-gray-900">{candidate.position}</td>
+                    <td className="px-4 py-2 text-sm">
+                      <Link to={`/candidate/${candidate.candidate_id}`} className="font-medium text-blue-600 hover:text-blue-800">
+                        {candidate.name}
+                      </Link>
+                    </td>
+                    <td className="px-4 py-2 text-sm text-gray-700">{candidate.party}</td>
+                    <td className="px-4 py-2 text-sm text-gray-900 text-right">{formatNumber(candidate.votes)}</td>
+                    <td className="px-4 py-2 text-sm text-gray-900 text-right">{formatPct(candidate.vote_share_percentage)}</td>
+                    <td className="px-4 py-2 text-sm text-gray-700">{candidate.deposit_lost || 'N/A'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default ConstituencyProfile;
@@ -0,0 +1,254 @@
+import { useState, useEffect } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { BarChart, Bar, LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { getPartyProfile } from '../services/api';
+import { getPartyColor } from '../utils/partyColors';
+
+const formatNumber = (value) => (value != null ? Math.round(value).toLocaleString() : 'N/A');
+const formatPct = (value) => (value != null ? `${parseFloat(value).toFixed(2)}%` : 'N/A');
+
+// Lineage link label, e.g. "INC(I) (alias)" or "JD (split, 1999)"
+const LineageLink = ({ link }) => (
+  <span>
+    <Link to={`/party/${link.party_id}`} className="font-semibold text-blue-600 hover:text-blue-800">{link.party}</Link>
+    {' '}({link.relation}{link.year ? `, ${link.year}` : ''})
+  </span>
+);
+
+// Table of constituency results used for both the best and worst lists
+const ConstituencyTable = ({ title, rows }) => (
+  <div className="bg-white rounded-lg shadow p-6">
+    <h3 className="text-xl font-bold mb-4">{title}</h3>
+    {rows.length > 0 ? (
+      <div className="overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Year</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Constituency</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Candidate</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Pos</th>
+              <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Vote Share</th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {rows.map((row, idx) => (
+              <tr key={idx} className={row.position === 1 ? 'bg-green-50' : 'hover:bg-gray-50'}>
+                <td className="px-4 py-2 text-sm text-gray-900">{row.year}</td>
+                <td className="px-4 py-2 text-sm">
+                  <Link to={`/constituency/${row.constituency_id}`} className="font-medium text-blue-600 hover:text-blue-800">
+                    {row.constituency_name}
+                  </Link>
+                  <div className="text-gray-500">{row.state_name}</div>
+                </td>
+                <td className="px-4 py-2 text-sm text-gray-700">{row.candidate_name}</td>
+                <td className="px-4 py-2 text-sm text-gray-900">{row.position}</td>
+                <td className="px-4 py-2 text-sm text-gray-900 text-right">{formatPct(row.vote_share_percentage)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    ) : (
+      <div className="text-gray-500">No results available</div>
+    )}
+  </div>
+);
+
+const PartyProfile = () => {
+  const { id } = useParams();
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [includePredecessors, setIncludePredecessors] = useState(false);
+
+  useEffect(() => {
+    setLoading(true);
+    setError(null);
+    getPartyProfile(id, includePredecessors ? { lineage: true } : {})
+      .then((response) => {
+        setData(response.data);
+        setLoading(false);
+      })
+      .catch((err) => {
+        console.error('Error fetching party profile:', err);
+        setError(err.response?.status === 404 ? 'Party not found' : 'Could not load party profile');
+        setLoading(false);
+      });
+  }, [id, includePredecessors]);
+
+  if (loading) {
+    return (
+      <div className="bg-white rounded-lg shadow p-6">
+        <div className="h-64 flex items-center justify-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-500"></div>
+        </div>
+      </div>
+    );
+  }
+
+  if (error || !data) {
+    return (
+      <div className="bg-white rounded-lg shadow p-6 text-center text-gray-500">
+        <p className="mb-4">{error || 'No data available'}</p>
+        <Link to="/" className="text-blue-600 hover:text-blue-800 font-medium">Back to dashboard</Link>
+      </div>
+    );
+  }
+
+  const { party, lineage, years, strongest_states: strongestStates, best_constituencies: bestConstituencies, worst_constituencies: worstConstituencies } = data;
+  const partyColor = getPartyColor(party.name);
+  const latest = years[years.length - 1];
+
+  const seatData = years.map((row) => ({
+    year: row.year,
+    Contested: row.seats_contested,
+    Won: row.seats_won
+  }));
+  const shareData = years.map((row) => ({
+    year: row.year,
+    'Vote Share': parseFloat(row.vote_share_pct.toFixed(2)),
+    'Strike Rate': parseFloat(row.strike_rate.toFixed(2))
+  }));
+
+  return (
+    <div className="space-y-6">
+      {/* Party summary */}
+      <div className="bg-white rounded-lg shadow p-6 border-l-4" style={{ borderLeftColor: partyColor }}>
+        <Link to="/" className="text-sm text-blue-600 hover:text-blue-800 font-medium">← Dashboard</Link>
+        <h2 className="text-3xl font-bold text-gray-900 mt-2">{party.name}</h2>
+        <p className="text-sm text-gray-700 mt-2">
+          Type: <span className="font-semibold">{party.party_type_tcpd || 'N/A'}</span>
+        </p>
+        {lineage?.successor && (
+          <p className="text-sm text-gray-700 mt-1">
+            Continues as: <LineageLink link={lineage.successor} />
+          </p>
+        )}
+        {lineage?.predecessors.length > 0 && (
+          <div className="text-sm text-gray-700 mt-1">
+            Predecessors:{' '}
+            {lineage.predecessors.map((link, idx) => (
+              <span key={link.party_id}>
+                <LineageLink link={link} />
+                {idx < lineage.predecessors.length - 1 && ', '}
+              </span>
+            ))}
+            <label className="ml-4 inline-flex items-center gap-2 text-gray-600">
+              <input
+                type="checkbox"
+                checked={includePredecessors}
+                onChange={(e) => setIncludePredecessors(e.target.checked)}
+              />
+              Include predecessors' results
+            </label>
+          </div>
+        )}
+      </div>
+
+      {latest && (
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-6">
+          <div className="bg-white rounded-lg shadow p-6 border-l-4 border-blue-500">
+            <h3 className="text-sm font-medium text-gray-500 mb-2">Seats Won ({latest.year})</h3>
+            <p className="text-3xl font-bold text-gray-900">{latest.seats_won}</p>
+            <p className="text-sm text-gray-600 mt-1">of {latest.seats_contested} contested</p>
+          </div>
+          <div className="bg-white rounded-lg shadow p-6 border-l-4 border-green-500">
+            <h3 className="text-sm font-medium text-gray-500 mb-2">Strike Rate ({latest.year})</h3>
+            <p className="text-3xl font-bold text-gray-900">{formatPct(latest.strike_rate)}</p>
+          </div>
+          <div className="bg-white rounded-lg shadow p-6 border-l-4 border-orange-500">
+            <h3 className="text-sm font-medium text-gray-500 mb-2">Vote Share ({latest.year})</h3>
+            <p className="text-3xl font-bold text-gray-900">{formatPct(latest.vote_share_pct)}</p>
+          </div>
+          <div className="bg-white rounded-lg shadow p-6 border-l-4 border-purple-500">
+            <h3 className="text-sm font-medium text-gray-500 mb-2">Total Votes ({latest.year})</h3>
+            <p className="text-3xl font-bold text-gray-900">{formatNumber(latest.total_votes)}</p>
+          </div>
+        </div>
+      )}
+
+      {years.length > 0 ? (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          {/* Seats contested vs won per year */}
+          <div className="bg-white rounded-lg shadow p-6">
+            <h3 className="text-xl font-bold mb-4">Seats Contested and Won</h3>
+            <ResponsiveContainer width="100%" height={300}>
+              <BarChart data={seatData}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="year" />
+                <YAxis />
+                <Tooltip />
+                <Legend />
+                <Bar dataKey="Contested" fill="#cbd5e1" />
+                <Bar dataKey="Won" fill={partyColor} />
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+
+          {/* National vote share and strike rate per year */}
+          <div className="bg-white rounded-lg shadow p-6">
+            <h3 className="text-xl font-bold mb-4">Vote Share and Strike Rate</h3>
+            <ResponsiveContainer width="100%" height={300}>
+              <LineChart data={shareData}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="year" />
+                <YAxis label={{ value: '%', angle: -90, position: 'insideLeft' }} />
+                <Tooltip formatter={(value) => `${value}%`} />
+                <Legend />
+                <Line type="monotone" dataKey="Vote Share" stroke="#3b82f6" strokeWidth={2} />
+                <Line type="monotone" dataKey="Strike Rate" stroke="#10b981" strokeWidth={2} />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+        </div>
+      ) : (
+        <div className="bg-white rounded-lg shadow p-6 text-gray-500">No election results for this party</div>
+      )}
+
+      {/* States ranked by the party's vote share within the state */}
+      <div className="bg-white rounded-lg shadow p-6">
+        <h3 className="text-xl font-bold mb-4">Strongest States</h3>
+        {strongestStates.length > 0 ? (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">State</th>
+                  <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Contested</th>
+                  <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Won</th>
+                  <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Votes</th>
+                  <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Vote Share</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {strongestStates.map((row) => (
+                  <tr key={row.state_id} className="hover:bg-gray-50">
+                    <td className="px-4 py-2 text-sm">
+                      <Link to={`/state/${row.state_id}`} className="font-medium text-blue-600 hover:text-blue-800">
+                        {row.state}
+                      </Link>
+                    </td>
+                    <td className="px-4 py-2 text-sm text-gray-900 text-right">{row.seats_contested}</td>
+                    <td className="px-4 py-2 text-sm text-gray-900 text-right">{row.seats_won}</td>
+                    <td className="px-4 py-2 text-sm text-gray-900 text-right">{formatNumber(row.total_votes)}</td>
+                    <td className="px-4 py-2 text-sm text-gray-900 text-right">{formatPct(row.vote_share_pct)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ) : (
+          <div className="text-gray-500">No results available</div>
+        )}
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <ConstituencyTable title="Best Constituencies" rows={bestConstituencies} />
+        <ConstituencyTable title="Worst Constituencies" rows={worstConstituencies} />
+      </div>
+    </div>
+  );
+};
+
+export default PartyProfile;
@@ -0,0 +1,276 @@
+import { useState, useEffect } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { BarChart, Bar, LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { getStateTrends } from '../services/api';
+import { getPartyColor } from '../utils/partyColors';
+
+// Parties shown individually in the trend charts; the rest are grouped as "Others"
+const TOP_PARTIES = 6;
+
+const formatNumber = (value) => (value != null ? Math.round(value).toLocaleString() : 'N/A');
+const formatPct = (value) => (value != null ? `${parseFloat(value).toFixed(2)}%` : 'N/A');
+const formatDecimal = (value) => (value != null ? parseFloat(value).toFixed(2) : 'N/A');
+
+const StateDashboard = () => {
+  const { id } = useParams();
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [contestYear, setContestYear] = useState(null);
+
+  useEffect(() => {
+    setLoading(true);
+    setError(null);
+    // Fold renamed and merged parties into their successor so trends stay comparable
+    getStateTrends(id, { lineage: true })
+      .then((response) => {
+        setData(response.data);
+        const years = response.data.years || [];
+        setContestYear(years.length > 0 ? years[years.length - 1].year : null);
+        setLoading(false);
+      })
+      .catch((err) => {
+        console.error('Error fetching state trends:', err);
+        setError(err.response?.status === 404 ? 'State not found' : 'Could not load state trends');
+        setLoading(false);
+      });
+  }, [id]);
+
+  if (loading) {
+    return (
+      <div className="bg-white rounded-lg shadow p-6">
+        <div className="h-64 flex items-center justify-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-500"></div>
+        </div>
+      </div>
+    );
+  }
+
+  if (error || !data) {
+    return (
+      <div className="bg-white rounded-lg shadow p-6 text-center text-gray-500">
+        <p className="mb-4">{error || 'No data available'}</p>
+        <Link to="/" className="text-blue-600 hover:text-blue-800 font-medium">Back to dashboard</Link>
+      </div>
+    );
+  }
+
+  const { state, years } = data;
+
+  // Pick the parties with the most seats over all years (votes break ties)
+  const partyTotals = {};
+  years.forEach((row) => {
+    row.parties.forEach((p) => {
+      if (!partyTotals[p.party]) partyTotals[p.party] = { seats: 0, votes: 0 };
+      partyTotals[p.party].seats += p.seats;
+      partyTotals[p.party].votes += p.votes;
+    });
+  });
+  const topParties = Object.entries(partyTotals)
+    .sort((a, b) => b[1].seats - a[1].seats || b[1].votes - a[1].votes)
+    .slice(0, TOP_PARTIES)
+    .map(([party]) => party);
+  const hasOthers = Object.keys(partyTotals).length > topParties.length;
+
+  const buildShareData = (key) => years.map((row) => {
+    const point = { year: row.year };
+    let others = 0;
+    row.parties.forEach((p) => {
+      if (topParties.includes(p.party)) {
+        point[p.party] = parseFloat(p[key].toFixed(2));
+      } else {
+        others += p[key];
+      }
+    });
+    if (hasOthers) point.Others = parseFloat(others.toFixed(2));
+    return point;
+  });
+  const seatData = buildShareData('seats');
+  const voteData = buildShareData('vote_share_pct');
+  const chartParties = hasOthers ? [...topParties, 'Others'] : topParties;
+  const seriesColor = (party) => (party === 'Others' ? '#9ca3af' : getPartyColor(party));
+
+  const trendData = years.map((row) => ({
+    year: row.year,
+    Turnout: row.turnout_pct != null ? parseFloat(row.turnout_pct.toFixed(2)) : null,
+    'ENP (votes)': row.enp_votes != null ? parseFloat(row.enp_votes.toFixed(2)) : null,
+    'ENP (seats)': row.enp_seats != null ? parseFloat(row.enp_seats.toFixed(2)) : null
+  }));
+
+  const contestEntry = years.find((row) => row.year === contestYear);
+  const latest = years[years.length - 1];
+
+  return (
+    <div className="space-y-6">
+      {/* State summary */}
+      <div className="bg-white rounded-lg shadow p-6 border-l-4 border-blue-500">
+        <Link to="/" className="text-sm text-blue-600 hover:text-blue-800 font-medium">← Dashboard</Link>
+        <h2 className="text-3xl font-bold text-gray-900 mt-2">{state.name.replace(/_/g, ' ')}</h2>
+        {latest && (
+          <div className="mt-2 flex flex-wrap gap-4 text-sm text-gray-700">
+            <span>Seats ({latest.year}): <span className="font-semibold">{latest.seats}</span></span>
+            <span>Turnout: <span className="font-semibold">{formatPct(latest.turnout_pct)}</span></span>
+            <span>Elections: <span className="font-semibold">{years.length}</span></span>
+          </div>
+        )}
+      </div>
+
+      {years.length === 0 ? (
+        <div className="bg-white rounded-lg shadow p-6 text-gray-500">No election results for this state</div>
+      ) : (
+        <>
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            {/* Seats by party per year */}
+            <div className="bg-white rounded-lg shadow p-6">
+              <h3 className="text-xl font-bold mb-4">Seats by Party</h3>
+              <ResponsiveContainer width="100%" height={300}>
+                <BarChart data={seatData}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="year" />
+                  <YAxis allowDecimals={false} />
+                  <Tooltip />
+                  <Legend />
+                  {chartParties.map((party) => (
+                    <Bar key={party} dataKey={party} stackId="seats" fill={seriesColor(party)} />
+                  ))}
+                </BarChart>
+              </ResponsiveContainer>
+            </div>
+
+            {/* Vote share by party per year */}
+            <div className="bg-white rounded-lg shadow p-6">
+              <h3 className="text-xl font-bold mb-4">Vote Share by Party</h3>
+              <ResponsiveContainer width="100%" height={300}>
+                <LineChart data={voteData}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="year" />
+                  <YAxis label={{ value: '%', angle: -90, position: 'insideLeft' }} />
+                  <Tooltip formatter={(value) => `${value}%`} />
+                  <Legend />
+                  {chartParties.map((party) => (
+                    <Line key={party} type="monotone" dataKey={party} stroke={seriesColor(party)} strokeWidth={2} connectNulls />
+                  ))}
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+          </div>
+
+          {/* Turnout and effective number of parties */}
+          <div className="bg-white rounded-lg shadow p-6">
+            <h3 className="text-xl font-bold mb-4">Turnout and Effective Number of Parties</h3>
+            <ResponsiveContainer width="100%" height={300}>
+              <LineChart data={trendData}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="year" />
+                <YAxis yAxisId="pct" label={{ value: '%', angle: -90, position: 'insideLeft' }} />
+                <YAxis yAxisId="enp" orientation="right" />
+                <Tooltip />
+                <Legend />
+                <Line yAxisId="pct" type="monotone" dataKey="Turnout" stroke="#10b981" strokeWidth={2} />
+                <Line yAxisId="enp" type="monotone" dataKey="ENP (votes)" stroke="#8b5cf6" strokeWidth={2} />
+                <Line yAxisId="enp" type="monotone" dataKey="ENP (seats)" stroke="#f59e0b" strokeWidth={2} />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+
+          {/* First and second parties per year */}
+          <div className="bg-white rounded-lg shadow p-6">
+            <h3 className="text-xl font-bold mb-4">Year by Year</h3>
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Year</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">First</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Second</th>
+                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Seats</th>
+                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Votes</th>
+                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Turnout</th>
+                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">ENP (votes)</th>
+                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">ENP (seats)</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {[...years].reverse().map((row) => (
+                    <tr key={row.year} className="hover:bg-gray-50">
+                      <td className="px-4 py-2 text-sm text-gray-900">{row.year}</td>
+                      {[row.first_party, row.second_party].map((p, idx) => (
+                        <td key={idx} className="px-4 py-2 text-sm">
+                          {p ? (
+                            <>
+                              <Link to={`/party/${p.party_id}`} className="font-medium text-blue-600 hover:text-blue-800">{p.party}</Link>
+                              <span className="text-gray-500"> {p.seats} seats, {formatPct(p.vote_share_pct)}</span>
+                            </>
+                          ) : 'N/A'}
+                        </td>
+                      ))}
+                      <td className="px-4 py-2 text-sm text-gray-900 text-right">{row.seats}</td>
+                      <td className="px-4 py-2 text-sm text-gray-900 text-right">{formatNumber(row.total_votes)}</td>
+                      <td className="px-4 py-2 text-sm text-gray-900 text-right">{formatPct(row.turnout_pct)}</td>
+                      <td className="px-4 py-2 text-sm text-gray-900 text-right">{formatDecimal(row.enp_votes)}</td>
+                      <td className="px-4 py-2 text-sm text-gray-900 text-right">{formatDecimal(row.enp_seats)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          {/* Closest contests for the chosen year */}
+          <div className="bg-white rounded-lg shadow p-6">
+            <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+              <h3 className="text-xl font-bold">Closest Contests</h3>
+              <select
+                value={contestYear || ''}
+                onChange={(e) => setContestYear(parseInt(e.target.value))}
+                className="px-3 py-1 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500"
+              >
+                {[...years].reverse().map((row) => (
+                  <option key={row.year} value={row.year}>{row.year}</option>
+                ))}
+              </select>
+            </div>
+            {contestEntry && contestEntry.closest_contests.length > 0 ? (
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Constituency</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Winner</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Runner-up</th>
+                      <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Margin</th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {contestEntry.closest_contests.map((contest) => (
+                      <tr key={contest.constituency_id} className="hover:bg-gray-50">
+                        <td className="px-4 py-2 text-sm">
+                          <Link to={`/constituency/${contest.constituency_id}`} className="font-medium text-blue-600 hover:text-blue-800">
+                            {contest.constituency_name}
+                          </Link>
+                        </td>
+                        <td className="px-4 py-2 text-sm text-gray-700">
+                          {contest.winner} <span className="text-gray-500">({contest.winner_party})</span>
+                        </td>
+                        <td className="px-4 py-2 text-sm text-gray-700">
+                          {contest.runner_up} <span className="text-gray-500">({contest.runner_up_party})</span>
+                        </td>
+                        <td className="px-4 py-2 text-sm text-gray-900 text-right">
+                          {formatNumber(contest.margin)} ({formatPct(contest.margin_percentage)})
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            ) : (
+              <div className="text-gray-500">No contests available</div>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default StateDashboard;
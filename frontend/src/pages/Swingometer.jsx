@@ -0,0 +1,271 @@
+import { useState, useEffect } from 'react';
+import { useSearchParams, Link } from 'react-router-dom';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, Cell, ReferenceLine } from 'recharts';
+import { simulateSwing } from '../services/api';
+import { getPartyColor } from '../utils/partyColors';
+
+// Parties that get a slider (largest by seats in the base year)
+const SLIDER_PARTIES = 8;
+// Slider range in vote share points
+const MAX_SLIDER_SWING = 15;
+// Wait this long after the last slider move before asking for a new projection
+const DEBOUNCE_MS = 250;
+
+const NATIONAL = 'national';
+
+const formatSwing = (value) => `${value > 0 ? '+' : ''}${value.toFixed(1)}`;
+const formatPct = (value) => (value != null ? `${parseFloat(value).toFixed(2)}%` : 'N/A');
+
+const Swingometer = () => {
+  const [searchParams] = useSearchParams();
+  const year = searchParams.get('year');
+  const [mode, setMode] = useState('uniform');
+  const [scope, setScope] = useState(NATIONAL); // NATIONAL or a state ID
+  const [swings, setSwings] = useState({}); // scope -> { party: points }
+  const [sliderParties, setSliderParties] = useState([]);
+  const [states, setStates] = useState([]);
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // A new base year starts from a clean scenario
+  useEffect(() => {
+    setSwings({});
+    setScope(NATIONAL);
+    setSliderParties([]);
+  }, [year]);
+
+  useEffect(() => {
+    if (!year) {
+      setLoading(false);
+      return;
+    }
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      const { [NATIONAL]: national = {}, ...byState } = swings;
+      simulateSwing({ year: parseInt(year), mode, swings: national, state_swings: byState })
+        .then((response) => {
+          if (cancelled) return;
+          setData(response.data);
+          setError(null);
+          setLoading(false);
+          // Pick the slider parties and states once per base year so they don't reorder while dragging
+          setSliderParties((current) => (current.length > 0
+            ? current
+            : response.data.parties
+              .filter((party) => party.base_seats > 0)
+              .sort((a, b) => b.base_seats - a.base_seats || b.base_vote_share - a.base_vote_share)
+              .slice(0, SLIDER_PARTIES)
+              .map((party) => party.party)));
+          setStates(response.data.states.map(({ state_id, state_name }) => ({ state_id, state_name })));
+        })
+        .catch((err) => {
+          if (cancelled) return;
+          console.error('Error simulating swing:', err);
+          setError('Could not project seats');
+          setLoading(false);
+        });
+    }, DEBOUNCE_MS);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [year, mode, swings]);
+
+  const scopeSwings = swings[scope] || {};
+  const setPartySwing = (party, value) => {
+    setSwings((current) => {
+      const next = { ...(current[scope] || {}) };
+      if (value === 0) {
+        delete next[party];
+      } else {
+        next[party] = value;
+      }
+      const { [scope]: _, ...rest } = current;
+      return Object.keys(next).length > 0 ? { ...rest, [scope]: next } : rest;
+    });
+  };
+
+  if (!year) {
+    return (
+      <div className="bg-white rounded-lg shadow p-6 text-center text-gray-500">
+        Select an election year to project seats from.
+      </div>
+    );
+  }
+
+  if (loading) {
+    return (
+      <div className="bg-white rounded-lg shadow p-6">
+        <div className="h-64 flex items-center justify-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-500"></div>
+        </div>
+      </div>
+    );
+  }
+
+  if (error && !data) {
+    return (
+      <div className="bg-white rounded-lg shadow p-6 text-center text-gray-500">
+        <p className="mb-4">{error}</p>
+        <Link to={{ pathname: '/', search: searchParams.toString() }} className="text-blue-600 hover:text-blue-800 font-medium">Back to dashboard</Link>
+      </div>
+    );
+  }
+
+  const chartData = data.parties.filter((party) => party.base_seats > 0 || party.seats > 0);
+  const majority = Math.floor(data.total_seats / 2) + 1;
+  const selectedState = scope === NATIONAL ? null : data.states.find((state) => String(state.state_id) === scope);
+
+  return (
+    <div className="space-y-6">
+      {/* Scenario controls */}
+      <div className="bg-white rounded-lg shadow p-6 border-l-4 border-blue-500">
+        <Link to={{ pathname: '/', search: searchParams.toString() }} className="text-sm text-blue-600 hover:text-blue-800 font-medium">← Dashboard</Link>
+        <h2 className="text-3xl font-bold text-gray-900 mt-2">Swing-o-meter</h2>
+        <p className="text-sm text-gray-600 mt-1">
+          Move a party's vote share from the {data.year} result and see the projected seats. Parties without a swing absorb the difference.
+        </p>
+
+        <div className="mt-4 flex flex-wrap items-center gap-4 text-sm">
+          <div className="inline-flex rounded-lg bg-gray-100 p-1">
+            {['uniform', 'proportional'].map((option) => (
+              <button
+                key={option}
+                onClick={() => setMode(option)}
+                className={`px-3 py-1 rounded-md font-medium capitalize transition-colors duration-200 ${
+                  mode === option ? 'bg-white text-blue-600 shadow' : 'text-gray-600 hover:text-gray-800'
+                }`}
+              >
+                {option}
+              </button>
+            ))}
+          </div>
+          <label className="flex items-center gap-2 text-gray-700">
+            Apply to
+            <select
+              value={scope}
+              onChange={(e) => setScope(e.target.value)}
+              className="px-3 py-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+            >
+              <option value={NATIONAL}>All of India</option>
+              {states.map((state) => (
+                <option key={state.state_id} value={String(state.state_id)}>
+                  {state.state_name}{swings[String(state.state_id)] ? ' *' : ''}
+                </option>
+              ))}
+            </select>
+          </label>
+          <button
+            onClick={() => setSwings({})}
+            className="px-3 py-1 bg-gray-100 hover:bg-gray-200 text-gray-700 rounded-lg font-medium transition-colors duration-200"
+          >
+            Reset
+          </button>
+        </div>
+        {scope !== NATIONAL && (
+          <p className="text-xs text-gray-500 mt-2">State swings replace the national swing of a party in that state.</p>
+        )}
+
+        <div className="mt-4 grid grid-cols-1 md:grid-cols-2 gap-x-8 gap-y-3">
+          {sliderParties.map((party) => {
+            const value = scopeSwings[party] || 0;
+            return (
+              <label key={party} className="flex items-center gap-3 text-sm">
+                <span className="w-20 font-semibold" style={{ color: getPartyColor(party) }}>{party}</span>
+                <input
+                  type="range"
+                  min={-MAX_SLIDER_SWING}
+                  max={MAX_SLIDER_SWING}
+                  step={0.5}
+                  value={value}
+                  onChange={(e) => setPartySwing(party, parseFloat(e.target.value))}
+                  className="flex-1"
+                />
+                <span className="w-14 text-right tabular-nums text-gray-700">{formatSwing(value)} pts</span>
+              </label>
+            );
+          })}
+        </div>
+      </div>
+
+      {/* Projected seat share */}
+      <div className="bg-white rounded-lg shadow p-6">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-xl font-bold">Projected Seats</h3>
+          <span className="text-sm text-gray-600">
+            {data.flips.length} of {data.total_seats} seats flip · majority {majority}
+          </span>
+        </div>
+        <ResponsiveContainer width="100%" height={400}>
+          <BarChart data={chartData}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="party" angle={-45} textAnchor="end" height={80} />
+            <YAxis />
+            <Tooltip />
+            <Legend verticalAlign="top" />
+            <ReferenceLine y={majority} stroke="#6b7280" strokeDasharray="4 4" />
+            <Bar dataKey="base_seats" name={`${data.year} result`} fill="#d1d5db" />
+            <Bar dataKey="seats" name="Projected">
+              {chartData.map((entry) => (
+                <Cell key={entry.party} fill={getPartyColor(entry.party)} />
+              ))}
+            </Bar>
+          </BarChart>
+        </ResponsiveContainer>
+      </div>
+
+      {/* Seats in the selected state */}
+      {selectedState && (
+        <div className="bg-white rounded-lg shadow p-6">
+          <h3 className="text-xl font-bold mb-4">{selectedState.state_name}: {selectedState.flips} of {selectedState.total_seats} seats flip</h3>
+          <div className="flex flex-wrap gap-3">
+            {selectedState.parties.map((party) => (
+              <span key={party.party} className="px-3 py-1 rounded-full bg-gray-100 text-sm text-gray-800">
+                <span className="font-semibold" style={{ color: getPartyColor(party.party) }}>{party.party}</span>{' '}
+                {party.base_seats} → {party.seats}
+              </span>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Seats that change hands */}
+      <div className="bg-white rounded-lg shadow p-6">
+        <h3 className="text-xl font-bold mb-4">Seats That Flip</h3>
+        {data.flips.length > 0 ? (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Constituency</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">State</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Change</th>
+                  <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Actual Margin</th>
+                  <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Projected Margin</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {data.flips.map((flip) => (
+                  <tr key={flip.constituency_id} className="hover:bg-gray-50">
+                    <td className="px-4 py-2 text-sm">
+                      <Link to={`/constituency/${flip.constituency_id}`} className="font-medium text-blue-600 hover:text-blue-800">{flip.constituency_name}</Link>
+                    </td>
+                    <td className="px-4 py-2 text-sm text-gray-700">{flip.state_name}</td>
+                    <td className="px-4 py-2 text-sm text-gray-900">{flip.from_party} → <span className="font-semibold">{flip.to_party}</span></td>
+                    <td className="px-4 py-2 text-sm text-gray-700 text-right">{formatPct(flip.base_margin)}</td>
+                    <td className="px-4 py-2 text-sm text-gray-700 text-right">{formatPct(flip.projected_margin)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ) : (
+          <div className="text-gray-500">No seats change hands</div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Swingometer;
@@ -52,6 +52,13 @@ export const getParties = () => api.get('/parties');
  */
 export const getConstituencies = (state) => api.get('/constituencies', { params: { state } });
 
+/**
+ * Get administrative districts
+ * @param {number} state - Optional state ID to filter districts
+ * @returns {Promise} Axios promise resolving to array of district objects (id, name, state_id, constituency_count)
+ */
+export const getDistricts = (state) => api.get('/districts', { params: { state } });
+
 /**
  * Get individual constituencies list
  * @param {number} state - Optional state ID filter
@@ -67,6 +74,37 @@ export const getConstituenciesList = (state, district) => api.get('/constituenci
  */
 export const getElections = (params) => api.get('/elections', { params });
 
+/**
+ * Get a state's seat, vote, turnout and party-system trends across years
+ * @param {number} id - State ID
+ * @param {Object} params - Optional query parameters (contests, lineage)
+ * @returns {Promise} Axios promise resolving to state details and per-year trends
+ */
+export const getStateTrends = (id, params = {}) => api.get(`/states/${id}/trends`, { params });
+
+/**
+ * Get the full election history of a constituency
+ * @param {number} id - Constituency ID
+ * @param {Object} params - Optional query parameters (delimitation)
+ * @returns {Promise} Axios promise resolving to constituency details, delimitation links, elections and winning party timeline
+ */
+export const getConstituencyHistory = (id, params = {}) => api.get(`/constituencies/${id}/history`, { params });
+
+/**
+ * Get every contest by a candidate across years
+ * @param {number} id - Candidate ID
+ * @returns {Promise} Axios promise resolving to candidate details, summary and contests
+ */
+export const getCandidateCareer = (id) => api.get(`/candidates/${id}/career`);
+
+/**
+ * Get a party's performance over time, strongest states and best/worst constituencies
+ * @param {number} id - Party ID
+ * @param {Object} params - Optional query parameters (year, limit, lineage)
+ * @returns {Promise} Axios promise resolving to party details, per-year figures and rankings
+ */
+export const getPartyProfile = (id, params = {}) => api.get(`/parties/${id}/profile`, { params });
+
 // ============================================================================
 // Analytics Endpoints
 // ============================================================================
@@ -79,9 +117,10 @@ export const getElections = (params) => api.get('/elections', { params });
  * @param {string} gender - Optional gender filter ('M' or 'F')
  * @param {number} district - Optional district ID filter
  * @param {number} constituency - Optional constituency ID filter
+ * @param {string} aggregate - Optional 'alliance' to count seats by alliance
  * @returns {Promise} Axios promise resolving to array of seat share data
  */
-export const getSeatShare = (year, state, party, gender, district, constituency) => api.get('/seat-share', { params: { year, state, party, gender, district, constituency } });
+export const getSeatShare = (year, state, party, gender, district, constituency, aggregate) => api.get('/seat-share', { params: { year, state, party, gender, district, constituency, aggregate } });
 
 /**
  * Get voter turnout by state
@@ -95,7 +134,7 @@ export const getTurnout = (year, state) => api.get('/turnout', { params: { year,
  * Get vote share by party
  * @param {number} year - Election year
  * @param {number} party - Optional party ID filter
- * @param {boolean} aggregate - If true, returns aggregated vote share by party only
+ * @param {boolean|string} aggregate - If true, returns aggregated vote share by party only; 'alliance' aggregates by alliance
  * @param {number} state - Optional state ID filter
  * @param {string} gender - Optional gender filter
  * @param {number} district - Optional district ID filter
@@ -156,13 +195,88 @@ export const getKPIs = (year, state, gender, district, constituency) => api.get(
  */
 export const getHighestTurnout = (year) => api.get('/analytics/highest-turnout', { params: { year } });
 
+/**
+ * Get average victory margin by state
+ * @param {number} year - Election year
+ * @returns {Promise} Axios promise resolving to array of state margin data
+ */
+export const getStateMargins = (year) => api.get('/analytics/state-margins', { params: { year } });
+
 /**
  * Get seat changes between two election years
  * @param {number} year1 - First election year
  * @param {number} year2 - Second election year
+ * @param {string} aggregate - Optional 'alliance' to compare alliances instead of parties
+ * @param {boolean} lineage - Optional; fold historical party names into their successor
  * @returns {Promise} Axios promise resolving to seat change data
  */
-export const getSeatChanges = (year1, year2) => api.get('/analytics/seat-changes', { params: { year1, year2 } });
+export const getSeatChanges = (year1, year2, aggregate, lineage) => api.get('/analytics/seat-changes', { params: { year1, year2, aggregate, lineage } });
+
+/**
+ * Get per-constituency and per-state vote swing between two election years
+ * @param {number} year1 - First election year
+ * @param {number} year2 - Second election year
+ * @param {Object} params - Optional query parameters (state, lineage, delimitation)
+ * @returns {Promise} Axios promise resolving to constituency and state swing data
+ */
+export const getSwing = (year1, year2, params = {}) => api.get('/analytics/swing', { params: { year1, year2, ...params } });
+
+/**
+ * Project seats of a base election under hypothetical party swings
+ * @param {Object} scenario - { year, mode ('uniform' or 'proportional'), swings: {party: points}, state_swings: {stateId: {party: points}} }
+ * @returns {Promise} Axios promise resolving to projected seats by party and state and the seats that flip
+ */
+export const simulateSwing = (scenario) => api.post('/analytics/swingometer', scenario);
+
+/**
+ * Get seats reallocated by proportional representation next to the actual seats
+ * @param {number} year - Election year
+ * @param {Object} params - Optional { threshold (minimum state vote share %), state }
+ * @returns {Promise} Axios promise resolving to FPTP, D'Hondt, Sainte-Laguë and Hare seats by party and state
+ */
+export const getProportionalSeats = (year, params = {}) => api.get('/analytics/proportional', { params: { year, ...params } });
+
+/**
+ * Get disproportionality and fragmentation indices per year, nationally and per state
+ * @param {Object} params - Optional { year, state }
+ * @returns {Promise} Axios promise resolving to { national, states } with Gallagher, Loosemore-Hanby, ENP and Herfindahl values
+ */
+export const getFragmentation = (params = {}) => api.get('/analytics/fragmentation', { params });
+
+/**
+ * Get Pedersen volatility between consecutive elections, nationally and per state
+ * @param {Object} params - Optional { state, lineage }
+ * @returns {Promise} Axios promise resolving to { national, states } with total, entry/exit and switching volatility
+ */
+export const getVolatility = (params = {}) => api.get('/analytics/volatility', { params });
+
+/**
+ * Get re-election rates of sitting MPs and win rates by terms served
+ * @param {Object} params - Optional { state, lineage }
+ * @returns {Promise} Axios promise resolving to { years, states, parties, terms }
+ */
+export const getIncumbency = (params = {}) => api.get('/analytics/incumbency', { params });
+
+/**
+ * Get candidate flows from their previous party to their current party
+ * @param {Object} params - { year } or { year1, year2 }, and optional { state }
+ * @returns {Promise} Axios promise resolving to flows and the win rates of switchers and loyalists
+ */
+export const getPartySwitching = (params) => api.get('/analytics/party-switching', { params });
+
+/**
+ * Get seats contested, won and finished second, deposits lost and strike rate by party and year
+ * @param {Object} params - Optional { year, state, lineage }
+ * @returns {Promise} Axios promise resolving to one row per party and year
+ */
+export const getStrikeRate = (params = {}) => api.get('/analytics/strike-rate', { params });
+
+/**
+ * Recompute a base election as if groups of parties had pooled their votes
+ * @param {Object} scenario - { year, groups: [{name, parties: [party names]}], transfer_efficiency (0-100) }
+ * @returns {Promise} Axios promise resolving to seats by group/party before and after and the seats that flip
+ */
+export const simulateAllianceMerger = (scenario) => api.post('/analytics/alliance-merger', scenario);
 
 /**
  * Get women candidates percentage over time
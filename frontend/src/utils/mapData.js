@@ -0,0 +1,104 @@
+/**
+ * Map Data Helpers
+ *
+ * Loads the locally bundled boundary files (served from public/maps),
+ * normalizes names so that map features can be matched to API rows, and
+ * computes class breaks for choropleth legends.
+ * Boundary files are TopoJSON; they are converted to GeoJSON features with
+ * topojson-client before being handed to react-simple-maps.
+ */
+
+import { feature } from 'topojson-client';
+
+// Spelling variants between the TCPD data and the boundary files
+const STATE_ALIASES = {
+  ORISSA: 'ODISHA',
+  UTTARANCHAL: 'UTTARAKHAND',
+  PONDICHERRY: 'PUDUCHERRY',
+  NCTOFDELHI: 'DELHI',
+  ANDAMANNICOBARISLANDS: 'ANDAMANANDNICOBARISLANDS',
+  DADRANAGARHAVELI: 'DADRAANDNAGARHAVELI',
+  DAMANDIU: 'DAMANANDDIU',
+  JAMMUKASHMIR: 'JAMMUANDKASHMIR',
+};
+
+/**
+ * Normalize a state name for matching (TCPD uses e.g. "Uttar_Pradesh")
+ * @param {string} name - State name as found in the data or the boundary file
+ * @returns {string} Upper-case key with only letters and digits
+ */
+export const normalizeStateName = (name) => {
+  const key = (name || '').toUpperCase().replace(/&/g, 'AND').replace(/[^A-Z0-9]/g, '');
+  return STATE_ALIASES[key] || key;
+};
+
+// Cache boundary files so switching filters does not download them again
+const boundaryCache = {};
+
+/**
+ * Load a bundled TopoJSON file and convert it to a GeoJSON FeatureCollection
+ * @param {string} url - Path of the file under public/ (e.g. '/maps/india-states.json')
+ * @returns {Promise<Object>} Promise resolving to a GeoJSON FeatureCollection
+ */
+export const loadBoundaries = (url) => {
+  if (!boundaryCache[url]) {
+    boundaryCache[url] = fetch(url)
+      .then((response) => {
+        if (!response.ok) {
+          throw new Error(`Boundary file not found: ${url}`);
+        }
+        return response.json();
+      })
+      .then((topology) => {
+        // Use the first object in the topology (files contain a single layer)
+        const objectName = Object.keys(topology.objects || {})[0];
+        if (topology.type !== 'Topology' || !objectName) {
+          throw new Error(`Invalid TopoJSON file: ${url}`);
+        }
+        return feature(topology, topology.objects[objectName]);
+      })
+      .catch((error) => {
+        delete boundaryCache[url];
+        throw error;
+      });
+  }
+  return boundaryCache[url];
+};
+
+/**
+ * Compute class breaks for a choropleth legend
+ * @param {number[]} values - Data values to classify
+ * @param {string} method - 'quantile' (equal counts) or 'equal' (equal-width intervals)
+ * @param {number} classes - Number of classes
+ * @returns {number[]} Upper bound of each class (last bound is the maximum value)
+ */
+export const computeBreaks = (values, method, classes) => {
+  const sorted = values.filter((v) => v != null && !isNaN(v)).sort((a, b) => a - b);
+  if (sorted.length === 0) return [];
+  const min = sorted[0];
+  const max = sorted[sorted.length - 1];
+  const breaks = [];
+  for (let i = 1; i <= classes; i++) {
+    if (method === 'quantile') {
+      const index = Math.min(sorted.length - 1, Math.ceil((i * sorted.length) / classes) - 1);
+      breaks.push(sorted[index]);
+    } else {
+      breaks.push(min + ((max - min) * i) / classes);
+    }
+  }
+  // Guard against floating point drift on the top break
+  breaks[breaks.length - 1] = max;
+  return breaks;
+};
+
+/**
+ * Find the class index of a value given the breaks from computeBreaks
+ * @param {number} value - Data value
+ * @param {number[]} breaks - Class upper bounds
+ * @returns {number} Class index, or -1 when the value is missing
+ */
+export const getClassIndex = (value, breaks) => {
+  if (value == null || isNaN(value) || breaks.length === 0) return -1;
+  const index = breaks.findIndex((upper) => value <= upper);
+  return index === -1 ? breaks.length - 1 : index;
+};
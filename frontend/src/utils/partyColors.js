@@ -0,0 +1,49 @@
+/**
+ * Party Colors
+ * 
+ * Shared color palette for parties so that a party keeps the same color across
+ * maps and charts. Well-known parties get their conventional colors; any other
+ * party is assigned a stable color from the fallback palette based on its name.
+ */
+
+// Conventional colors for major parties (keys are TCPD party abbreviations)
+export const PARTY_COLORS = {
+  BJP: '#f97316',
+  INC: '#0ea5e9',
+  'INC(I)': '#0ea5e9',
+  BSP: '#1e3a8a',
+  SP: '#dc2626',
+  CPM: '#b91c1c',
+  CPI: '#ef4444',
+  AITC: '#16a34a',
+  DMK: '#111827',
+  ADMK: '#15803d',
+  SHS: '#ea580c',
+  TDP: '#facc15',
+  YSRCP: '#0369a1',
+  BJD: '#65a30d',
+  TRS: '#db2777',
+  NCP: '#0891b2',
+  'JD(U)': '#059669',
+  RJD: '#166534',
+  JD: '#10b981',
+  IND: '#9ca3af',
+};
+
+// Fallback palette for parties without a conventional color
+const FALLBACK_COLORS = ['#8b5cf6', '#ec4899', '#06b6d4', '#84cc16', '#a855f7', '#14b8a6', '#f43f5e', '#6366f1', '#eab308', '#78716c'];
+
+/**
+ * Get the display color for a party
+ * @param {string} party - Party name or abbreviation
+ * @returns {string} Hex color
+ */
+export const getPartyColor = (party) => {
+  if (!party) return '#e5e7eb';
+  if (PARTY_COLORS[party]) return PARTY_COLORS[party];
+  let hash = 0;
+  for (let i = 0; i < party.length; i++) {
+    hash = (hash * 31 + party.charCodeAt(i)) | 0;
+  }
+  return FALLBACK_COLORS[Math.abs(hash) % FALLBACK_COLORS.length];
+};